@@ -0,0 +1,274 @@
+// Event normalisation shared by the home page, the calendar and the iCalendar feed. Entries in events.json may use:
+//   id: "mapping-cognitive-science"           stable ID for calendar.html#event/<id> (defaults to the title, slugified)
+//   resources: ["resource-id", ...]           IDs of resources.json entries presented at the event
+//   datetimes: ["2026-04-09T17:00:00", ...]   one occurrence per entry (legacy `datetime` holds a single one)
+//   rrule: "FREQ=WEEKLY;UNTIL=2026-05-01"     repeats from the first date; other dates are added as extras
+//   end: "18:30"                              end time of each occurrence (defaults to one hour)
+//   cancelled: ["2026-04-16"] or true         cancels dates, exact datetimes, or the whole event
+// Times without an offset are club wall-clock times in TIME_ZONE, whatever zone the viewer is in.
+window.ClubEvents = (() => {
+  const TIME_ZONE = "America/New_York";
+  const DEFAULT_DURATION_MINUTES = 60;
+  // Rules without UNTIL or COUNT are expanded this far past today.
+  const RECURRENCE_HORIZON_DAYS = 366;
+  const MAX_OCCURRENCES = 500;
+  const MAX_STEPS = 1000;
+  const WEEKDAYS = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+  const DATE_PATTERN = /^(\d{4})-?(\d{2})-?(\d{2})(?:T(\d{2}):?(\d{2})(?::?(\d{2}))?(Z)?)?$/;
+
+  const zoneFormat = new Intl.DateTimeFormat("en-US", {
+    timeZone: TIME_ZONE,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+  const slugify = (value) =>
+    String(value ?? "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-|-$/g, "");
+
+  const eventId = (event) => (event.id ? String(event.id) : slugify(event.title) || "event");
+
+  const isValidDate = (date) => date instanceof Date && !Number.isNaN(date.getTime());
+
+  // Wall-clock times are held as Dates whose UTC fields are the TIME_ZONE fields, so recurrence
+  // arithmetic runs on the UTC setters and never trips over the viewer's own daylight-saving shifts.
+  const toWallTime = (instant) => {
+    const parts = Object.fromEntries(
+      zoneFormat.formatToParts(instant).map(({ type, value }) => [type, Number(value)])
+    );
+    return new Date(Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second));
+  };
+
+  // The real instant of a TIME_ZONE wall time. The second pass settles times near a daylight-saving change.
+  const fromWallTime = (wall) => {
+    const guess = new Date(wall.getTime() - (toWallTime(wall) - wall));
+    return new Date(wall.getTime() - (toWallTime(guess) - guess));
+  };
+
+  // Parses ISO and compact RRULE dates ("20260501T170000") into wall times. Date-only values start at
+  // midnight, or end at 23:59:59 with `endOfDay`, so UNTIL dates include their whole day. Values carrying
+  // their own offset ("...Z", "+02:00") are converted into TIME_ZONE.
+  const parseDateTime = (value, endOfDay = false) => {
+    const match = DATE_PATTERN.exec(String(value ?? "").trim());
+    if (!match) {
+      const date = new Date(value);
+      return isValidDate(date) ? toWallTime(date) : null;
+    }
+    const [, year, month, day, hours, minutes, seconds, utc] = match;
+    const parts = hours === undefined
+      ? [Number(year), Number(month) - 1, Number(day), endOfDay ? 23 : 0, endOfDay ? 59 : 0, endOfDay ? 59 : 0]
+      : [Number(year), Number(month) - 1, Number(day), Number(hours), Number(minutes), Number(seconds ?? 0)];
+    const date = new Date(Date.UTC(...parts));
+    if (!isValidDate(date)) {
+      return null;
+    }
+    return utc ? toWallTime(date) : date;
+  };
+
+  const isDateOnly = (value) => /^\d{4}-?\d{2}-?\d{2}$/.test(String(value).trim());
+
+  const dateKey = (wall) => wall.toISOString().slice(0, 10);
+
+  // The "YYYY-MM-DD" club-time date an instant falls on.
+  const clubDate = (instant) => dateKey(toWallTime(instant));
+
+  const addDays = (date, days) => {
+    const next = new Date(date);
+    next.setUTCDate(next.getUTCDate() + days);
+    return next;
+  };
+
+  // Supports FREQ=DAILY|WEEKLY|MONTHLY with INTERVAL, COUNT, UNTIL and (weekly) BYDAY.
+  const parseRule = (rule) => {
+    const parts = Object.fromEntries(
+      String(rule)
+        .replace(/^RRULE:/i, "")
+        .split(";")
+        .filter(Boolean)
+        .map((part) => {
+          const [key, value = ""] = part.split("=");
+          return [key.trim().toUpperCase(), value.trim().toUpperCase()];
+        })
+    );
+    if (!["DAILY", "WEEKLY", "MONTHLY"].includes(parts.FREQ)) {
+      console.warn("Unsupported recurrence rule", rule);
+      return null;
+    }
+    const byDay = parts.BYDAY
+      ? parts.BYDAY.split(",").map((day) => WEEKDAYS.indexOf(day.slice(-2))).filter((day) => day >= 0)
+      : [];
+    return {
+      freq: parts.FREQ,
+      interval: Math.max(1, Number.parseInt(parts.INTERVAL, 10) || 1),
+      count: parts.COUNT ? Math.max(1, Number.parseInt(parts.COUNT, 10) || 1) : null,
+      until: parts.UNTIL ? parseDateTime(parts.UNTIL, true) : null,
+      byDay: byDay.length ? [...new Set(byDay)].sort((a, b) => a - b) : null,
+    };
+  };
+
+  // Dates produced by the `step`-th period of the rule, before clipping to the start date.
+  const candidatesFor = (start, rule, step) => {
+    if (rule.freq === "DAILY") {
+      return [addDays(start, step * rule.interval)];
+    }
+    if (rule.freq === "MONTHLY") {
+      const next = new Date(start);
+      next.setUTCDate(1);
+      next.setUTCMonth(start.getUTCMonth() + step * rule.interval);
+      next.setUTCDate(start.getUTCDate());
+      // Months without this day (the 31st, say) are skipped rather than rolled over.
+      return next.getUTCDate() === start.getUTCDate() ? [next] : [];
+    }
+    const weekStart = addDays(start, step * 7 * rule.interval - start.getUTCDay());
+    return (rule.byDay ?? [start.getUTCDay()]).map((day) => addDays(weekStart, day));
+  };
+
+  const expandRule = (start, rule, now) => {
+    const last = rule.until ?? addDays(toWallTime(now), RECURRENCE_HORIZON_DAYS);
+    const max = Math.min(rule.count ?? MAX_OCCURRENCES, MAX_OCCURRENCES);
+    const dates = [];
+    for (let step = 0; step < MAX_STEPS; step++) {
+      for (const date of candidatesFor(start, rule, step)) {
+        if (date < start) {
+          continue;
+        }
+        if (date > last || dates.length >= max) {
+          return dates;
+        }
+        dates.push(date);
+      }
+    }
+    return dates;
+  };
+
+  const startDates = (event, now) => {
+    const listed = (Array.isArray(event.datetimes) ? event.datetimes : [event.datetime])
+      .map((value) => parseDateTime(value))
+      .filter(Boolean);
+    if (!event.rrule || listed.length === 0) {
+      return listed;
+    }
+    const rule = parseRule(event.rrule);
+    if (!rule) {
+      return listed;
+    }
+    const [first, ...extras] = listed;
+    return [...expandRule(first, rule, now), ...extras];
+  };
+
+  // `end` is a wall-clock time on the occurrence's day; an end at or before the start runs past midnight.
+  const endFor = (event, start) => {
+    const match = /^(\d{1,2}):(\d{2})$/.exec(String(event.end ?? "").trim());
+    if (!match) {
+      return new Date(start.getTime() + DEFAULT_DURATION_MINUTES * 60000);
+    }
+    const end = new Date(start);
+    end.setUTCHours(Number(match[1]), Number(match[2]), 0, 0);
+    return end > start ? end : addDays(end, 1);
+  };
+
+  const isCancelled = (event, start) => {
+    if (event.cancelled === true) {
+      return true;
+    }
+    if (!Array.isArray(event.cancelled)) {
+      return false;
+    }
+    return event.cancelled.some((value) => {
+      const cancelled = parseDateTime(value);
+      if (!cancelled) {
+        return false;
+      }
+      return isDateOnly(value) ? dateKey(cancelled) === dateKey(start) : cancelled.getTime() === start.getTime();
+    });
+  };
+
+  // Flattens events into one entry per occurrence, oldest first:
+  //   { ...event, id, start: Date, end: Date, hasEndTime, cancelled }
+  // `start` and `end` are real instants.
+  const occurrences = (events, now = new Date()) =>
+    (Array.isArray(events) ? events : [])
+      .flatMap((event) => {
+        const seen = new Set();
+        return startDates(event, now)
+          .filter((start) => !seen.has(start.getTime()) && seen.add(start.getTime()))
+          .map((start) => ({
+            ...event,
+            id: eventId(event),
+            start: fromWallTime(start),
+            end: fromWallTime(endFor(event, start)),
+            hasEndTime: Boolean(event.end),
+            cancelled: isCancelled(event, start),
+          }));
+      })
+      .sort((a, b) => a.start - b.start);
+
+  // The first occurrence that is not cancelled and has not ended yet, so a meeting in progress still counts.
+  const nextOccurrence = (events, now = new Date()) =>
+    occurrences(events, now).find((occurrence) => !occurrence.cancelled && occurrence.end > now) ?? null;
+
+  // Always in club time, with the zone named so visitors elsewhere are not misled.
+  const formatWhen = (occurrence) => {
+    const date = occurrence.start.toLocaleString(undefined, {
+      timeZone: TIME_ZONE,
+      timeZoneName: occurrence.hasEndTime ? undefined : "short",
+      weekday: "short",
+      month: "short",
+      day: "numeric",
+      year: "numeric",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+    if (!occurrence.hasEndTime) {
+      return date;
+    }
+    const end = occurrence.end.toLocaleTimeString(undefined, {
+      timeZone: TIME_ZONE,
+      timeZoneName: "short",
+      hour: "numeric",
+      minute: "2-digit",
+    });
+    return `${date} – ${end}`;
+  };
+
+  // Describes the time until `occurrence` using its two largest units, e.g. "in 3 days, 4 hours".
+  const formatCountdown = (occurrence, now = new Date()) => {
+    if (occurrence.start <= now) {
+      return "Happening now";
+    }
+    const totalMinutes = Math.floor((occurrence.start - now) / 60000);
+    if (totalMinutes < 1) {
+      return "Starting now";
+    }
+    const units = [
+      ["day", Math.floor(totalMinutes / 1440)],
+      ["hour", Math.floor(totalMinutes / 60) % 24],
+      ["minute", totalMinutes % 60],
+    ];
+    const first = units.findIndex(([, value]) => value > 0);
+    const parts = units
+      .slice(first, first + 2)
+      .filter(([, value]) => value > 0)
+      .map(([unit, value]) => `${value} ${unit}${value === 1 ? "" : "s"}`);
+    return `in ${parts.join(", ")}`;
+  };
+
+  return {
+    TIME_ZONE,
+    eventId,
+    parseDateTime,
+    toWallTime,
+    clubDate,
+    occurrences,
+    nextOccurrence,
+    formatWhen,
+    formatCountdown,
+  };
+})();
@@ -0,0 +1,144 @@
+// iCalendar (RFC 5545) output for club events, built on ClubEvents occurrences. The same code writes the
+// subscribable calendar.ics feed (scripts/build-calendar.js) and the per-event downloads on calendar.html.
+// Times are written as TIME_ZONE wall times with a matching VTIMEZONE, so calendar apps never shift them.
+window.ClubICal = (() => {
+  const { TIME_ZONE, toWallTime } = window.ClubEvents;
+  const PRODUCT_ID = "-//UGA Cognitive Science Club//Events//EN";
+  const CALENDAR_NAME = "UGA Cognitive Science Club";
+  const UID_DOMAIN = "ugacogsci.github.io";
+  const encoder = new TextEncoder();
+
+  // US Eastern rules in force since 2007.
+  const VTIMEZONE = [
+    "BEGIN:VTIMEZONE",
+    `TZID:${TIME_ZONE}`,
+    "BEGIN:DAYLIGHT",
+    "TZOFFSETFROM:-0500",
+    "TZOFFSETTO:-0400",
+    "TZNAME:EDT",
+    "DTSTART:20070311T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU",
+    "END:DAYLIGHT",
+    "BEGIN:STANDARD",
+    "TZOFFSETFROM:-0400",
+    "TZOFFSETTO:-0500",
+    "TZNAME:EST",
+    "DTSTART:20071104T020000",
+    "RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+
+  const escapeText = (value) =>
+    String(value ?? "")
+      .replace(/\\/g, "\\\\")
+      .replace(/;/g, "\\;")
+      .replace(/,/g, "\\,")
+      .replace(/\r?\n/g, "\\n");
+
+  // Content lines may not exceed 75 octets; longer ones continue on lines starting with a space.
+  const foldLine = (line) => {
+    const chunks = [];
+    let chunk = "";
+    let octets = 0;
+    for (const char of line) {
+      const size = encoder.encode(char).length;
+      if (octets + size > (chunks.length ? 74 : 75)) {
+        chunks.push(chunk);
+        chunk = "";
+        octets = 0;
+      }
+      chunk += char;
+      octets += size;
+    }
+    chunks.push(chunk);
+    return chunks.join("\r\n ");
+  };
+
+  // "20260409T170000" in club time, or "20260409T210000Z" in UTC.
+  const formatWall = (instant) => toWallTime(instant).toISOString().replace(/[-:]/g, "").slice(0, 15);
+  const formatUtc = (instant) => `${instant.toISOString().replace(/[-:]/g, "").slice(0, 15)}Z`;
+
+  const uidFor = (occurrence) => `${occurrence.id}-${formatWall(occurrence.start)}@${UID_DOMAIN}`;
+
+  const describe = (occurrence) => [occurrence.desc, occurrence.lead ? `Lead: ${occurrence.lead}` : ""].filter(Boolean).join("\n\n");
+
+  const eventLines = (occurrence, stamp) => [
+    "BEGIN:VEVENT",
+    `UID:${uidFor(occurrence)}`,
+    `DTSTAMP:${formatUtc(stamp)}`,
+    `DTSTART;TZID=${TIME_ZONE}:${formatWall(occurrence.start)}`,
+    `DTEND;TZID=${TIME_ZONE}:${formatWall(occurrence.end)}`,
+    `SUMMARY:${escapeText(occurrence.title)}`,
+    ...(occurrence.location ? [`LOCATION:${escapeText(occurrence.location)}`] : []),
+    ...(describe(occurrence) ? [`DESCRIPTION:${escapeText(describe(occurrence))}`] : []),
+    `STATUS:${occurrence.cancelled ? "CANCELLED" : "CONFIRMED"}`,
+    "END:VEVENT",
+  ];
+
+  // A complete VCALENDAR with one VEVENT per occurrence. Cancelled occurrences stay in the feed as
+  // STATUS:CANCELLED so subscribers see them removed rather than silently disappear.
+  const toCalendar = (occurrences, { name = CALENDAR_NAME, stamp = new Date() } = {}) =>
+    [
+      "BEGIN:VCALENDAR",
+      "VERSION:2.0",
+      `PRODID:${PRODUCT_ID}`,
+      "CALSCALE:GREGORIAN",
+      "METHOD:PUBLISH",
+      `X-WR-CALNAME:${escapeText(name)}`,
+      `X-WR-TIMEZONE:${TIME_ZONE}`,
+      ...VTIMEZONE,
+      ...occurrences.flatMap((occurrence) => eventLines(occurrence, stamp)),
+      "END:VCALENDAR",
+    ]
+      .map(foldLine)
+      .join("\r\n") + "\r\n";
+
+  const fileNameFor = (occurrence) => `${occurrence.id}-${formatWall(occurrence.start).slice(0, 8)}.ics`;
+
+  // Saves a single occurrence as an .ics file (browser only).
+  const download = (occurrence) => {
+    const blob = new Blob([toCalendar([occurrence], { name: occurrence.title })], { type: "text/calendar;charset=utf-8" });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileNameFor(occurrence);
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  };
+
+  const googleLink = (occurrence) => {
+    const params = new URLSearchParams({
+      action: "TEMPLATE",
+      text: occurrence.title,
+      dates: `${formatWall(occurrence.start)}/${formatWall(occurrence.end)}`,
+      ctz: TIME_ZONE,
+      details: describe(occurrence),
+      location: occurrence.location ?? "",
+    });
+    return `https://calendar.google.com/calendar/render?${params}`;
+  };
+
+  // Outlook takes UTC instants, which it shows in the reader's own zone.
+  const outlookLink = (occurrence) => {
+    const params = new URLSearchParams({
+      path: "/calendar/action/compose",
+      rru: "addevent",
+      subject: occurrence.title,
+      startdt: occurrence.start.toISOString(),
+      enddt: occurrence.end.toISOString(),
+      body: describe(occurrence),
+      location: occurrence.location ?? "",
+    });
+    return `https://outlook.live.com/calendar/0/deeplink/compose?${params}`;
+  };
+
+  return {
+    toCalendar,
+    download,
+    googleLink,
+    outlookLink,
+  };
+})();
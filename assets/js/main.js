@@ -0,0 +1,131 @@
+// Shared shell for the top-level pages. Each page leaves an empty <div id="site-header"> and
+// <footer id="site-footer">; this script renders both from the definitions below, marks the current
+// page's nav link, runs the mobile menu, and offers loadJSON for the pages' data files.
+// Load it before any page script that calls ClubSite.
+window.ClubSite = (() => {
+  const SITE_NAME = "UGA Cognitive Science Club";
+  const DEFAULT_LOGO = "assets/img/cogsciclub.png";
+  const NAV_LINKS = [
+    { href: "index.html", label: "Home" },
+    { href: "resources.html", label: "Resources" },
+    { href: "officers.html", label: "Officers" },
+    { href: "calendar.html", label: "Calendar" },
+    { href: "projects.html", label: "Projects" },
+    { href: "dashboard.html", label: "Dashboard" },
+  ];
+  const MOBILE_QUERY = "(max-width: 720px)";
+
+  // This file lives at assets/js/, so the site root is two levels up from it; links then work from any page depth.
+  const root = new URL("../../", document.currentScript?.src ?? new URL("assets/js/main.js", document.baseURI));
+  const resolve = (path) => new URL(path, root).href;
+
+  // "/" and "/index.html" are the same page.
+  const pagePath = (url) => new URL(url, document.baseURI).pathname.replace(/\/index\.html$/, "/");
+
+  const renderHeader = (mount) => {
+    const logo = mount.dataset.logo ?? DEFAULT_LOGO;
+    mount.innerHTML = `
+      <div class="navbar">
+        <div class="nav-inner">
+          <a class="brand" href="${resolve("index.html")}">
+            <div class="logo" aria-hidden="true"><img src="${resolve(logo)}" alt="" /></div>
+            <span>${SITE_NAME}</span>
+          </a>
+          <button class="menu-toggle" type="button" aria-label="Toggle menu" aria-expanded="false" aria-controls="site-nav">
+            <span class="hamburger"></span>
+          </button>
+          <nav class="nav" id="site-nav" aria-label="Primary">
+            ${NAV_LINKS.map((link) => `<a data-nav href="${resolve(link.href)}">${link.label}</a>`).join("")}
+          </nav>
+        </div>
+      </div>`;
+  };
+
+  const markActiveLink = (mount) => {
+    const current = pagePath(window.location.href);
+    mount.querySelectorAll("[data-nav]").forEach((link) => {
+      const active = pagePath(link.href) === current;
+      link.classList.toggle("active", active);
+      if (active) {
+        link.setAttribute("aria-current", "page");
+      } else {
+        link.removeAttribute("aria-current");
+      }
+    });
+  };
+
+  // Opening moves focus to the first link; Escape closes and returns focus to the toggle, and tabbing
+  // out of the header or widening the window past the mobile breakpoint closes the menu quietly.
+  const setUpMenu = (mount) => {
+    const toggle = mount.querySelector(".menu-toggle");
+    const nav = mount.querySelector(".nav");
+    const isOpen = () => toggle.getAttribute("aria-expanded") === "true";
+
+    const setOpen = (open, { restoreFocus = false } = {}) => {
+      toggle.setAttribute("aria-expanded", String(open));
+      if (open) {
+        nav.querySelector("a")?.focus();
+      } else if (restoreFocus) {
+        toggle.focus();
+      }
+    };
+
+    toggle.addEventListener("click", () => setOpen(!isOpen()));
+    mount.addEventListener("keydown", (event) => {
+      if (event.key === "Escape" && isOpen()) {
+        event.preventDefault();
+        setOpen(false, { restoreFocus: true });
+      }
+    });
+    mount.addEventListener("focusout", (event) => {
+      if (isOpen() && !mount.contains(event.relatedTarget)) {
+        setOpen(false);
+      }
+    });
+    window.matchMedia?.(MOBILE_QUERY).addEventListener?.("change", (event) => {
+      if (!event.matches) {
+        setOpen(false);
+      }
+    });
+  };
+
+  const renderFooter = (mount) => {
+    mount.innerHTML = `
+      <div class="container">
+        <div>© <span id="year">${new Date().getFullYear()}</span> ${SITE_NAME}. All rights reserved.</div>
+        <div class="small">Hosted on GitHub Pages.</div>
+      </div>`;
+  };
+
+  // Fetches a JSON data file, bypassing the cache. Network errors, bad statuses and malformed JSON are
+  // logged and resolve to `fallback`, so one missing file never breaks the rest of a page.
+  const loadJSON = async (path, fallback = null) => {
+    try {
+      const response = await fetch(path, { cache: "no-store" });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+      return await response.json();
+    } catch (error) {
+      console.warn(`Unable to load ${path}`, error);
+      return fallback;
+    }
+  };
+
+  const header = document.getElementById("site-header");
+  if (header) {
+    renderHeader(header);
+    markActiveLink(header);
+    setUpMenu(header);
+  }
+  const footer = document.getElementById("site-footer");
+  if (footer) {
+    renderFooter(footer);
+  }
+
+  return {
+    NAV_LINKS,
+    resolve,
+    loadJSON,
+  };
+})();
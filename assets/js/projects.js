@@ -0,0 +1,24 @@
+// Project helpers shared by the projects page and the home page's results list. Entries in projects.json:
+//   { id, title, description, authors: [], tools: [], event, rank, links: [{ label, url }] }
+// `rank` is the placing within `event`, or null for unranked entries. Entries sharing a rank are a tie.
+window.ClubProjects = (() => {
+  const SUFFIXES = ["th", "st", "nd", "rd"];
+
+  const toOrdinal = (n) => {
+    const v = n % 100;
+    return n + (SUFFIXES[(v - 20) % 10] || SUFFIXES[v] || SUFFIXES[0]);
+  };
+
+  // "4th", or "4th (tie)" when another entry in the same event has that rank; "" when unranked.
+  const formatRank = (project, projects) => {
+    if (!Number.isFinite(project.rank)) {
+      return "";
+    }
+    const tied = projects.some((other) => other !== project && other.event === project.event && other.rank === project.rank);
+    return `${toOrdinal(project.rank)}${tied ? " (tie)" : ""}`;
+  };
+
+  return {
+    formatRank,
+  };
+})();
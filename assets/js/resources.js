@@ -0,0 +1,108 @@
+// Resource library helpers shared by the resources page, the calendar and the home page. Entries in resources.json:
+//   { id, title, topic, date: "YYYY-MM-DD", type: "slides" | "paper" | "video" | "notes" | "link", tags: [], link, event }
+// `event` is the ID of the events.json entry the resource was presented at. Links can be declared from either
+// side, so an event's `resources` list works too.
+// Filter state round-trips through the query string (?q=&type=&topic=&tag=&tag=&sort=) so views can be linked.
+window.ClubResources = (() => {
+  const TYPES = {
+    slides: "Slides",
+    paper: "Paper",
+    video: "Video",
+    notes: "Notes",
+    link: "Link",
+  };
+  const SORTS = ["newest", "oldest"];
+
+  const normalise = (resource) => ({
+    ...resource,
+    title: String(resource.title ?? ""),
+    topic: String(resource.topic ?? ""),
+    date: String(resource.date ?? ""),
+    type: resource.type ? String(resource.type).toLowerCase() : "link",
+    tags: Array.isArray(resource.tags) ? resource.tags.map(String) : [],
+  });
+
+  const typeLabel = (type) => TYPES[type] ?? type;
+
+  // ISO dates sort as strings; undated entries always go last.
+  const sortByDate = (resources, sort = "newest") =>
+    [...resources].sort((a, b) => {
+      if (!a.date || !b.date) {
+        return Number(!a.date) - Number(!b.date);
+      }
+      return sort === "oldest" ? a.date.localeCompare(b.date) : b.date.localeCompare(a.date);
+    });
+
+  const recent = (resources, limit = 5) => sortByDate(resources.map(normalise)).slice(0, limit);
+
+  const emptyFilters = () => ({ q: "", type: "", topic: "", tags: [], sort: "newest" });
+
+  const parseQuery = (search) => {
+    const params = new URLSearchParams(search);
+    const sort = params.get("sort");
+    return {
+      q: params.get("q") ?? "",
+      type: params.get("type") ?? "",
+      topic: params.get("topic") ?? "",
+      tags: [...new Set(params.getAll("tag").filter(Boolean))],
+      sort: SORTS.includes(sort) ? sort : "newest",
+    };
+  };
+
+  // Leaves defaults out so an unfiltered view has a clean URL.
+  const toQuery = (filters) => {
+    const params = new URLSearchParams();
+    if (filters.q.trim()) params.set("q", filters.q.trim());
+    if (filters.type) params.set("type", filters.type);
+    if (filters.topic) params.set("topic", filters.topic);
+    filters.tags.forEach((tag) => params.append("tag", tag));
+    if (filters.sort !== "newest") params.set("sort", filters.sort);
+    const query = params.toString();
+    return query ? `?${query}` : "";
+  };
+
+  // Every search word has to appear in the title, topic or tags; every selected tag has to be present.
+  const matches = (resource, filters) => {
+    const haystack = [resource.title, resource.topic, ...resource.tags].join(" ").toLowerCase();
+    const words = filters.q.toLowerCase().split(/\s+/).filter(Boolean);
+    return (
+      words.every((word) => haystack.includes(word)) &&
+      (!filters.type || resource.type === filters.type) &&
+      (!filters.topic || resource.topic === filters.topic) &&
+      filters.tags.every((tag) => resource.tags.includes(tag))
+    );
+  };
+
+  const presentedAt = (resource, event) =>
+    (Boolean(resource.event) && resource.event === event.id) ||
+    (Boolean(resource.id) && Array.isArray(event.resources) && event.resources.includes(resource.id));
+
+  // Materials for an event; `event` needs its resolved ID, as ClubEvents.occurrences provides.
+  const forEvent = (resources, event) => resources.filter((resource) => presentedAt(resource, event));
+
+  // The event a resource was presented at, or null.
+  const eventFor = (resource, events) => events.find((event) => presentedAt(resource, event)) ?? null;
+
+  const filter = (resources, filters) => sortByDate(resources.filter((resource) => matches(resource, filters)), filters.sort);
+
+  // Facet values with how many resources carry each, alphabetically.
+  const facetCounts = (values) =>
+    [...values.reduce((counts, value) => counts.set(value, (counts.get(value) ?? 0) + 1), new Map())]
+      .filter(([value]) => value)
+      .sort(([a], [b]) => a.localeCompare(b));
+
+  return {
+    TYPES,
+    normalise,
+    typeLabel,
+    sortByDate,
+    recent,
+    emptyFilters,
+    parseQuery,
+    toQuery,
+    filter,
+    facetCounts,
+    forEvent,
+    eventFor,
+  };
+})();
@@ -1,153 +1,703 @@
 import React, { useState, useEffect, useRef } from 'react';
 import { Target, Heart, TrendingUp, Award, Clock } from 'lucide-react';
 
+// Minimum gap between stored cursor samples (ms)
+const PATH_SAMPLE_INTERVAL = 10;
+
+// Targets at or below this size (px) have shrunk away
+const TARGET_MIN_SIZE = 10;
+
+// Survival shrink speed gained per difficulty level (px/s)
+const SHRINK_SPEED_PER_LEVEL = 3;
+
+const SETTINGS_STORAGE_KEY = 'aim_trainer_settings';
+
+// Editable parameters shared by the modes, with slider bounds
+const PARAM_FIELDS = {
+  lives: { label: 'Lives', min: 1, max: 10, step: 1, unit: '' },
+  duration: { label: 'Duration', min: 10, max: 300, step: 5, unit: 's' },
+  spawnInterval: { label: 'Spawn Interval', min: 300, max: 4000, step: 100, unit: 'ms' },
+  targetSize: { label: 'Target Size', min: 12, max: 150, step: 2, unit: 'px' },
+  shrinkSpeed: { label: 'Shrink Speed', min: 3, max: 120, step: 3, unit: 'px/s' },
+  targetCount: { label: 'Targets', min: 5, max: 200, step: 5, unit: '' },
+  speed: { label: 'Target Speed', min: 50, max: 800, step: 25, unit: 'px/s' }
+};
+
+// Each mode lists the parameters it uses with their defaults. Scoring and game-over stats
+// are handled per mode inside the component.
+const GAME_MODES = {
+  survival: {
+    label: 'Survival',
+    description: 'Targets shrink away and spawn faster as you score. Let too many vanish and the game ends.',
+    howTo: [
+      'Click targets before they shrink completely',
+      'Every target that vanishes costs a life',
+      'Multiple targets spawn continuously',
+      'Difficulty increases every 5 hits'
+    ],
+    defaults: { lives: 3, spawnInterval: 1500, targetSize: 100, shrinkSpeed: 18 }
+  },
+  timed: {
+    label: 'Timed',
+    description: 'Hit as many shrinking targets as you can before the clock runs out. No lives.',
+    howTo: [
+      'Targets spawn at a steady rate',
+      'Each hit scores a point',
+      'Targets that vanish are counted but cost nothing',
+      'The game ends when the timer reaches zero'
+    ],
+    defaults: { duration: 60, spawnInterval: 700, targetSize: 80, shrinkSpeed: 21 }
+  },
+  fixed: {
+    label: 'Fixed Count',
+    description: 'Clear a set number of targets, one at a time, as fast as you can.',
+    howTo: [
+      'One target is on screen at a time',
+      'The next target appears as soon as you hit the current one',
+      'Targets do not shrink',
+      'Your score is the time taken to clear them all'
+    ],
+    defaults: { targetCount: 30, targetSize: 60 }
+  },
+  tracking: {
+    label: 'Tracking',
+    description: 'Keep the cursor on a target that glides around the arena.',
+    howTo: [
+      'No clicking: just follow the target',
+      'The target turns green while the cursor is on it',
+      'It bounces off the edges at a constant speed',
+      'Your score is the share of time spent on target'
+    ],
+    defaults: { duration: 30, targetSize: 70, speed: 200 }
+  },
+  precision: {
+    label: 'Precision',
+    description: 'Small static targets, one at a time. Clicks closer to the center score more.',
+    howTo: [
+      'One small target is on screen at a time',
+      'Targets do not shrink, so take your time',
+      'A dead-center hit scores 100 points, an edge hit close to 0',
+      'The game ends after the last target'
+    ],
+    defaults: { targetCount: 20, targetSize: 24 }
+  }
+};
+
+const clampParam = (key, value) => {
+  const field = PARAM_FIELDS[key];
+  return Math.min(field.max, Math.max(field.min, value));
+};
+
+const getDefaultSettings = () => ({
+  mode: 'survival',
+  params: Object.fromEntries(Object.entries(GAME_MODES).map(([id, mode]) => [id, { ...mode.defaults }]))
+});
+
+// Saved settings merged over the defaults, so modes or parameters added later still get values
+const loadSettings = () => {
+  const settings = getDefaultSettings();
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(SETTINGS_STORAGE_KEY));
+    if (!saved) return settings;
+    if (GAME_MODES[saved.mode]) settings.mode = saved.mode;
+    Object.keys(settings.params).forEach(id => {
+      Object.keys(settings.params[id]).forEach(key => {
+        const value = Number(saved.params?.[id]?.[key]);
+        if (Number.isFinite(value)) settings.params[id][key] = clampParam(key, value);
+      });
+    });
+  } catch (error) {
+    console.warn('Unable to read aim trainer settings', error);
+  }
+  return settings;
+};
+
+const saveSettings = (settings) => {
+  try {
+    window.localStorage.setItem(SETTINGS_STORAGE_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.warn('Unable to save aim trainer settings', error);
+  }
+};
+
+// Precision mode points: 100 at the center, falling linearly to 0 at the edge
+const precisionPoints = (distance, size) => Math.max(0, Math.round(100 * (1 - distance / (size / 2))));
+
+// Size of a shrinking target at a given time on the performance clock
+const targetSizeAt = (target, time) =>
+  Math.max(0, target.initialSize - (target.shrinkSpeed * (time - target.spawnTime)) / 1000);
+
+// Writes a target's geometry and color straight to its node, so frames do not re-render React.
+// Shrinking targets fade from green to red; tracking targets are green while under the cursor.
+const applyTargetStyle = (node, target) => {
+  const sizePercent = (target.currentSize / target.initialSize) * 100;
+  const hue = target.onTarget === undefined
+    ? Math.max(0, Math.min(120, sizePercent * 1.2))
+    : (target.onTarget ? 120 : 0);
+  node.style.left = `${target.x}px`;
+  node.style.top = `${target.y}px`;
+  node.style.width = `${target.currentSize}px`;
+  node.style.height = `${target.currentSize}px`;
+  node.style.backgroundColor = `hsl(${hue}, 80%, 50%)`;
+};
+
+// Next position and velocity of a tracking target, bouncing off the walls of the game area
+const advanceTrackingTarget = (target, elapsed, width, height) => {
+  let { x, y, vx, vy } = target;
+  x += (vx * elapsed) / 1000;
+  y += (vy * elapsed) / 1000;
+  const maxX = width - target.currentSize;
+  const maxY = height - target.currentSize;
+  if (x < 0 || x > maxX) {
+    vx = -vx;
+    x = Math.min(maxX, Math.max(0, x));
+  }
+  if (y < 0 || y > maxY) {
+    vy = -vy;
+    y = Math.min(maxY, Math.max(0, y));
+  }
+  return { x, y, vx, vy };
+};
+
+// Shannon formulation of Fitts' index of difficulty, in bits
+const indexOfDifficulty = (distance, width) => Math.log2(distance / width + 1);
+
+// Last cursor sample taken at or before a given time
+const sampleAt = (path, time) => {
+  let found = null;
+  for (const sample of path) {
+    if (sample.t > time) break;
+    found = sample;
+  }
+  return found;
+};
+
+// Total distance travelled along the sampled cursor path, in px
+const pathLength = (path) =>
+  path.reduce((total, sample, i) => (i === 0 ? 0 : total + Math.hypot(sample.x - path[i - 1].x, sample.y - path[i - 1].y)), 0);
+
+// Least-squares fit of movement time against index of difficulty. Throughput is the
+// mean of ID / MT per hit (bits per second).
+const fitFittsLaw = (hits) => {
+  const points = hits.filter(hit => hit.indexOfDifficulty !== null && hit.movementTime > 0);
+  if (points.length < 3) return null;
+
+  const n = points.length;
+  const meanId = points.reduce((a, p) => a + p.indexOfDifficulty, 0) / n;
+  const meanMt = points.reduce((a, p) => a + p.movementTime, 0) / n;
+  const sxx = points.reduce((a, p) => a + (p.indexOfDifficulty - meanId) ** 2, 0);
+  const sxy = points.reduce((a, p) => a + (p.indexOfDifficulty - meanId) * (p.movementTime - meanMt), 0);
+  const syy = points.reduce((a, p) => a + (p.movementTime - meanMt) ** 2, 0);
+  if (sxx === 0) return null;
+
+  const slope = sxy / sxx;
+  return {
+    n,
+    slope,
+    intercept: meanMt - slope * meanId,
+    r2: syy === 0 ? 0 : (sxy * sxy) / (sxx * syy),
+    throughput: points.reduce((a, p) => a + p.indexOfDifficulty / (p.movementTime / 1000), 0) / n
+  };
+};
+
 export default function AimTrainerGame() {
   const [gameState, setGameState] = useState('menu'); // menu, playing, gameover
+  const [settings, setSettings] = useState(loadSettings);
+  // Targets on screen. Only changes when one spawns or is removed; per-frame geometry goes through refs.
   const [targets, setTargets] = useState([]);
   const [score, setScore] = useState(0);
   const [lives, setLives] = useState(3);
   const [clicks, setClicks] = useState([]);
   const [gameTime, setGameTime] = useState(0);
   const [difficulty, setDifficulty] = useState(1);
+  const [expired, setExpired] = useState(0);
+  const [onTargetPercent, setOnTargetPercent] = useState(0);
   
   const gameAreaRef = useRef(null);
-  const timerRef = useRef(null);
-  const spawnIntervalRef = useRef(null);
+  const frameRef = useRef(null);
+  const targetNodesRef = useRef(new Map());
+  const cursorPathRef = useRef([]);
+  const cursorRef = useRef(null);
+  const lastClickRef = useRef(null);
+  // Live state of the running game, advanced by the frame loop and the click handlers.
+  // Times are on the performance.now() clock, which requestAnimationFrame timestamps share.
+  const gameRef = useRef({ mode: settings.mode, params: settings.params[settings.mode], targets: [] });
+
+  useEffect(() => {
+    saveSettings(settings);
+  }, [settings]);
+
+  const selectMode = (mode) => {
+    setSettings(prev => ({ ...prev, mode }));
+  };
+
+  const updateParam = (key, value) => {
+    setSettings(prev => ({
+      ...prev,
+      params: { ...prev.params, [prev.mode]: { ...prev.params[prev.mode], [key]: clampParam(key, Number(value)) } }
+    }));
+  };
+
+  const resetParams = () => {
+    setSettings(prev => ({
+      ...prev,
+      params: { ...prev.params, [prev.mode]: { ...GAME_MODES[prev.mode].defaults } }
+    }));
+  };
 
   const startGame = () => {
+    const params = settings.params[settings.mode];
+    gameRef.current = {
+      mode: settings.mode,
+      params,
+      targets: [],
+      targetsChanged: false,
+      score: 0,
+      hits: 0,
+      lives: params.lives || 0,
+      expired: 0,
+      difficulty: 1,
+      // Survival and timed modes spawn on a clock; the others spawn the next target on a hit
+      spawnInterval: params.spawnInterval || null,
+      nextSpawnAt: null,
+      startTime: null,
+      endTime: null,
+      lastFrame: null,
+      tracking: { onTarget: 0, total: 0, streak: 0, bestStreak: 0, offsetSum: 0, samples: 0 }
+    };
+
     setGameState('playing');
     setScore(0);
-    setLives(3);
+    setLives(params.lives || 0);
     setClicks([]);
+    setExpired(0);
+    setOnTargetPercent(0);
+    cursorPathRef.current = [];
+    cursorRef.current = null;
+    lastClickRef.current = null;
     setTargets([]);
     setGameTime(0);
     setDifficulty(1);
-    
-    // Start spawning targets continuously
-    setTimeout(() => {
-      spawnTarget();
-      startSpawning(1500);
-    }, 100);
   };
 
-  const startSpawning = (interval) => {
-    if (spawnIntervalRef.current) {
-      clearInterval(spawnIntervalRef.current);
-    }
-    spawnIntervalRef.current = setInterval(() => {
-      spawnTarget();
-    }, interval);
-  };
-
-  const spawnTarget = () => {
+  const spawnTarget = (now) => {
     if (!gameAreaRef.current) return;
     
+    const game = gameRef.current;
+    const { mode, params } = game;
     const area = gameAreaRef.current.getBoundingClientRect();
-    const initialSize = Math.max(50, 100 - difficulty * 5);
+    // Survival targets start smaller as difficulty increases, down to half the configured size
+    const initialSize = mode === 'survival'
+      ? Math.max(params.targetSize / 2, params.targetSize - game.difficulty * 5)
+      : params.targetSize;
     
     const newTarget = {
-      id: Date.now() + Math.random(),
+      id: now + Math.random(),
       x: Math.random() * (area.width - initialSize),
       y: Math.random() * (area.height - initialSize),
       initialSize: initialSize,
       currentSize: initialSize,
-      spawnTime: Date.now(),
-      shrinkRate: 0.3 + (difficulty * 0.05) // Shrinks faster as difficulty increases
+      spawnTime: now,
+      shrinkSpeed: 0,
+      vx: 0,
+      vy: 0
+    };
+
+    if (mode === 'survival') {
+      newTarget.shrinkSpeed = params.shrinkSpeed + game.difficulty * SHRINK_SPEED_PER_LEVEL; // Shrinks faster as difficulty increases
+    } else if (mode === 'timed') {
+      newTarget.shrinkSpeed = params.shrinkSpeed;
+    } else if (mode === 'tracking') {
+      const angle = Math.random() * Math.PI * 2;
+      newTarget.x = (area.width - initialSize) / 2;
+      newTarget.y = (area.height - initialSize) / 2;
+      newTarget.vx = Math.cos(angle) * params.speed;
+      newTarget.vy = Math.sin(angle) * params.speed;
+      newTarget.onTarget = false;
+    }
+
+    game.targets.push(newTarget);
+    game.targetsChanged = true;
+  };
+
+  // Keeps the node map in step with the rendered targets and styles new nodes before their first paint
+  const bindTargetNode = (target) => (node) => {
+    if (node) {
+      targetNodesRef.current.set(target.id, node);
+      applyTargetStyle(node, target);
+    } else {
+      targetNodesRef.current.delete(target.id);
+    }
+  };
+
+  // Pointer position relative to the game area
+  const getAreaPoint = (e) => {
+    const area = gameAreaRef.current.getBoundingClientRect();
+    return { x: e.clientX - area.left, y: e.clientY - area.top };
+  };
+
+  const handlePointerMove = (e) => {
+    if (gameState !== 'playing' || !gameAreaRef.current) return;
+
+    const now = performance.now();
+    const point = getAreaPoint(e);
+    cursorRef.current = point;
+
+    const path = cursorPathRef.current;
+    if (path.length && now - path[path.length - 1].t < PATH_SAMPLE_INTERVAL) return;
+    path.push({ ...point, t: now });
+  };
+
+  const handlePointerLeave = () => {
+    cursorRef.current = null;
+  };
+
+  // Shared click record: where the click landed relative to the target as drawn at that moment,
+  // plus the movement that led to it. Targets shrink from their top-left corner, so the center moves.
+  const buildClickRecord = (type, target, point, clickTime) => {
+    const record = {
+      type,
+      targetId: target ? target.id : null,
+      timestamp: clickTime,
+      clickX: point.x,
+      clickY: point.y,
+      reactionTime: target ? clickTime - target.spawnTime : null,
+      spawnX: target ? target.x + target.initialSize / 2 : null,
+      spawnY: target ? target.y + target.initialSize / 2 : null,
+      targetX: null,
+      targetY: null,
+      targetSize: target ? target.currentSize : null,
+      initialSize: target ? target.initialSize : null,
+      distance: null,
+      movementTime: null,
+      movementDistance: null,
+      indexOfDifficulty: null
     };
+    if (!target) return record;
+
+    record.targetX = target.x + target.currentSize / 2;
+    record.targetY = target.y + target.currentSize / 2;
+    record.distance = Math.hypot(point.x - record.targetX, point.y - record.targetY);
+
+    // Movement starts at the later of the spawn and the previous click
+    const lastClick = lastClickRef.current;
+    const start = lastClick && lastClick.t > target.spawnTime
+      ? lastClick
+      : sampleAt(cursorPathRef.current, target.spawnTime);
+    if (start) {
+      record.movementTime = clickTime - Math.max(start.t, target.spawnTime);
+      record.movementDistance = Math.hypot(record.targetX - start.x, record.targetY - start.y);
+      record.indexOfDifficulty = indexOfDifficulty(record.movementDistance, target.currentSize);
+    }
+    return record;
+  };
+
+  // Clicks that reach the game area missed every target; log them against the nearest one
+  const handleAreaClick = (e) => {
+    if (gameState !== 'playing' || gameRef.current.mode === 'tracking') return;
+
+    const clickTime = performance.now();
+    const point = getAreaPoint(e);
+    const nearest = gameRef.current.targets.reduce((best, target) => {
+      const d = Math.hypot(point.x - (target.x + target.currentSize / 2), point.y - (target.y + target.currentSize / 2));
+      return !best || d < best.d ? { target, d } : best;
+    }, null);
 
-    setTargets(prev => [...prev, newTarget]);
+    const record = buildClickRecord('miss', nearest ? nearest.target : null, point, clickTime);
+    setClicks(prev => [...prev, record]);
+    lastClickRef.current = { ...point, t: clickTime };
   };
 
+  // Scores the hit on the live game; the next frame removes the target and publishes the new totals
   const handleTargetClick = (target, e) => {
     e.stopPropagation();
     
     if (gameState !== 'playing') return;
+
+    const game = gameRef.current;
+    const { mode, params } = game;
+    if (mode === 'tracking' || !game.targets.includes(target)) return;
     
-    const clickTime = Date.now();
-    const reactionTime = clickTime - target.spawnTime;
-    
-    setClicks(prev => [...prev, {
-      targetId: target.id,
-      reactionTime: reactionTime,
-      timestamp: clickTime
-    }]);
-
-    setTargets(prev => prev.filter(t => t.id !== target.id));
-    setScore(s => s + 1);
+    const clickTime = performance.now();
+    const point = getAreaPoint(e);
+
+    const record = buildClickRecord('hit', target, point, clickTime);
+    setClicks(prev => [...prev, record]);
+    lastClickRef.current = { ...point, t: clickTime };
+
+    game.targets = game.targets.filter(t => t !== target);
+    game.targetsChanged = true;
+    game.hits += 1;
+    game.score += mode === 'precision' ? precisionPoints(record.distance, record.targetSize) : 1;
     
     // Increase difficulty every 5 hits - spawn targets faster
-    if ((score + 1) % 5 === 0) {
-      setDifficulty(d => {
-        const newDiff = d + 1;
-        // Spawn targets more frequently as difficulty increases
-        const newInterval = Math.max(500, 1500 - (newDiff * 150));
-        startSpawning(newInterval);
-        return newDiff;
-      });
+    if (mode === 'survival' && game.score % 5 === 0) {
+      game.difficulty += 1;
+      game.spawnInterval = Math.max(500, params.spawnInterval - (game.difficulty * 150));
+      game.nextSpawnAt = clickTime + game.spawnInterval;
+    }
+
+    // Fixed-count and precision modes put up the next target until the count is reached
+    if (mode === 'fixed' || mode === 'precision') {
+      if (game.hits >= params.targetCount) {
+        game.endTime = clickTime;
+      } else {
+        spawnTarget(clickTime);
+      }
     }
   };
 
-  // Animate targets shrinking and remove when too small
-  useEffect(() => {
-    if (gameState !== 'playing') return;
+  // Moves the tracking target and scores whether the cursor is on it
+  const updateTracking = (target, elapsed, area) => {
+    Object.assign(target, advanceTrackingTarget(target, elapsed, area.width, area.height));
+    const cursor = cursorRef.current;
+    const distance = cursor
+      ? Math.hypot(cursor.x - (target.x + target.currentSize / 2), cursor.y - (target.y + target.currentSize / 2))
+      : null;
+    target.onTarget = distance !== null && distance <= target.currentSize / 2;
 
-    const animationInterval = setInterval(() => {
-      setTargets(prev => {
-        const updated = prev.map(target => ({
-          ...target,
-          currentSize: Math.max(0, target.currentSize - target.shrinkRate)
-        }));
-
-        // Remove targets that are too small and deduct lives
-        const filtered = updated.filter(target => {
-          if (target.currentSize <= 10) {
-            setLives(l => Math.max(0, l - 1));
-            return false;
-          }
-          return true;
-        });
-
-        return filtered;
-      });
-    }, 16); // ~60fps
+    const stats = gameRef.current.tracking;
+    stats.total += elapsed;
+    if (target.onTarget) {
+      stats.onTarget += elapsed;
+      stats.streak += elapsed;
+      stats.bestStreak = Math.max(stats.bestStreak, stats.streak);
+    } else {
+      stats.streak = 0;
+    }
+    if (distance !== null) {
+      stats.offsetSum += distance;
+      stats.samples += 1;
+    }
+  };
 
-    return () => clearInterval(animationInterval);
-  }, [gameState]);
+  // One frame of the game: spawn on schedule, size or move every target from elapsed time,
+  // write geometry to the DOM, then publish the HUD values and check for the end of the game.
+  const runFrame = (now) => {
+    const game = gameRef.current;
+    const { mode, params } = game;
+    const elapsed = game.lastFrame === null ? 0 : now - game.lastFrame;
+    game.lastFrame = now;
 
-  useEffect(() => {
-    if (gameState === 'playing') {
-      timerRef.current = setInterval(() => {
-        setGameTime(t => t + 1);
-      }, 1000);
-
-      return () => {
-        if (timerRef.current) clearInterval(timerRef.current);
-        if (spawnIntervalRef.current) clearInterval(spawnIntervalRef.current);
-      };
-    } else {
-      if (timerRef.current) clearInterval(timerRef.current);
-      if (spawnIntervalRef.current) clearInterval(spawnIntervalRef.current);
+    if (game.startTime === null) {
+      game.startTime = now;
+      game.nextSpawnAt = now;
     }
-  }, [gameState]);
 
-  useEffect(() => {
-    if (lives <= 0 && gameState === 'playing') {
-      setGameState('gameover');
+    if (game.nextSpawnAt !== null && now >= game.nextSpawnAt) {
+      spawnTarget(now);
+      game.nextSpawnAt = game.spawnInterval ? now + game.spawnInterval : null;
+    }
+
+    const area = gameAreaRef.current.getBoundingClientRect();
+    game.targets = game.targets.filter(target => {
+      if (mode === 'tracking') {
+        updateTracking(target, elapsed, area);
+        return true;
+      }
+      target.currentSize = targetSizeAt(target, now);
+      if (target.currentSize > TARGET_MIN_SIZE) return true;
+
+      // Shrunk away; in survival each one costs a life
+      if (mode === 'survival') {
+        game.lives = Math.max(0, game.lives - 1);
+      } else {
+        game.expired += 1;
+      }
+      game.targetsChanged = true;
+      return false;
+    });
+
+    game.targets.forEach(target => {
+      const node = targetNodesRef.current.get(target.id);
+      if (node) applyTargetStyle(node, target);
+    });
+
+    if (game.targetsChanged) {
+      game.targetsChanged = false;
+      setTargets([...game.targets]);
+    }
+    // React skips the render when none of these changed
+    setScore(game.score);
+    setLives(game.lives);
+    setExpired(game.expired);
+    setDifficulty(game.difficulty);
+    setGameTime(Math.floor((now - game.startTime) / 1000));
+    if (mode === 'tracking' && game.tracking.total > 0) {
+      setOnTargetPercent(Math.round((game.tracking.onTarget / game.tracking.total) * 100));
+    }
+
+    // Survival ends on the last life, timed and tracking modes when the clock runs out,
+    // fixed-count and precision modes on the last hit
+    if (game.endTime === null) {
+      if ((mode === 'survival' && game.lives <= 0) || (params.duration && now - game.startTime >= params.duration * 1000)) {
+        game.endTime = now;
+      }
+    }
+    if (game.endTime !== null) {
+      game.targets = [];
       setTargets([]);
+      setGameState('gameover');
+      return;
     }
-  }, [lives, gameState]);
+
+    frameRef.current = requestAnimationFrame(runFrame);
+  };
+
+  useEffect(() => {
+    if (gameState !== 'playing') return;
+
+    frameRef.current = requestAnimationFrame(runFrame);
+    return () => cancelAnimationFrame(frameRef.current);
+  }, [gameState]);
+
+  const hits = clicks.filter(click => click.type === 'hit');
+  const misses = clicks.filter(click => click.type === 'miss');
 
   const getAverageReaction = () => {
-    if (clicks.length === 0) return 0;
-    return Math.round(clicks.reduce((a, b) => a + b.reactionTime, 0) / clicks.length);
+    if (hits.length === 0) return 0;
+    return Math.round(hits.reduce((a, b) => a + b.reactionTime, 0) / hits.length);
   };
 
+  // Share of clicks that landed on a target
   const getAccuracy = () => {
     if (clicks.length === 0) return 0;
-    const totalTargets = score + (3 - lives);
-    return Math.round((score / totalTargets) * 100);
+    return Math.round((hits.length / clicks.length) * 100);
+  };
+
+  const getAverageMissDistance = () => {
+    const measured = misses.filter(miss => miss.distance !== null);
+    if (measured.length === 0) return null;
+    return Math.round(measured.reduce((a, b) => a + b.distance, 0) / measured.length);
+  };
+
+  // Average distance from the target center, over hits (click modes) or cursor samples (tracking)
+  const getAverageOffset = () => {
+    if (gameRef.current.mode === 'tracking') {
+      const stats = gameRef.current.tracking;
+      return stats.samples ? Math.round(stats.offsetSum / stats.samples) : null;
+    }
+    if (hits.length === 0) return null;
+    return Math.round(hits.reduce((a, b) => a + b.distance, 0) / hits.length);
+  };
+
+  const getCompletionTime = () => {
+    const { startTime, endTime } = gameRef.current;
+    if (startTime === null || endTime === null) return 0;
+    return (endTime - startTime) / 1000;
   };
 
+  // Headline and detail cards for the game-over screen
+  const getModeStats = () => {
+    const { mode, params, tracking } = gameRef.current;
+    const reaction = { label: 'Avg Reaction', value: `${getAverageReaction()}ms`, icon: TrendingUp, color: 'text-green-400' };
+    const accuracy = { label: 'Accuracy', value: `${getAccuracy()}%`, icon: Award, color: 'text-purple-400' };
+    const offset = getAverageOffset();
+    const offsetText = offset === null ? '—' : `${offset}px`;
+
+    switch (mode) {
+      case 'timed':
+        return {
+          headline: [
+            { label: 'Targets Hit', value: score, icon: Target, color: 'text-yellow-400' },
+            { label: 'Hits per Minute', value: Math.round((score / params.duration) * 60), icon: Clock, color: 'text-blue-400' }
+          ],
+          details: [reaction, accuracy, { label: 'Expired', value: expired, icon: Target, color: 'text-orange-400' }]
+        };
+      case 'fixed': {
+        const completion = getCompletionTime();
+        return {
+          headline: [
+            { label: 'Completion Time', value: `${completion.toFixed(2)}s`, icon: Clock, color: 'text-blue-400' },
+            { label: 'Per Target', value: `${hits.length ? Math.round((completion * 1000) / hits.length) : 0}ms`, icon: Target, color: 'text-yellow-400' }
+          ],
+          details: [reaction, accuracy, { label: 'Misses', value: misses.length, icon: Target, color: 'text-orange-400' }]
+        };
+      }
+      case 'precision':
+        return {
+          headline: [
+            { label: 'Precision Score', value: score, icon: Target, color: 'text-yellow-400' },
+            { label: 'Points per Target', value: hits.length ? Math.round(score / hits.length) : 0, icon: Award, color: 'text-blue-400' }
+          ],
+          details: [
+            { label: 'Avg Offset', value: offsetText, icon: Target, color: 'text-orange-400' },
+            accuracy,
+            { label: 'Completion Time', value: `${getCompletionTime().toFixed(1)}s`, icon: Clock, color: 'text-green-400' }
+          ]
+        };
+      case 'tracking':
+        return {
+          headline: [
+            { label: 'Time on Target', value: `${onTargetPercent}%`, icon: Target, color: 'text-yellow-400' },
+            { label: 'Longest Streak', value: `${(tracking.bestStreak / 1000).toFixed(1)}s`, icon: Clock, color: 'text-blue-400' }
+          ],
+          details: [
+            { label: 'Avg Offset', value: offsetText, icon: Target, color: 'text-orange-400' },
+            { label: 'On Target', value: `${(tracking.onTarget / 1000).toFixed(1)}s`, icon: Award, color: 'text-purple-400' },
+            { label: 'Target Speed', value: `${params.speed}px/s`, icon: TrendingUp, color: 'text-green-400' }
+          ]
+        };
+      default:
+        return {
+          headline: [
+            { label: 'Final Score', value: score, icon: Target, color: 'text-yellow-400' },
+            { label: 'Time Survived', value: `${gameTime}s`, icon: Clock, color: 'text-blue-400' }
+          ],
+          details: [reaction, accuracy, { label: 'Max Level', value: difficulty, icon: Target, color: 'text-orange-400' }]
+        };
+    }
+  };
+
+  // Raw numbers behind the game-over cards, saved to the shared results store
+  const getResultMetrics = () => {
+    const { mode, params, tracking } = gameRef.current;
+    if (mode === 'tracking') {
+      return {
+        timeOnTarget: onTargetPercent,
+        longestStreak: tracking.bestStreak / 1000,
+        averageOffset: getAverageOffset(),
+        duration: params.duration
+      };
+    }
+
+    const fit = fitFittsLaw(hits);
+    const metrics = {
+      score,
+      hits: hits.length,
+      misses: misses.length,
+      accuracy: getAccuracy(),
+      averageReaction: hits.length ? getAverageReaction() : null,
+      throughput: fit ? fit.throughput : null
+    };
+    if (mode === 'survival') {
+      return { ...metrics, duration: gameTime, maxLevel: difficulty };
+    }
+    if (mode === 'timed') {
+      return { ...metrics, hitsPerMinute: (score / params.duration) * 60, expired };
+    }
+    return { ...metrics, completionTime: getCompletionTime(), averageOffset: getAverageOffset() };
+  };
+
+  useEffect(() => {
+    if (gameState !== 'gameover') return;
+
+    window.LabResults.record({
+      game: 'aim-trainer',
+      mode: gameRef.current.mode,
+      metrics: getResultMetrics()
+    });
+  }, [gameState]);
+
+  const activeMode = gameState === 'menu' ? settings.mode : gameRef.current.mode;
+  const activeParams = gameState === 'menu' ? settings.params[settings.mode] : gameRef.current.params;
+  const isClickMode = activeMode !== 'tracking';
+  // Fixed-count and precision runs measure clicks against the drawn target size, so hovering must not enlarge it
+  const growsOnHover = isClickMode && activeMode !== 'fixed' && activeMode !== 'precision';
+  const modeStats = gameState === 'gameover' ? getModeStats() : null;
+  const fitts = gameState === 'gameover' && isClickMode ? fitFittsLaw(hits) : null;
+  const averageMissDistance = getAverageMissDistance();
+
   return (
     <div className="min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 flex flex-col items-center justify-center p-4">
       {gameState === 'menu' && (
@@ -156,7 +706,54 @@ export default function AimTrainerGame() {
             <Target className="text-yellow-400 mx-auto mb-4" size={80} />
             <h1 className="text-6xl font-bold text-white mb-4">Clicking Game</h1>
             <p className="text-xl text-gray-300 mb-2">Test your reaction time and hand-eye coordination!</p>
-            <p className="text-lg text-gray-400">Click the targets before they shrink away</p>
+            <p className="text-lg text-gray-400">{GAME_MODES[activeMode].description}</p>
+          </div>
+
+          <div className="flex flex-wrap justify-center gap-2 mb-6" role="radiogroup" aria-label="Game mode">
+            {Object.entries(GAME_MODES).map(([id, mode]) => (
+              <button
+                key={id}
+                role="radio"
+                aria-checked={id === activeMode}
+                onClick={() => selectMode(id)}
+                className={`px-5 py-2 rounded-lg font-bold transition ${
+                  id === activeMode ? 'bg-yellow-400 text-gray-900' : 'bg-gray-800 bg-opacity-70 text-gray-300 hover:bg-gray-700'
+                }`}
+              >
+                {mode.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="bg-gray-800 bg-opacity-50 rounded-lg p-6 max-w-md mx-auto mb-8 text-left">
+            <div className="flex justify-between items-center mb-3">
+              <h3 className="text-white text-xl font-bold">Settings</h3>
+              <button onClick={resetParams} className="text-sm text-gray-400 hover:text-white underline">
+                Reset to defaults
+              </button>
+            </div>
+            <div className="space-y-3">
+              {Object.keys(activeParams).map(key => {
+                const field = PARAM_FIELDS[key];
+                return (
+                  <label key={key} className="block text-gray-300">
+                    <span className="flex justify-between text-sm mb-1">
+                      <span>{field.label}</span>
+                      <span className="text-white font-bold">{activeParams[key]}{field.unit ? ` ${field.unit}` : ''}</span>
+                    </span>
+                    <input
+                      type="range"
+                      min={field.min}
+                      max={field.max}
+                      step={field.step}
+                      value={activeParams[key]}
+                      onChange={(e) => updateParam(key, e.target.value)}
+                      className="w-full"
+                    />
+                  </label>
+                );
+              })}
+            </div>
           </div>
           
           <button
@@ -169,11 +766,9 @@ export default function AimTrainerGame() {
           <div className="mt-8 bg-gray-800 bg-opacity-50 rounded-lg p-6 max-w-md mx-auto">
             <h3 className="text-white text-xl font-bold mb-3">How to Play</h3>
             <ul className="text-gray-300 text-left space-y-2">
-              <li>• Click targets before they shrink completely</li>
-              <li>• Faster clicks = bigger targets when you hit them</li>
-              <li>• You have 3 lives - miss 3 targets and game over</li>
-              <li>• Multiple targets spawn continuously</li>
-              <li>• Difficulty increases as you score!</li>
+              {GAME_MODES[activeMode].howTo.map(line => (
+                <li key={line}>• {line}</li>
+              ))}
             </ul>
           </div>
         </div>
@@ -185,33 +780,45 @@ export default function AimTrainerGame() {
             <div className="flex items-center gap-6">
               <div className="flex items-center gap-2">
                 <Target className="text-yellow-400" size={24} />
-                <span className="text-white text-2xl font-bold">Score: {score}</span>
+                <span className="text-white text-2xl font-bold">
+                  {activeMode === 'tracking' ? `On Target: ${onTargetPercent}%` : `Score: ${score}`}
+                </span>
               </div>
+
+              {(activeMode === 'fixed' || activeMode === 'precision') && (
+                <div className="text-white text-xl font-bold">
+                  {hits.length}/{activeParams.targetCount}
+                </div>
+              )}
               
-              <div className="flex items-center gap-2">
-                <Heart className="text-red-500" size={24} />
-                <div className="flex gap-1">
-                  {[...Array(3)].map((_, i) => (
-                    <Heart
-                      key={i}
-                      size={24}
-                      className={i < lives ? 'text-red-500 fill-red-500' : 'text-gray-600'}
-                    />
-                  ))}
+              {activeMode === 'survival' && (
+                <div className="flex items-center gap-2">
+                  <Heart className="text-red-500" size={24} />
+                  <div className="flex gap-1">
+                    {[...Array(activeParams.lives)].map((_, i) => (
+                      <Heart
+                        key={i}
+                        size={24}
+                        className={i < lives ? 'text-red-500 fill-red-500' : 'text-gray-600'}
+                      />
+                    ))}
+                  </div>
                 </div>
-              </div>
+              )}
             </div>
 
             <div className="flex items-center gap-4">
+              {activeMode === 'survival' && (
+                <div className="text-right">
+                  <div className="text-gray-400 text-sm">Difficulty</div>
+                  <div className="text-white text-xl font-bold">{difficulty}</div>
+                </div>
+              )}
               <div className="text-right">
-                <div className="text-gray-400 text-sm">Difficulty</div>
-                <div className="text-white text-xl font-bold">{difficulty}</div>
-              </div>
-              <div className="text-right">
-                <div className="text-gray-400 text-sm">Time</div>
+                <div className="text-gray-400 text-sm">{activeParams.duration ? 'Time Left' : 'Time'}</div>
                 <div className="text-white text-xl font-bold flex items-center gap-1">
                   <Clock size={20} />
-                  {gameTime}s
+                  {activeParams.duration ? Math.max(0, activeParams.duration - gameTime) : gameTime}s
                 </div>
               </div>
             </div>
@@ -219,33 +826,26 @@ export default function AimTrainerGame() {
 
           <div
             ref={gameAreaRef}
+            onClick={handleAreaClick}
+            onPointerMove={handlePointerMove}
+            onPointerLeave={handlePointerLeave}
             className="relative bg-gray-900 bg-opacity-50 rounded-xl overflow-hidden border-4 border-gray-700 cursor-crosshair"
             style={{ height: '600px' }}
           >
-            {targets.map(target => {
-              const sizePercent = (target.currentSize / target.initialSize) * 100;
-              const hue = Math.max(0, Math.min(120, sizePercent * 1.2)); // Green to red gradient
-              
-              return (
-                <div
-                  key={target.id}
-                  onClick={(e) => handleTargetClick(target, e)}
-                  className="absolute rounded-full cursor-pointer hover:scale-110 transform transition-transform shadow-2xl border-4 border-white"
-                  style={{
-                    left: `${target.x}px`,
-                    top: `${target.y}px`,
-                    width: `${target.currentSize}px`,
-                    height: `${target.currentSize}px`,
-                    backgroundColor: `hsl(${hue}, 80%, 50%)`,
-                    transition: 'width 0.016s linear, height 0.016s linear'
-                  }}
-                >
-                  <div className="absolute inset-0 flex items-center justify-center">
-                    <div className="w-2 h-2 bg-white rounded-full"></div>
-                  </div>
+            {targets.map(target => (
+              <div
+                key={target.id}
+                ref={bindTargetNode(target)}
+                onClick={(e) => handleTargetClick(target, e)}
+                className={`absolute rounded-full transform shadow-2xl border-4 border-white ${
+                  isClickMode ? `cursor-pointer ${growsOnHover ? 'hover:scale-110 transition-transform' : ''}` : ''
+                }`}
+              >
+                <div className="absolute inset-0 flex items-center justify-center">
+                  <div className="w-2 h-2 bg-white rounded-full"></div>
                 </div>
-              );
-            })}
+              </div>
+            ))}
           </div>
         </div>
       )}
@@ -253,42 +853,73 @@ export default function AimTrainerGame() {
       {gameState === 'gameover' && (
         <div className="text-center">
           <Award className="text-yellow-400 mx-auto mb-4" size={80} />
-          <h1 className="text-5xl font-bold text-white mb-8">Game Over!</h1>
+          <h1 className="text-5xl font-bold text-white mb-2">Game Over!</h1>
+          <p className="text-xl text-gray-300 mb-8">{GAME_MODES[activeMode].label}</p>
           
           <div className="bg-gray-800 bg-opacity-70 rounded-2xl p-8 mb-8 max-w-2xl">
             <div className="grid grid-cols-2 gap-6 mb-6">
-              <div className="bg-gray-700 rounded-lg p-6">
-                <Target className="text-yellow-400 mx-auto mb-2" size={32} />
-                <p className="text-gray-400 text-sm mb-1">Final Score</p>
-                <p className="text-5xl font-bold text-white">{score}</p>
-              </div>
-              
-              <div className="bg-gray-700 rounded-lg p-6">
-                <Clock className="text-blue-400 mx-auto mb-2" size={32} />
-                <p className="text-gray-400 text-sm mb-1">Time Survived</p>
-                <p className="text-5xl font-bold text-white">{gameTime}s</p>
-              </div>
+              {modeStats.headline.map(({ label, value, icon: Icon, color }) => (
+                <div key={label} className="bg-gray-700 rounded-lg p-6">
+                  <Icon className={`${color} mx-auto mb-2`} size={32} />
+                  <p className="text-gray-400 text-sm mb-1">{label}</p>
+                  <p className="text-5xl font-bold text-white">{value}</p>
+                </div>
+              ))}
             </div>
 
             <div className="grid grid-cols-3 gap-4">
-              <div className="bg-gray-700 rounded-lg p-4">
-                <TrendingUp className="text-green-400 mx-auto mb-2" size={24} />
-                <p className="text-gray-400 text-sm mb-1">Avg Reaction</p>
-                <p className="text-2xl font-bold text-green-400">{getAverageReaction()}ms</p>
-              </div>
-              
-              <div className="bg-gray-700 rounded-lg p-4">
-                <Award className="text-purple-400 mx-auto mb-2" size={24} />
-                <p className="text-gray-400 text-sm mb-1">Accuracy</p>
-                <p className="text-2xl font-bold text-purple-400">{getAccuracy()}%</p>
-              </div>
-              
-              <div className="bg-gray-700 rounded-lg p-4">
-                <Target className="text-orange-400 mx-auto mb-2" size={24} />
-                <p className="text-gray-400 text-sm mb-1">Max Level</p>
-                <p className="text-2xl font-bold text-orange-400">{difficulty}</p>
-              </div>
+              {modeStats.details.map(({ label, value, icon: Icon, color }) => (
+                <div key={label} className="bg-gray-700 rounded-lg p-4">
+                  <Icon className={`${color} mx-auto mb-2`} size={24} />
+                  <p className="text-gray-400 text-sm mb-1">{label}</p>
+                  <p className={`text-2xl font-bold ${color}`}>{value}</p>
+                </div>
+              ))}
             </div>
+
+            {isClickMode && (
+              <>
+                <div className="grid grid-cols-3 gap-4 mt-4">
+                  <div className="bg-gray-700 rounded-lg p-4">
+                    <p className="text-gray-400 text-sm mb-1">Clicks</p>
+                    <p className="text-2xl font-bold text-white">{hits.length} hit / {misses.length} miss</p>
+                  </div>
+
+                  <div className="bg-gray-700 rounded-lg p-4">
+                    <p className="text-gray-400 text-sm mb-1">Avg Miss Distance</p>
+                    <p className="text-2xl font-bold text-white">{averageMissDistance === null ? '—' : `${averageMissDistance}px`}</p>
+                  </div>
+
+                  <div className="bg-gray-700 rounded-lg p-4">
+                    <p className="text-gray-400 text-sm mb-1">Cursor Travel</p>
+                    <p className="text-2xl font-bold text-white">{Math.round(pathLength(cursorPathRef.current))}px</p>
+                  </div>
+                </div>
+
+                <div className="bg-gray-700 rounded-lg p-4 mt-4 text-left">
+                  <div className="flex items-center gap-2 mb-2">
+                    <TrendingUp className="text-blue-400" size={24} />
+                    <h3 className="text-white text-xl font-bold">Fitts' Law</h3>
+                  </div>
+                  {fitts ? (
+                    <div className="text-gray-300 space-y-1">
+                      <p>
+                        Throughput: <span className="text-2xl font-bold text-blue-400">{fitts.throughput.toFixed(2)} bits/s</span>
+                      </p>
+                      <p>
+                        MT = {Math.round(fitts.intercept)} ms + {Math.round(fitts.slope)} ms/bit × ID
+                        (R² = {fitts.r2.toFixed(2)}, {fitts.n} hits)
+                      </p>
+                      <p className="text-gray-400 text-sm">
+                        ID = log₂(D / W + 1), using the cursor's distance to the target center and the target's size at the click.
+                      </p>
+                    </div>
+                  ) : (
+                    <p className="text-gray-400">Hit at least three targets while moving the cursor to fit movement time against difficulty.</p>
+                  )}
+                </div>
+              </>
+            )}
           </div>
 
           <button
@@ -297,6 +928,12 @@ export default function AimTrainerGame() {
           >
             Play Again
           </button>
+          <button
+            onClick={() => setGameState('menu')}
+            className="ml-4 bg-gray-700 text-white px-8 py-4 rounded-xl text-2xl font-bold hover:bg-gray-600 transition shadow-2xl"
+          >
+            Change Mode
+          </button>
         </div>
       )}
     </div>
@@ -0,0 +1,6 @@
+import React from 'react';
+import { createRoot } from 'react-dom/client';
+import AimTrainerGame from './AimTrainerGame.jsx';
+
+// Entry point for the aim trainer bundle; `npm run build` writes it to pages/dist/
+createRoot(document.getElementById('root')).render(<AimTrainerGame />);
@@ -0,0 +1,68 @@
+(()=>{var ji=Object.create;var Rn=Object.defineProperty;var Ki=Object.getOwnPropertyDescriptor;var Qi=Object.getOwnPropertyNames;var $i=Object.getPrototypeOf,Zi=Object.prototype.hasOwnProperty;var Ra=(e,a)=>()=>{try{return a||e((a={exports:{}}).exports,a),a.exports}catch(t){throw a=0,t}};var bi=(e,a,t,l)=>{if(a&&typeof a=="object"||typeof a=="function")for(let r of Qi(a))!Zi.call(e,r)&&r!==t&&Rn(e,r,{get:()=>a[r],enumerable:!(l=Ki(a,r))||l.enumerable});return e};var et=(e,a,t)=>(t=e!=null?ji($i(e)):{},bi(a||!e||!e.__esModule?Rn(t,"default",{value:e,enumerable:!0}):t,e));var Xn=Ra(E=>{"use strict";var Ot=Symbol.for("react.element"),Ji=Symbol.for("react.portal"),Yi=Symbol.for("react.fragment"),ec=Symbol.for("react.strict_mode"),ac=Symbol.for("react.profiler"),tc=Symbol.for("react.provider"),lc=Symbol.for("react.context"),rc=Symbol.for("react.forward_ref"),oc=Symbol.for("react.suspense"),uc=Symbol.for("react.memo"),nc=Symbol.for("react.lazy"),En=Symbol.iterator;function sc(e){return e===null||typeof e!="object"?null:(e=En&&e[En]||e["@@iterator"],typeof e=="function"?e:null)}var qn={isMounted:function(){return!1},enqueueForceUpdate:function(){},enqueueReplaceState:function(){},enqueueSetState:function(){}},Nn=Object.assign,Hn={};function at(e,a,t){this.props=e,this.context=a,this.refs=Hn,this.updater=t||qn}at.prototype.isReactComponent={};at.prototype.setState=function(e,a){if(typeof e!="object"&&typeof e!="function"&&e!=null)throw Error("setState(...): takes an object of state variables to update or a function which returns an object of state variables.");this.updater.enqueueSetState(this,e,a,"setState")};at.prototype.forceUpdate=function(e){this.updater.enqueueForceUpdate(this,e,"forceUpdate")};function zn(){}zn.prototype=at.prototype;function oo(e,a,t){this.props=e,this.context=a,this.refs=Hn,this.updater=t||qn}var uo=oo.prototype=new zn;uo.constructor=oo;Nn(uo,at.prototype);uo.isPureReactComponent=!0;var On=Array.isArray,_n=Object.prototype.hasOwnProperty,no={current:null},Vn={key:!0,ref:!0,__self:!0,__source:!0};function Gn(e,a,t){var l,r={},o=null,u=null;if(a!=null)for(l in a.ref!==void 0&&(u=a.ref),a.key!==void 0&&(o=""+a.key),a)_n.call(a,l)&&!Vn.hasOwnProperty(l)&&(r[l]=a[l]);var n=arguments.length-2;if(n===1)r.children=t;else if(1<n){for(var s=Array(n),f=0;f<n;f++)s[f]=arguments[f+2];r.children=s}if(e&&e.defaultProps)for(l in n=e.defaultProps,n)r[l]===void 0&&(r[l]=n[l]);return{$$typeof:Ot,type:e,key:o,ref:u,props:r,_owner:no.current}}function dc(e,a){return{$$typeof:Ot,type:e.type,key:a,ref:e.ref,props:e.props,_owner:e._owner}}function so(e){return typeof e=="object"&&e!==null&&e.$$typeof===Ot}function fc(e){var a={"=":"=0",":":"=2"};return"$"+e.replace(/[=:]/g,function(t){return a[t]})}var Un=/\/+/g;function ro(e,a){return typeof e=="object"&&e!==null&&e.key!=null?fc(""+e.key):a.toString(36)}function Bl(e,a,t,l,r){var o=typeof e;(o==="undefined"||o==="boolean")&&(e=null);var u=!1;if(e===null)u=!0;else switch(o){case"string":case"number":u=!0;break;case"object":switch(e.$$typeof){case Ot:case Ji:u=!0}}if(u)return u=e,r=r(u),e=l===""?"."+ro(u,0):l,On(r)?(t="",e!=null&&(t=e.replace(Un,"$&/")+"/"),Bl(r,a,t,"",function(f){return f})):r!=null&&(so(r)&&(r=dc(r,t+(!r.key||u&&u.key===r.key?"":(""+r.key).replace(Un,"$&/")+"/")+e)),a.push(r)),1;if(u=0,l=l===""?".":l+":",On(e))for(var n=0;n<e.length;n++){o=e[n];var s=l+ro(o,n);u+=Bl(o,a,t,s,r)}else if(s=sc(e),typeof s=="function")for(e=s.call(e),n=0;!(o=e.next()).done;)o=o.value,s=l+ro(o,n++),u+=Bl(o,a,t,s,r);else if(o==="object")throw a=String(e),Error("Objects are not valid as a React child (found: "+(a==="[object Object]"?"object with keys {"+Object.keys(e).join(", ")+"}":a)+"). If you meant to render a collection of children, use an array instead.");return u}function Fl(e,a,t){if(e==null)return e;var l=[],r=0;return Bl(e,l,"","",function(o){return a.call(t,o,r++)}),l}function ic(e){if(e._status===-1){var a=e._result;a=a(),a.then(function(t){(e._status===0||e._status===-1)&&(e._status=1,e._result=t)},function(t){(e._status===0||e._status===-1)&&(e._status=2,e._result=t)}),e._status===-1&&(e._status=0,e._result=a)}if(e._status===1)return e._result.default;throw e._result}var pe={current:null},Rl={transition:null},cc={ReactCurrentDispatcher:pe,ReactCurrentBatchConfig:Rl,ReactCurrentOwner:no};function Wn(){throw Error("act(...) is not supported in production builds of React.")}E.Children={map:Fl,forEach:function(e,a,t){Fl(e,function(){a.apply(this,arguments)},t)},count:function(e){var a=0;return Fl(e,function(){a++}),a},toArray:function(e){return Fl(e,function(a){return a})||[]},only:function(e){if(!so(e))throw Error("React.Children.only expected to receive a single React element child.");return e}};E.Component=at;E.Fragment=Yi;E.Profiler=ac;E.PureComponent=oo;E.StrictMode=ec;E.Suspense=oc;E.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=cc;E.act=Wn;E.cloneElement=function(e,a,t){if(e==null)throw Error("React.cloneElement(...): The argument must be a React element, but you passed "+e+".");var l=Nn({},e.props),r=e.key,o=e.ref,u=e._owner;if(a!=null){if(a.ref!==void 0&&(o=a.ref,u=no.current),a.key!==void 0&&(r=""+a.key),e.type&&e.type.defaultProps)var n=e.type.defaultProps;for(s in a)_n.call(a,s)&&!Vn.hasOwnProperty(s)&&(l[s]=a[s]===void 0&&n!==void 0?n[s]:a[s])}var s=arguments.length-2;if(s===1)l.children=t;else if(1<s){n=Array(s);for(var f=0;f<s;f++)n[f]=arguments[f+2];l.children=n}return{$$typeof:Ot,type:e.type,key:r,ref:o,props:l,_owner:u}};E.createContext=function(e){return e={$$typeof:lc,_currentValue:e,_currentValue2:e,_threadCount:0,Provider:null,Consumer:null,_defaultValue:null,_globalName:null},e.Provider={$$typeof:tc,_context:e},e.Consumer=e};E.createElement=Gn;E.createFactory=function(e){var a=Gn.bind(null,e);return a.type=e,a};E.createRef=function(){return{current:null}};E.forwardRef=function(e){return{$$typeof:rc,render:e}};E.isValidElement=so;E.lazy=function(e){return{$$typeof:nc,_payload:{_status:-1,_result:e},_init:ic}};E.memo=function(e,a){return{$$typeof:uc,type:e,compare:a===void 0?null:a}};E.startTransition=function(e){var a=Rl.transition;Rl.transition={};try{e()}finally{Rl.transition=a}};E.unstable_act=Wn;E.useCallback=function(e,a){return pe.current.useCallback(e,a)};E.useContext=function(e){return pe.current.useContext(e)};E.useDebugValue=function(){};E.useDeferredValue=function(e){return pe.current.useDeferredValue(e)};E.useEffect=function(e,a){return pe.current.useEffect(e,a)};E.useId=function(){return pe.current.useId()};E.useImperativeHandle=function(e,a,t){return pe.current.useImperativeHandle(e,a,t)};E.useInsertionEffect=function(e,a){return pe.current.useInsertionEffect(e,a)};E.useLayoutEffect=function(e,a){return pe.current.useLayoutEffect(e,a)};E.useMemo=function(e,a){return pe.current.useMemo(e,a)};E.useReducer=function(e,a,t){return pe.current.useReducer(e,a,t)};E.useRef=function(e){return pe.current.useRef(e)};E.useState=function(e){return pe.current.useState(e)};E.useSyncExternalStore=function(e,a,t){return pe.current.useSyncExternalStore(e,a,t)};E.useTransition=function(){return pe.current.useTransition()};E.version="18.3.1"});var Ea=Ra((Tm,jn)=>{"use strict";jn.exports=Xn()});var ts=Ra(z=>{"use strict";function po(e,a){var t=e.length;e.push(a);e:for(;0<t;){var l=t-1>>>1,r=e[l];if(0<El(r,a))e[l]=a,e[t]=r,t=l;else break e}}function qe(e){return e.length===0?null:e[0]}function Ul(e){if(e.length===0)return null;var a=e[0],t=e.pop();if(t!==a){e[0]=t;e:for(var l=0,r=e.length,o=r>>>1;l<o;){var u=2*(l+1)-1,n=e[u],s=u+1,f=e[s];if(0>El(n,t))s<r&&0>El(f,n)?(e[l]=f,e[s]=t,l=s):(e[l]=n,e[u]=t,l=u);else if(s<r&&0>El(f,t))e[l]=f,e[s]=t,l=s;else break e}}return a}function El(e,a){var t=e.sortIndex-a.sortIndex;return t!==0?t:e.id-a.id}typeof performance=="object"&&typeof performance.now=="function"?(Kn=performance,z.unstable_now=function(){return Kn.now()}):(fo=Date,Qn=fo.now(),z.unstable_now=function(){return fo.now()-Qn});var Kn,fo,Qn,Xe=[],fa=[],pc=1,Ae=null,ue=3,ql=!1,Oa=!1,qt=!1,bn=typeof setTimeout=="function"?setTimeout:null,Jn=typeof clearTimeout=="function"?clearTimeout:null,$n=typeof setImmediate!="undefined"?setImmediate:null;typeof navigator!="undefined"&&navigator.scheduling!==void 0&&navigator.scheduling.isInputPending!==void 0&&navigator.scheduling.isInputPending.bind(navigator.scheduling);function mo(e){for(var a=qe(fa);a!==null;){if(a.callback===null)Ul(fa);else if(a.startTime<=e)Ul(fa),a.sortIndex=a.expirationTime,po(Xe,a);else break;a=qe(fa)}}function Lo(e){if(qt=!1,mo(e),!Oa)if(qe(Xe)!==null)Oa=!0,xo(ho);else{var a=qe(fa);a!==null&&go(Lo,a.startTime-e)}}function ho(e,a){Oa=!1,qt&&(qt=!1,Jn(Nt),Nt=-1),ql=!0;var t=ue;try{for(mo(a),Ae=qe(Xe);Ae!==null&&(!(Ae.expirationTime>a)||e&&!as());){var l=Ae.callback;if(typeof l=="function"){Ae.callback=null,ue=Ae.priorityLevel;var r=l(Ae.expirationTime<=a);a=z.unstable_now(),typeof r=="function"?Ae.callback=r:Ae===qe(Xe)&&Ul(Xe),mo(a)}else Ul(Xe);Ae=qe(Xe)}if(Ae!==null)var o=!0;else{var u=qe(fa);u!==null&&go(Lo,u.startTime-a),o=!1}return o}finally{Ae=null,ue=t,ql=!1}}var Nl=!1,Ol=null,Nt=-1,Yn=5,es=-1;function as(){return!(z.unstable_now()-es<Yn)}function io(){if(Ol!==null){var e=z.unstable_now();es=e;var a=!0;try{a=Ol(!0,e)}finally{a?Ut():(Nl=!1,Ol=null)}}else Nl=!1}var Ut;typeof $n=="function"?Ut=function(){$n(io)}:typeof MessageChannel!="undefined"?(co=new MessageChannel,Zn=co.port2,co.port1.onmessage=io,Ut=function(){Zn.postMessage(null)}):Ut=function(){bn(io,0)};var co,Zn;function xo(e){Ol=e,Nl||(Nl=!0,Ut())}function go(e,a){Nt=bn(function(){e(z.unstable_now())},a)}z.unstable_IdlePriority=5;z.unstable_ImmediatePriority=1;z.unstable_LowPriority=4;z.unstable_NormalPriority=3;z.unstable_Profiling=null;z.unstable_UserBlockingPriority=2;z.unstable_cancelCallback=function(e){e.callback=null};z.unstable_continueExecution=function(){Oa||ql||(Oa=!0,xo(ho))};z.unstable_forceFrameRate=function(e){0>e||125<e?console.error("forceFrameRate takes a positive int between 0 and 125, forcing frame rates higher than 125 fps is not supported"):Yn=0<e?Math.floor(1e3/e):5};z.unstable_getCurrentPriorityLevel=function(){return ue};z.unstable_getFirstCallbackNode=function(){return qe(Xe)};z.unstable_next=function(e){switch(ue){case 1:case 2:case 3:var a=3;break;default:a=ue}var t=ue;ue=a;try{return e()}finally{ue=t}};z.unstable_pauseExecution=function(){};z.unstable_requestPaint=function(){};z.unstable_runWithPriority=function(e,a){switch(e){case 1:case 2:case 3:case 4:case 5:break;default:e=3}var t=ue;ue=e;try{return a()}finally{ue=t}};z.unstable_scheduleCallback=function(e,a,t){var l=z.unstable_now();switch(typeof t=="object"&&t!==null?(t=t.delay,t=typeof t=="number"&&0<t?l+t:l):t=l,e){case 1:var r=-1;break;case 2:r=250;break;case 5:r=1073741823;break;case 4:r=1e4;break;default:r=5e3}return r=t+r,e={id:pc++,callback:a,priorityLevel:e,startTime:t,expirationTime:r,sortIndex:-1},t>l?(e.sortIndex=t,po(fa,e),qe(Xe)===null&&e===qe(fa)&&(qt?(Jn(Nt),Nt=-1):qt=!0,go(Lo,t-l))):(e.sortIndex=r,po(Xe,e),Oa||ql||(Oa=!0,xo(ho))),e};z.unstable_shouldYield=as;z.unstable_wrapCallback=function(e){var a=ue;return function(){var t=ue;ue=a;try{return e.apply(this,arguments)}finally{ue=t}}}});var rs=Ra((Bm,ls)=>{"use strict";ls.exports=ts()});var di=Ra(De=>{"use strict";var mc=Ea(),Pe=rs();function C(e){for(var a="https://reactjs.org/docs/error-decoder.html?invariant="+e,t=1;t<arguments.length;t++)a+="&args[]="+encodeURIComponent(arguments[t]);return"Minified React error #"+e+"; visit "+a+" for the full message or use the non-minified dev environment for full errors and additional helpful warnings."}var id=new Set,ul={};function Qa(e,a){yt(e,a),yt(e+"Capture",a)}function yt(e,a){for(ul[e]=a,e=0;e<a.length;e++)id.add(a[e])}var ra=!(typeof window=="undefined"||typeof window.document=="undefined"||typeof window.document.createElement=="undefined"),_o=Object.prototype.hasOwnProperty,Lc=/^[:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD][:A-Z_a-z\u00C0-\u00D6\u00D8-\u00F6\u00F8-\u02FF\u0370-\u037D\u037F-\u1FFF\u200C-\u200D\u2070-\u218F\u2C00-\u2FEF\u3001-\uD7FF\uF900-\uFDCF\uFDF0-\uFFFD\-.0-9\u00B7\u0300-\u036F\u203F-\u2040]*$/,os={},us={};function hc(e){return _o.call(us,e)?!0:_o.call(os,e)?!1:Lc.test(e)?us[e]=!0:(os[e]=!0,!1)}function xc(e,a,t,l){if(t!==null&&t.type===0)return!1;switch(typeof a){case"function":case"symbol":return!0;case"boolean":return l?!1:t!==null?!t.acceptsBooleans:(e=e.toLowerCase().slice(0,5),e!=="data-"&&e!=="aria-");default:return!1}}function gc(e,a,t,l){if(a===null||typeof a=="undefined"||xc(e,a,t,l))return!0;if(l)return!1;if(t!==null)switch(t.type){case 3:return!a;case 4:return a===!1;case 5:return isNaN(a);case 6:return isNaN(a)||1>a}return!1}function he(e,a,t,l,r,o,u){this.acceptsBooleans=a===2||a===3||a===4,this.attributeName=l,this.attributeNamespace=r,this.mustUseProperty=t,this.propertyName=e,this.type=a,this.sanitizeURL=o,this.removeEmptyString=u}var oe={};"children dangerouslySetInnerHTML defaultValue defaultChecked innerHTML suppressContentEditableWarning suppressHydrationWarning style".split(" ").forEach(function(e){oe[e]=new he(e,0,!1,e,null,!1,!1)});[["acceptCharset","accept-charset"],["className","class"],["htmlFor","for"],["httpEquiv","http-equiv"]].forEach(function(e){var a=e[0];oe[a]=new he(a,1,!1,e[1],null,!1,!1)});["contentEditable","draggable","spellCheck","value"].forEach(function(e){oe[e]=new he(e,2,!1,e.toLowerCase(),null,!1,!1)});["autoReverse","externalResourcesRequired","focusable","preserveAlpha"].forEach(function(e){oe[e]=new he(e,2,!1,e,null,!1,!1)});"allowFullScreen async autoFocus autoPlay controls default defer disabled disablePictureInPicture disableRemotePlayback formNoValidate hidden loop noModule noValidate open playsInline readOnly required reversed scoped seamless itemScope".split(" ").forEach(function(e){oe[e]=new he(e,3,!1,e.toLowerCase(),null,!1,!1)});["checked","multiple","muted","selected"].forEach(function(e){oe[e]=new he(e,3,!0,e,null,!1,!1)});["capture","download"].forEach(function(e){oe[e]=new he(e,4,!1,e,null,!1,!1)});["cols","rows","size","span"].forEach(function(e){oe[e]=new he(e,6,!1,e,null,!1,!1)});["rowSpan","start"].forEach(function(e){oe[e]=new he(e,5,!1,e.toLowerCase(),null,!1,!1)});var Ru=/[\-:]([a-z])/g;function Eu(e){return e[1].toUpperCase()}"accent-height alignment-baseline arabic-form baseline-shift cap-height clip-path clip-rule color-interpolation color-interpolation-filters color-profile color-rendering dominant-baseline enable-background fill-opacity fill-rule flood-color flood-opacity font-family font-size font-size-adjust font-stretch font-style font-variant font-weight glyph-name glyph-orientation-horizontal glyph-orientation-vertical horiz-adv-x horiz-origin-x image-rendering letter-spacing lighting-color marker-end marker-mid marker-start overline-position overline-thickness paint-order panose-1 pointer-events rendering-intent shape-rendering stop-color stop-opacity strikethrough-position strikethrough-thickness stroke-dasharray stroke-dashoffset stroke-linecap stroke-linejoin stroke-miterlimit stroke-opacity stroke-width text-anchor text-decoration text-rendering underline-position underline-thickness unicode-bidi unicode-range units-per-em v-alphabetic v-hanging v-ideographic v-mathematical vector-effect vert-adv-y vert-origin-x vert-origin-y word-spacing writing-mode xmlns:xlink x-height".split(" ").forEach(function(e){var a=e.replace(Ru,Eu);oe[a]=new he(a,1,!1,e,null,!1,!1)});"xlink:actuate xlink:arcrole xlink:role xlink:show xlink:title xlink:type".split(" ").forEach(function(e){var a=e.replace(Ru,Eu);oe[a]=new he(a,1,!1,e,"http://www.w3.org/1999/xlink",!1,!1)});["xml:base","xml:lang","xml:space"].forEach(function(e){var a=e.replace(Ru,Eu);oe[a]=new he(a,1,!1,e,"http://www.w3.org/XML/1998/namespace",!1,!1)});["tabIndex","crossOrigin"].forEach(function(e){oe[e]=new he(e,1,!1,e.toLowerCase(),null,!1,!1)});oe.xlinkHref=new he("xlinkHref",1,!1,"xlink:href","http://www.w3.org/1999/xlink",!0,!1);["src","href","action","formAction"].forEach(function(e){oe[e]=new he(e,1,!1,e.toLowerCase(),null,!0,!0)});function Ou(e,a,t,l){var r=oe.hasOwnProperty(a)?oe[a]:null;(r!==null?r.type!==0:l||!(2<a.length)||a[0]!=="o"&&a[0]!=="O"||a[1]!=="n"&&a[1]!=="N")&&(gc(a,t,r,l)&&(t=null),l||r===null?hc(a)&&(t===null?e.removeAttribute(a):e.setAttribute(a,""+t)):r.mustUseProperty?e[r.propertyName]=t===null?r.type===3?!1:"":t:(a=r.attributeName,l=r.attributeNamespace,t===null?e.removeAttribute(a):(r=r.type,t=r===3||r===4&&t===!0?"":""+t,l?e.setAttributeNS(l,a,t):e.setAttribute(a,t))))}var sa=mc.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED,Hl=Symbol.for("react.element"),rt=Symbol.for("react.portal"),ot=Symbol.for("react.fragment"),Uu=Symbol.for("react.strict_mode"),Vo=Symbol.for("react.profiler"),cd=Symbol.for("react.provider"),pd=Symbol.for("react.context"),qu=Symbol.for("react.forward_ref"),Go=Symbol.for("react.suspense"),Wo=Symbol.for("react.suspense_list"),Nu=Symbol.for("react.memo"),ca=Symbol.for("react.lazy"),md=Symbol.for("react.offscreen"),ns=Symbol.iterator;function Ht(e){return e===null||typeof e!="object"?null:(e=ns&&e[ns]||e["@@iterator"],typeof e=="function"?e:null)}var Q=Object.assign,Io;function Kt(e){if(Io===void 0)try{throw Error()}catch(t){var a=t.stack.trim().match(/\n( *(at )?)/);Io=a&&a[1]||""}return`
+`+Io+e}var Co=!1;function So(e,a){if(!e||Co)return"";Co=!0;var t=Error.prepareStackTrace;Error.prepareStackTrace=void 0;try{if(a)if(a=function(){throw Error()},Object.defineProperty(a.prototype,"props",{set:function(){throw Error()}}),typeof Reflect=="object"&&Reflect.construct){try{Reflect.construct(a,[])}catch(f){var l=f}Reflect.construct(e,[],a)}else{try{a.call()}catch(f){l=f}e.call(a.prototype)}else{try{throw Error()}catch(f){l=f}e()}}catch(f){if(f&&l&&typeof f.stack=="string"){for(var r=f.stack.split(`
+`),o=l.stack.split(`
+`),u=r.length-1,n=o.length-1;1<=u&&0<=n&&r[u]!==o[n];)n--;for(;1<=u&&0<=n;u--,n--)if(r[u]!==o[n]){if(u!==1||n!==1)do if(u--,n--,0>n||r[u]!==o[n]){var s=`
+`+r[u].replace(" at new "," at ");return e.displayName&&s.includes("<anonymous>")&&(s=s.replace("<anonymous>",e.displayName)),s}while(1<=u&&0<=n);break}}}finally{Co=!1,Error.prepareStackTrace=t}return(e=e?e.displayName||e.name:"")?Kt(e):""}function Ic(e){switch(e.tag){case 5:return Kt(e.type);case 16:return Kt("Lazy");case 13:return Kt("Suspense");case 19:return Kt("SuspenseList");case 0:case 2:case 15:return e=So(e.type,!1),e;case 11:return e=So(e.type.render,!1),e;case 1:return e=So(e.type,!0),e;default:return""}}function Xo(e){if(e==null)return null;if(typeof e=="function")return e.displayName||e.name||null;if(typeof e=="string")return e;switch(e){case ot:return"Fragment";case rt:return"Portal";case Vo:return"Profiler";case Uu:return"StrictMode";case Go:return"Suspense";case Wo:return"SuspenseList"}if(typeof e=="object")switch(e.$$typeof){case pd:return(e.displayName||"Context")+".Consumer";case cd:return(e._context.displayName||"Context")+".Provider";case qu:var a=e.render;return e=e.displayName,e||(e=a.displayName||a.name||"",e=e!==""?"ForwardRef("+e+")":"ForwardRef"),e;case Nu:return a=e.displayName||null,a!==null?a:Xo(e.type)||"Memo";case ca:a=e._payload,e=e._init;try{return Xo(e(a))}catch(t){}}return null}function Cc(e){var a=e.type;switch(e.tag){case 24:return"Cache";case 9:return(a.displayName||"Context")+".Consumer";case 10:return(a._context.displayName||"Context")+".Provider";case 18:return"DehydratedFragment";case 11:return e=a.render,e=e.displayName||e.name||"",a.displayName||(e!==""?"ForwardRef("+e+")":"ForwardRef");case 7:return"Fragment";case 5:return a;case 4:return"Portal";case 3:return"Root";case 6:return"Text";case 16:return Xo(a);case 8:return a===Uu?"StrictMode":"Mode";case 22:return"Offscreen";case 12:return"Profiler";case 21:return"Scope";case 13:return"Suspense";case 19:return"SuspenseList";case 25:return"TracingMarker";case 1:case 0:case 17:case 2:case 14:case 15:if(typeof a=="function")return a.displayName||a.name||null;if(typeof a=="string")return a}return null}function Pa(e){switch(typeof e){case"boolean":case"number":case"string":case"undefined":return e;case"object":return e;default:return""}}function Ld(e){var a=e.type;return(e=e.nodeName)&&e.toLowerCase()==="input"&&(a==="checkbox"||a==="radio")}function Sc(e){var a=Ld(e)?"checked":"value",t=Object.getOwnPropertyDescriptor(e.constructor.prototype,a),l=""+e[a];if(!e.hasOwnProperty(a)&&typeof t!="undefined"&&typeof t.get=="function"&&typeof t.set=="function"){var r=t.get,o=t.set;return Object.defineProperty(e,a,{configurable:!0,get:function(){return r.call(this)},set:function(u){l=""+u,o.call(this,u)}}),Object.defineProperty(e,a,{enumerable:t.enumerable}),{getValue:function(){return l},setValue:function(u){l=""+u},stopTracking:function(){e._valueTracker=null,delete e[a]}}}}function zl(e){e._valueTracker||(e._valueTracker=Sc(e))}function hd(e){if(!e)return!1;var a=e._valueTracker;if(!a)return!0;var t=a.getValue(),l="";return e&&(l=Ld(e)?e.checked?"true":"false":e.value),e=l,e!==t?(a.setValue(e),!0):!1}function mr(e){if(e=e||(typeof document!="undefined"?document:void 0),typeof e=="undefined")return null;try{return e.activeElement||e.body}catch(a){return e.body}}function jo(e,a){var t=a.checked;return Q({},a,{defaultChecked:void 0,defaultValue:void 0,value:void 0,checked:t!=null?t:e._wrapperState.initialChecked})}function ss(e,a){var t=a.defaultValue==null?"":a.defaultValue,l=a.checked!=null?a.checked:a.defaultChecked;t=Pa(a.value!=null?a.value:t),e._wrapperState={initialChecked:l,initialValue:t,controlled:a.type==="checkbox"||a.type==="radio"?a.checked!=null:a.value!=null}}function xd(e,a){a=a.checked,a!=null&&Ou(e,"checked",a,!1)}function Ko(e,a){xd(e,a);var t=Pa(a.value),l=a.type;if(t!=null)l==="number"?(t===0&&e.value===""||e.value!=t)&&(e.value=""+t):e.value!==""+t&&(e.value=""+t);else if(l==="submit"||l==="reset"){e.removeAttribute("value");return}a.hasOwnProperty("value")?Qo(e,a.type,t):a.hasOwnProperty("defaultValue")&&Qo(e,a.type,Pa(a.defaultValue)),a.checked==null&&a.defaultChecked!=null&&(e.defaultChecked=!!a.defaultChecked)}function ds(e,a,t){if(a.hasOwnProperty("value")||a.hasOwnProperty("defaultValue")){var l=a.type;if(!(l!=="submit"&&l!=="reset"||a.value!==void 0&&a.value!==null))return;a=""+e._wrapperState.initialValue,t||a===e.value||(e.value=a),e.defaultValue=a}t=e.name,t!==""&&(e.name=""),e.defaultChecked=!!e._wrapperState.initialChecked,t!==""&&(e.name=t)}function Qo(e,a,t){(a!=="number"||mr(e.ownerDocument)!==e)&&(t==null?e.defaultValue=""+e._wrapperState.initialValue:e.defaultValue!==""+t&&(e.defaultValue=""+t))}var Qt=Array.isArray;function ht(e,a,t,l){if(e=e.options,a){a={};for(var r=0;r<t.length;r++)a["$"+t[r]]=!0;for(t=0;t<e.length;t++)r=a.hasOwnProperty("$"+e[t].value),e[t].selected!==r&&(e[t].selected=r),r&&l&&(e[t].defaultSelected=!0)}else{for(t=""+Pa(t),a=null,r=0;r<e.length;r++){if(e[r].value===t){e[r].selected=!0,l&&(e[r].defaultSelected=!0);return}a!==null||e[r].disabled||(a=e[r])}a!==null&&(a.selected=!0)}}function $o(e,a){if(a.dangerouslySetInnerHTML!=null)throw Error(C(91));return Q({},a,{value:void 0,defaultValue:void 0,children:""+e._wrapperState.initialValue})}function fs(e,a){var t=a.value;if(t==null){if(t=a.children,a=a.defaultValue,t!=null){if(a!=null)throw Error(C(92));if(Qt(t)){if(1<t.length)throw Error(C(93));t=t[0]}a=t}a==null&&(a=""),t=a}e._wrapperState={initialValue:Pa(t)}}function gd(e,a){var t=Pa(a.value),l=Pa(a.defaultValue);t!=null&&(t=""+t,t!==e.value&&(e.value=t),a.defaultValue==null&&e.defaultValue!==t&&(e.defaultValue=t)),l!=null&&(e.defaultValue=""+l)}function is(e){var a=e.textContent;a===e._wrapperState.initialValue&&a!==""&&a!==null&&(e.value=a)}function Id(e){switch(e){case"svg":return"http://www.w3.org/2000/svg";case"math":return"http://www.w3.org/1998/Math/MathML";default:return"http://www.w3.org/1999/xhtml"}}function Zo(e,a){return e==null||e==="http://www.w3.org/1999/xhtml"?Id(a):e==="http://www.w3.org/2000/svg"&&a==="foreignObject"?"http://www.w3.org/1999/xhtml":e}var _l,Cd=(function(e){return typeof MSApp!="undefined"&&MSApp.execUnsafeLocalFunction?function(a,t,l,r){MSApp.execUnsafeLocalFunction(function(){return e(a,t,l,r)})}:e})(function(e,a){if(e.namespaceURI!=="http://www.w3.org/2000/svg"||"innerHTML"in e)e.innerHTML=a;else{for(_l=_l||document.createElement("div"),_l.innerHTML="<svg>"+a.valueOf().toString()+"</svg>",a=_l.firstChild;e.firstChild;)e.removeChild(e.firstChild);for(;a.firstChild;)e.appendChild(a.firstChild)}});function nl(e,a){if(a){var t=e.firstChild;if(t&&t===e.lastChild&&t.nodeType===3){t.nodeValue=a;return}}e.textContent=a}var bt={animationIterationCount:!0,aspectRatio:!0,borderImageOutset:!0,borderImageSlice:!0,borderImageWidth:!0,boxFlex:!0,boxFlexGroup:!0,boxOrdinalGroup:!0,columnCount:!0,columns:!0,flex:!0,flexGrow:!0,flexPositive:!0,flexShrink:!0,flexNegative:!0,flexOrder:!0,gridArea:!0,gridRow:!0,gridRowEnd:!0,gridRowSpan:!0,gridRowStart:!0,gridColumn:!0,gridColumnEnd:!0,gridColumnSpan:!0,gridColumnStart:!0,fontWeight:!0,lineClamp:!0,lineHeight:!0,opacity:!0,order:!0,orphans:!0,tabSize:!0,widows:!0,zIndex:!0,zoom:!0,fillOpacity:!0,floodOpacity:!0,stopOpacity:!0,strokeDasharray:!0,strokeDashoffset:!0,strokeMiterlimit:!0,strokeOpacity:!0,strokeWidth:!0},yc=["Webkit","ms","Moz","O"];Object.keys(bt).forEach(function(e){yc.forEach(function(a){a=a+e.charAt(0).toUpperCase()+e.substring(1),bt[a]=bt[e]})});function Sd(e,a,t){return a==null||typeof a=="boolean"||a===""?"":t||typeof a!="number"||a===0||bt.hasOwnProperty(e)&&bt[e]?(""+a).trim():a+"px"}function yd(e,a){e=e.style;for(var t in a)if(a.hasOwnProperty(t)){var l=t.indexOf("--")===0,r=Sd(t,a[t],l);t==="float"&&(t="cssFloat"),l?e.setProperty(t,r):e[t]=r}}var vc=Q({menuitem:!0},{area:!0,base:!0,br:!0,col:!0,embed:!0,hr:!0,img:!0,input:!0,keygen:!0,link:!0,meta:!0,param:!0,source:!0,track:!0,wbr:!0});function bo(e,a){if(a){if(vc[e]&&(a.children!=null||a.dangerouslySetInnerHTML!=null))throw Error(C(137,e));if(a.dangerouslySetInnerHTML!=null){if(a.children!=null)throw Error(C(60));if(typeof a.dangerouslySetInnerHTML!="object"||!("__html"in a.dangerouslySetInnerHTML))throw Error(C(61))}if(a.style!=null&&typeof a.style!="object")throw Error(C(62))}}function Jo(e,a){if(e.indexOf("-")===-1)return typeof a.is=="string";switch(e){case"annotation-xml":case"color-profile":case"font-face":case"font-face-src":case"font-face-uri":case"font-face-format":case"font-face-name":case"missing-glyph":return!1;default:return!0}}var Yo=null;function Hu(e){return e=e.target||e.srcElement||window,e.correspondingUseElement&&(e=e.correspondingUseElement),e.nodeType===3?e.parentNode:e}var eu=null,xt=null,gt=null;function cs(e){if(e=wl(e)){if(typeof eu!="function")throw Error(C(280));var a=e.stateNode;a&&(a=Vr(a),eu(e.stateNode,e.type,a))}}function vd(e){xt?gt?gt.push(e):gt=[e]:xt=e}function kd(){if(xt){var e=xt,a=gt;if(gt=xt=null,cs(e),a)for(e=0;e<a.length;e++)cs(a[e])}}function wd(e,a){return e(a)}function Pd(){}var yo=!1;function Md(e,a,t){if(yo)return e(a,t);yo=!0;try{return wd(e,a,t)}finally{yo=!1,(xt!==null||gt!==null)&&(Pd(),kd())}}function sl(e,a){var t=e.stateNode;if(t===null)return null;var l=Vr(t);if(l===null)return null;t=l[a];e:switch(a){case"onClick":case"onClickCapture":case"onDoubleClick":case"onDoubleClickCapture":case"onMouseDown":case"onMouseDownCapture":case"onMouseMove":case"onMouseMoveCapture":case"onMouseUp":case"onMouseUpCapture":case"onMouseEnter":(l=!l.disabled)||(e=e.type,l=!(e==="button"||e==="input"||e==="select"||e==="textarea")),e=!l;break e;default:e=!1}if(e)return null;if(t&&typeof t!="function")throw Error(C(231,a,typeof t));return t}var au=!1;if(ra)try{tt={},Object.defineProperty(tt,"passive",{get:function(){au=!0}}),window.addEventListener("test",tt,tt),window.removeEventListener("test",tt,tt)}catch(e){au=!1}var tt;function kc(e,a,t,l,r,o,u,n,s){var f=Array.prototype.slice.call(arguments,3);try{a.apply(t,f)}catch(m){this.onError(m)}}var Jt=!1,Lr=null,hr=!1,tu=null,wc={onError:function(e){Jt=!0,Lr=e}};function Pc(e,a,t,l,r,o,u,n,s){Jt=!1,Lr=null,kc.apply(wc,arguments)}function Mc(e,a,t,l,r,o,u,n,s){if(Pc.apply(this,arguments),Jt){if(Jt){var f=Lr;Jt=!1,Lr=null}else throw Error(C(198));hr||(hr=!0,tu=f)}}function $a(e){var a=e,t=e;if(e.alternate)for(;a.return;)a=a.return;else{e=a;do a=e,(a.flags&4098)!==0&&(t=a.return),e=a.return;while(e)}return a.tag===3?t:null}function Dd(e){if(e.tag===13){var a=e.memoizedState;if(a===null&&(e=e.alternate,e!==null&&(a=e.memoizedState)),a!==null)return a.dehydrated}return null}function ps(e){if($a(e)!==e)throw Error(C(188))}function Dc(e){var a=e.alternate;if(!a){if(a=$a(e),a===null)throw Error(C(188));return a!==e?null:e}for(var t=e,l=a;;){var r=t.return;if(r===null)break;var o=r.alternate;if(o===null){if(l=r.return,l!==null){t=l;continue}break}if(r.child===o.child){for(o=r.child;o;){if(o===t)return ps(r),e;if(o===l)return ps(r),a;o=o.sibling}throw Error(C(188))}if(t.return!==l.return)t=r,l=o;else{for(var u=!1,n=r.child;n;){if(n===t){u=!0,t=r,l=o;break}if(n===l){u=!0,l=r,t=o;break}n=n.sibling}if(!u){for(n=o.child;n;){if(n===t){u=!0,t=o,l=r;break}if(n===l){u=!0,l=o,t=r;break}n=n.sibling}if(!u)throw Error(C(189))}}if(t.alternate!==l)throw Error(C(190))}if(t.tag!==3)throw Error(C(188));return t.stateNode.current===t?e:a}function Ad(e){return e=Dc(e),e!==null?Td(e):null}function Td(e){if(e.tag===5||e.tag===6)return e;for(e=e.child;e!==null;){var a=Td(e);if(a!==null)return a;e=e.sibling}return null}var Fd=Pe.unstable_scheduleCallback,ms=Pe.unstable_cancelCallback,Ac=Pe.unstable_shouldYield,Tc=Pe.unstable_requestPaint,Z=Pe.unstable_now,Fc=Pe.unstable_getCurrentPriorityLevel,zu=Pe.unstable_ImmediatePriority,Bd=Pe.unstable_UserBlockingPriority,xr=Pe.unstable_NormalPriority,Bc=Pe.unstable_LowPriority,Rd=Pe.unstable_IdlePriority,Nr=null,$e=null;function Rc(e){if($e&&typeof $e.onCommitFiberRoot=="function")try{$e.onCommitFiberRoot(Nr,e,void 0,(e.current.flags&128)===128)}catch(a){}}var Ve=Math.clz32?Math.clz32:Uc,Ec=Math.log,Oc=Math.LN2;function Uc(e){return e>>>=0,e===0?32:31-(Ec(e)/Oc|0)|0}var Vl=64,Gl=4194304;function $t(e){switch(e&-e){case 1:return 1;case 2:return 2;case 4:return 4;case 8:return 8;case 16:return 16;case 32:return 32;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return e&4194240;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return e&130023424;case 134217728:return 134217728;case 268435456:return 268435456;case 536870912:return 536870912;case 1073741824:return 1073741824;default:return e}}function gr(e,a){var t=e.pendingLanes;if(t===0)return 0;var l=0,r=e.suspendedLanes,o=e.pingedLanes,u=t&268435455;if(u!==0){var n=u&~r;n!==0?l=$t(n):(o&=u,o!==0&&(l=$t(o)))}else u=t&~r,u!==0?l=$t(u):o!==0&&(l=$t(o));if(l===0)return 0;if(a!==0&&a!==l&&(a&r)===0&&(r=l&-l,o=a&-a,r>=o||r===16&&(o&4194240)!==0))return a;if((l&4)!==0&&(l|=t&16),a=e.entangledLanes,a!==0)for(e=e.entanglements,a&=l;0<a;)t=31-Ve(a),r=1<<t,l|=e[t],a&=~r;return l}function qc(e,a){switch(e){case 1:case 2:case 4:return a+250;case 8:case 16:case 32:case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:return a+5e3;case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:return-1;case 134217728:case 268435456:case 536870912:case 1073741824:return-1;default:return-1}}function Nc(e,a){for(var t=e.suspendedLanes,l=e.pingedLanes,r=e.expirationTimes,o=e.pendingLanes;0<o;){var u=31-Ve(o),n=1<<u,s=r[u];s===-1?((n&t)===0||(n&l)!==0)&&(r[u]=qc(n,a)):s<=a&&(e.expiredLanes|=n),o&=~n}}function lu(e){return e=e.pendingLanes&-1073741825,e!==0?e:e&1073741824?1073741824:0}function Ed(){var e=Vl;return Vl<<=1,(Vl&4194240)===0&&(Vl=64),e}function vo(e){for(var a=[],t=0;31>t;t++)a.push(e);return a}function vl(e,a,t){e.pendingLanes|=a,a!==536870912&&(e.suspendedLanes=0,e.pingedLanes=0),e=e.eventTimes,a=31-Ve(a),e[a]=t}function Hc(e,a){var t=e.pendingLanes&~a;e.pendingLanes=a,e.suspendedLanes=0,e.pingedLanes=0,e.expiredLanes&=a,e.mutableReadLanes&=a,e.entangledLanes&=a,a=e.entanglements;var l=e.eventTimes;for(e=e.expirationTimes;0<t;){var r=31-Ve(t),o=1<<r;a[r]=0,l[r]=-1,e[r]=-1,t&=~o}}function _u(e,a){var t=e.entangledLanes|=a;for(e=e.entanglements;t;){var l=31-Ve(t),r=1<<l;r&a|e[l]&a&&(e[l]|=a),t&=~r}}var H=0;function Od(e){return e&=-e,1<e?4<e?(e&268435455)!==0?16:536870912:4:1}var Ud,Vu,qd,Nd,Hd,ru=!1,Wl=[],ga=null,Ia=null,Ca=null,dl=new Map,fl=new Map,ma=[],zc="mousedown mouseup touchcancel touchend touchstart auxclick dblclick pointercancel pointerdown pointerup dragend dragstart drop compositionend compositionstart keydown keypress keyup input textInput copy cut paste click change contextmenu reset submit".split(" ");function Ls(e,a){switch(e){case"focusin":case"focusout":ga=null;break;case"dragenter":case"dragleave":Ia=null;break;case"mouseover":case"mouseout":Ca=null;break;case"pointerover":case"pointerout":dl.delete(a.pointerId);break;case"gotpointercapture":case"lostpointercapture":fl.delete(a.pointerId)}}function zt(e,a,t,l,r,o){return e===null||e.nativeEvent!==o?(e={blockedOn:a,domEventName:t,eventSystemFlags:l,nativeEvent:o,targetContainers:[r]},a!==null&&(a=wl(a),a!==null&&Vu(a)),e):(e.eventSystemFlags|=l,a=e.targetContainers,r!==null&&a.indexOf(r)===-1&&a.push(r),e)}function _c(e,a,t,l,r){switch(a){case"focusin":return ga=zt(ga,e,a,t,l,r),!0;case"dragenter":return Ia=zt(Ia,e,a,t,l,r),!0;case"mouseover":return Ca=zt(Ca,e,a,t,l,r),!0;case"pointerover":var o=r.pointerId;return dl.set(o,zt(dl.get(o)||null,e,a,t,l,r)),!0;case"gotpointercapture":return o=r.pointerId,fl.set(o,zt(fl.get(o)||null,e,a,t,l,r)),!0}return!1}function zd(e){var a=Na(e.target);if(a!==null){var t=$a(a);if(t!==null){if(a=t.tag,a===13){if(a=Dd(t),a!==null){e.blockedOn=a,Hd(e.priority,function(){qd(t)});return}}else if(a===3&&t.stateNode.current.memoizedState.isDehydrated){e.blockedOn=t.tag===3?t.stateNode.containerInfo:null;return}}}e.blockedOn=null}function rr(e){if(e.blockedOn!==null)return!1;for(var a=e.targetContainers;0<a.length;){var t=ou(e.domEventName,e.eventSystemFlags,a[0],e.nativeEvent);if(t===null){t=e.nativeEvent;var l=new t.constructor(t.type,t);Yo=l,t.target.dispatchEvent(l),Yo=null}else return a=wl(t),a!==null&&Vu(a),e.blockedOn=t,!1;a.shift()}return!0}function hs(e,a,t){rr(e)&&t.delete(a)}function Vc(){ru=!1,ga!==null&&rr(ga)&&(ga=null),Ia!==null&&rr(Ia)&&(Ia=null),Ca!==null&&rr(Ca)&&(Ca=null),dl.forEach(hs),fl.forEach(hs)}function _t(e,a){e.blockedOn===a&&(e.blockedOn=null,ru||(ru=!0,Pe.unstable_scheduleCallback(Pe.unstable_NormalPriority,Vc)))}function il(e){function a(r){return _t(r,e)}if(0<Wl.length){_t(Wl[0],e);for(var t=1;t<Wl.length;t++){var l=Wl[t];l.blockedOn===e&&(l.blockedOn=null)}}for(ga!==null&&_t(ga,e),Ia!==null&&_t(Ia,e),Ca!==null&&_t(Ca,e),dl.forEach(a),fl.forEach(a),t=0;t<ma.length;t++)l=ma[t],l.blockedOn===e&&(l.blockedOn=null);for(;0<ma.length&&(t=ma[0],t.blockedOn===null);)zd(t),t.blockedOn===null&&ma.shift()}var It=sa.ReactCurrentBatchConfig,Ir=!0;function Gc(e,a,t,l){var r=H,o=It.transition;It.transition=null;try{H=1,Gu(e,a,t,l)}finally{H=r,It.transition=o}}function Wc(e,a,t,l){var r=H,o=It.transition;It.transition=null;try{H=4,Gu(e,a,t,l)}finally{H=r,It.transition=o}}function Gu(e,a,t,l){if(Ir){var r=ou(e,a,t,l);if(r===null)To(e,a,l,Cr,t),Ls(e,l);else if(_c(r,e,a,t,l))l.stopPropagation();else if(Ls(e,l),a&4&&-1<zc.indexOf(e)){for(;r!==null;){var o=wl(r);if(o!==null&&Ud(o),o=ou(e,a,t,l),o===null&&To(e,a,l,Cr,t),o===r)break;r=o}r!==null&&l.stopPropagation()}else To(e,a,l,null,t)}}var Cr=null;function ou(e,a,t,l){if(Cr=null,e=Hu(l),e=Na(e),e!==null)if(a=$a(e),a===null)e=null;else if(t=a.tag,t===13){if(e=Dd(a),e!==null)return e;e=null}else if(t===3){if(a.stateNode.current.memoizedState.isDehydrated)return a.tag===3?a.stateNode.containerInfo:null;e=null}else a!==e&&(e=null);return Cr=e,null}function _d(e){switch(e){case"cancel":case"click":case"close":case"contextmenu":case"copy":case"cut":case"auxclick":case"dblclick":case"dragend":case"dragstart":case"drop":case"focusin":case"focusout":case"input":case"invalid":case"keydown":case"keypress":case"keyup":case"mousedown":case"mouseup":case"paste":case"pause":case"play":case"pointercancel":case"pointerdown":case"pointerup":case"ratechange":case"reset":case"resize":case"seeked":case"submit":case"touchcancel":case"touchend":case"touchstart":case"volumechange":case"change":case"selectionchange":case"textInput":case"compositionstart":case"compositionend":case"compositionupdate":case"beforeblur":case"afterblur":case"beforeinput":case"blur":case"fullscreenchange":case"focus":case"hashchange":case"popstate":case"select":case"selectstart":return 1;case"drag":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"mousemove":case"mouseout":case"mouseover":case"pointermove":case"pointerout":case"pointerover":case"scroll":case"toggle":case"touchmove":case"wheel":case"mouseenter":case"mouseleave":case"pointerenter":case"pointerleave":return 4;case"message":switch(Fc()){case zu:return 1;case Bd:return 4;case xr:case Bc:return 16;case Rd:return 536870912;default:return 16}default:return 16}}var ha=null,Wu=null,or=null;function Vd(){if(or)return or;var e,a=Wu,t=a.length,l,r="value"in ha?ha.value:ha.textContent,o=r.length;for(e=0;e<t&&a[e]===r[e];e++);var u=t-e;for(l=1;l<=u&&a[t-l]===r[o-l];l++);return or=r.slice(e,1<l?1-l:void 0)}function ur(e){var a=e.keyCode;return"charCode"in e?(e=e.charCode,e===0&&a===13&&(e=13)):e=a,e===10&&(e=13),32<=e||e===13?e:0}function Xl(){return!0}function xs(){return!1}function Me(e){function a(t,l,r,o,u){this._reactName=t,this._targetInst=r,this.type=l,this.nativeEvent=o,this.target=u,this.currentTarget=null;for(var n in e)e.hasOwnProperty(n)&&(t=e[n],this[n]=t?t(o):o[n]);return this.isDefaultPrevented=(o.defaultPrevented!=null?o.defaultPrevented:o.returnValue===!1)?Xl:xs,this.isPropagationStopped=xs,this}return Q(a.prototype,{preventDefault:function(){this.defaultPrevented=!0;var t=this.nativeEvent;t&&(t.preventDefault?t.preventDefault():typeof t.returnValue!="unknown"&&(t.returnValue=!1),this.isDefaultPrevented=Xl)},stopPropagation:function(){var t=this.nativeEvent;t&&(t.stopPropagation?t.stopPropagation():typeof t.cancelBubble!="unknown"&&(t.cancelBubble=!0),this.isPropagationStopped=Xl)},persist:function(){},isPersistent:Xl}),a}var At={eventPhase:0,bubbles:0,cancelable:0,timeStamp:function(e){return e.timeStamp||Date.now()},defaultPrevented:0,isTrusted:0},Xu=Me(At),kl=Q({},At,{view:0,detail:0}),Xc=Me(kl),ko,wo,Vt,Hr=Q({},kl,{screenX:0,screenY:0,clientX:0,clientY:0,pageX:0,pageY:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,getModifierState:ju,button:0,buttons:0,relatedTarget:function(e){return e.relatedTarget===void 0?e.fromElement===e.srcElement?e.toElement:e.fromElement:e.relatedTarget},movementX:function(e){return"movementX"in e?e.movementX:(e!==Vt&&(Vt&&e.type==="mousemove"?(ko=e.screenX-Vt.screenX,wo=e.screenY-Vt.screenY):wo=ko=0,Vt=e),ko)},movementY:function(e){return"movementY"in e?e.movementY:wo}}),gs=Me(Hr),jc=Q({},Hr,{dataTransfer:0}),Kc=Me(jc),Qc=Q({},kl,{relatedTarget:0}),Po=Me(Qc),$c=Q({},At,{animationName:0,elapsedTime:0,pseudoElement:0}),Zc=Me($c),bc=Q({},At,{clipboardData:function(e){return"clipboardData"in e?e.clipboardData:window.clipboardData}}),Jc=Me(bc),Yc=Q({},At,{data:0}),Is=Me(Yc),ep={Esc:"Escape",Spacebar:" ",Left:"ArrowLeft",Up:"ArrowUp",Right:"ArrowRight",Down:"ArrowDown",Del:"Delete",Win:"OS",Menu:"ContextMenu",Apps:"ContextMenu",Scroll:"ScrollLock",MozPrintableKey:"Unidentified"},ap={8:"Backspace",9:"Tab",12:"Clear",13:"Enter",16:"Shift",17:"Control",18:"Alt",19:"Pause",20:"CapsLock",27:"Escape",32:" ",33:"PageUp",34:"PageDown",35:"End",36:"Home",37:"ArrowLeft",38:"ArrowUp",39:"ArrowRight",40:"ArrowDown",45:"Insert",46:"Delete",112:"F1",113:"F2",114:"F3",115:"F4",116:"F5",117:"F6",118:"F7",119:"F8",120:"F9",121:"F10",122:"F11",123:"F12",144:"NumLock",145:"ScrollLock",224:"Meta"},tp={Alt:"altKey",Control:"ctrlKey",Meta:"metaKey",Shift:"shiftKey"};function lp(e){var a=this.nativeEvent;return a.getModifierState?a.getModifierState(e):(e=tp[e])?!!a[e]:!1}function ju(){return lp}var rp=Q({},kl,{key:function(e){if(e.key){var a=ep[e.key]||e.key;if(a!=="Unidentified")return a}return e.type==="keypress"?(e=ur(e),e===13?"Enter":String.fromCharCode(e)):e.type==="keydown"||e.type==="keyup"?ap[e.keyCode]||"Unidentified":""},code:0,location:0,ctrlKey:0,shiftKey:0,altKey:0,metaKey:0,repeat:0,locale:0,getModifierState:ju,charCode:function(e){return e.type==="keypress"?ur(e):0},keyCode:function(e){return e.type==="keydown"||e.type==="keyup"?e.keyCode:0},which:function(e){return e.type==="keypress"?ur(e):e.type==="keydown"||e.type==="keyup"?e.keyCode:0}}),op=Me(rp),up=Q({},Hr,{pointerId:0,width:0,height:0,pressure:0,tangentialPressure:0,tiltX:0,tiltY:0,twist:0,pointerType:0,isPrimary:0}),Cs=Me(up),np=Q({},kl,{touches:0,targetTouches:0,changedTouches:0,altKey:0,metaKey:0,ctrlKey:0,shiftKey:0,getModifierState:ju}),sp=Me(np),dp=Q({},At,{propertyName:0,elapsedTime:0,pseudoElement:0}),fp=Me(dp),ip=Q({},Hr,{deltaX:function(e){return"deltaX"in e?e.deltaX:"wheelDeltaX"in e?-e.wheelDeltaX:0},deltaY:function(e){return"deltaY"in e?e.deltaY:"wheelDeltaY"in e?-e.wheelDeltaY:"wheelDelta"in e?-e.wheelDelta:0},deltaZ:0,deltaMode:0}),cp=Me(ip),pp=[9,13,27,32],Ku=ra&&"CompositionEvent"in window,Yt=null;ra&&"documentMode"in document&&(Yt=document.documentMode);var mp=ra&&"TextEvent"in window&&!Yt,Gd=ra&&(!Ku||Yt&&8<Yt&&11>=Yt),Ss=" ",ys=!1;function Wd(e,a){switch(e){case"keyup":return pp.indexOf(a.keyCode)!==-1;case"keydown":return a.keyCode!==229;case"keypress":case"mousedown":case"focusout":return!0;default:return!1}}function Xd(e){return e=e.detail,typeof e=="object"&&"data"in e?e.data:null}var ut=!1;function Lp(e,a){switch(e){case"compositionend":return Xd(a);case"keypress":return a.which!==32?null:(ys=!0,Ss);case"textInput":return e=a.data,e===Ss&&ys?null:e;default:return null}}function hp(e,a){if(ut)return e==="compositionend"||!Ku&&Wd(e,a)?(e=Vd(),or=Wu=ha=null,ut=!1,e):null;switch(e){case"paste":return null;case"keypress":if(!(a.ctrlKey||a.altKey||a.metaKey)||a.ctrlKey&&a.altKey){if(a.char&&1<a.char.length)return a.char;if(a.which)return String.fromCharCode(a.which)}return null;case"compositionend":return Gd&&a.locale!=="ko"?null:a.data;default:return null}}var xp={color:!0,date:!0,datetime:!0,"datetime-local":!0,email:!0,month:!0,number:!0,password:!0,range:!0,search:!0,tel:!0,text:!0,time:!0,url:!0,week:!0};function vs(e){var a=e&&e.nodeName&&e.nodeName.toLowerCase();return a==="input"?!!xp[e.type]:a==="textarea"}function jd(e,a,t,l){vd(l),a=Sr(a,"onChange"),0<a.length&&(t=new Xu("onChange","change",null,t,l),e.push({event:t,listeners:a}))}var el=null,cl=null;function gp(e){lf(e,0)}function zr(e){var a=dt(e);if(hd(a))return e}function Ip(e,a){if(e==="change")return a}var Kd=!1;ra&&(ra?(Kl="oninput"in document,Kl||(Mo=document.createElement("div"),Mo.setAttribute("oninput","return;"),Kl=typeof Mo.oninput=="function"),jl=Kl):jl=!1,Kd=jl&&(!document.documentMode||9<document.documentMode));var jl,Kl,Mo;function ks(){el&&(el.detachEvent("onpropertychange",Qd),cl=el=null)}function Qd(e){if(e.propertyName==="value"&&zr(cl)){var a=[];jd(a,cl,e,Hu(e)),Md(gp,a)}}function Cp(e,a,t){e==="focusin"?(ks(),el=a,cl=t,el.attachEvent("onpropertychange",Qd)):e==="focusout"&&ks()}function Sp(e){if(e==="selectionchange"||e==="keyup"||e==="keydown")return zr(cl)}function yp(e,a){if(e==="click")return zr(a)}function vp(e,a){if(e==="input"||e==="change")return zr(a)}function kp(e,a){return e===a&&(e!==0||1/e===1/a)||e!==e&&a!==a}var We=typeof Object.is=="function"?Object.is:kp;function pl(e,a){if(We(e,a))return!0;if(typeof e!="object"||e===null||typeof a!="object"||a===null)return!1;var t=Object.keys(e),l=Object.keys(a);if(t.length!==l.length)return!1;for(l=0;l<t.length;l++){var r=t[l];if(!_o.call(a,r)||!We(e[r],a[r]))return!1}return!0}function ws(e){for(;e&&e.firstChild;)e=e.firstChild;return e}function Ps(e,a){var t=ws(e);e=0;for(var l;t;){if(t.nodeType===3){if(l=e+t.textContent.length,e<=a&&l>=a)return{node:t,offset:a-e};e=l}e:{for(;t;){if(t.nextSibling){t=t.nextSibling;break e}t=t.parentNode}t=void 0}t=ws(t)}}function $d(e,a){return e&&a?e===a?!0:e&&e.nodeType===3?!1:a&&a.nodeType===3?$d(e,a.parentNode):"contains"in e?e.contains(a):e.compareDocumentPosition?!!(e.compareDocumentPosition(a)&16):!1:!1}function Zd(){for(var e=window,a=mr();a instanceof e.HTMLIFrameElement;){try{var t=typeof a.contentWindow.location.href=="string"}catch(l){t=!1}if(t)e=a.contentWindow;else break;a=mr(e.document)}return a}function Qu(e){var a=e&&e.nodeName&&e.nodeName.toLowerCase();return a&&(a==="input"&&(e.type==="text"||e.type==="search"||e.type==="tel"||e.type==="url"||e.type==="password")||a==="textarea"||e.contentEditable==="true")}function wp(e){var a=Zd(),t=e.focusedElem,l=e.selectionRange;if(a!==t&&t&&t.ownerDocument&&$d(t.ownerDocument.documentElement,t)){if(l!==null&&Qu(t)){if(a=l.start,e=l.end,e===void 0&&(e=a),"selectionStart"in t)t.selectionStart=a,t.selectionEnd=Math.min(e,t.value.length);else if(e=(a=t.ownerDocument||document)&&a.defaultView||window,e.getSelection){e=e.getSelection();var r=t.textContent.length,o=Math.min(l.start,r);l=l.end===void 0?o:Math.min(l.end,r),!e.extend&&o>l&&(r=l,l=o,o=r),r=Ps(t,o);var u=Ps(t,l);r&&u&&(e.rangeCount!==1||e.anchorNode!==r.node||e.anchorOffset!==r.offset||e.focusNode!==u.node||e.focusOffset!==u.offset)&&(a=a.createRange(),a.setStart(r.node,r.offset),e.removeAllRanges(),o>l?(e.addRange(a),e.extend(u.node,u.offset)):(a.setEnd(u.node,u.offset),e.addRange(a)))}}for(a=[],e=t;e=e.parentNode;)e.nodeType===1&&a.push({element:e,left:e.scrollLeft,top:e.scrollTop});for(typeof t.focus=="function"&&t.focus(),t=0;t<a.length;t++)e=a[t],e.element.scrollLeft=e.left,e.element.scrollTop=e.top}}var Pp=ra&&"documentMode"in document&&11>=document.documentMode,nt=null,uu=null,al=null,nu=!1;function Ms(e,a,t){var l=t.window===t?t.document:t.nodeType===9?t:t.ownerDocument;nu||nt==null||nt!==mr(l)||(l=nt,"selectionStart"in l&&Qu(l)?l={start:l.selectionStart,end:l.selectionEnd}:(l=(l.ownerDocument&&l.ownerDocument.defaultView||window).getSelection(),l={anchorNode:l.anchorNode,anchorOffset:l.anchorOffset,focusNode:l.focusNode,focusOffset:l.focusOffset}),al&&pl(al,l)||(al=l,l=Sr(uu,"onSelect"),0<l.length&&(a=new Xu("onSelect","select",null,a,t),e.push({event:a,listeners:l}),a.target=nt)))}function Ql(e,a){var t={};return t[e.toLowerCase()]=a.toLowerCase(),t["Webkit"+e]="webkit"+a,t["Moz"+e]="moz"+a,t}var st={animationend:Ql("Animation","AnimationEnd"),animationiteration:Ql("Animation","AnimationIteration"),animationstart:Ql("Animation","AnimationStart"),transitionend:Ql("Transition","TransitionEnd")},Do={},bd={};ra&&(bd=document.createElement("div").style,"AnimationEvent"in window||(delete st.animationend.animation,delete st.animationiteration.animation,delete st.animationstart.animation),"TransitionEvent"in window||delete st.transitionend.transition);function _r(e){if(Do[e])return Do[e];if(!st[e])return e;var a=st[e],t;for(t in a)if(a.hasOwnProperty(t)&&t in bd)return Do[e]=a[t];return e}var Jd=_r("animationend"),Yd=_r("animationiteration"),ef=_r("animationstart"),af=_r("transitionend"),tf=new Map,Ds="abort auxClick cancel canPlay canPlayThrough click close contextMenu copy cut drag dragEnd dragEnter dragExit dragLeave dragOver dragStart drop durationChange emptied encrypted ended error gotPointerCapture input invalid keyDown keyPress keyUp load loadedData loadedMetadata loadStart lostPointerCapture mouseDown mouseMove mouseOut mouseOver mouseUp paste pause play playing pointerCancel pointerDown pointerMove pointerOut pointerOver pointerUp progress rateChange reset resize seeked seeking stalled submit suspend timeUpdate touchCancel touchEnd touchStart volumeChange scroll toggle touchMove waiting wheel".split(" ");function Da(e,a){tf.set(e,a),Qa(a,[e])}for($l=0;$l<Ds.length;$l++)Zl=Ds[$l],As=Zl.toLowerCase(),Ts=Zl[0].toUpperCase()+Zl.slice(1),Da(As,"on"+Ts);var Zl,As,Ts,$l;Da(Jd,"onAnimationEnd");Da(Yd,"onAnimationIteration");Da(ef,"onAnimationStart");Da("dblclick","onDoubleClick");Da("focusin","onFocus");Da("focusout","onBlur");Da(af,"onTransitionEnd");yt("onMouseEnter",["mouseout","mouseover"]);yt("onMouseLeave",["mouseout","mouseover"]);yt("onPointerEnter",["pointerout","pointerover"]);yt("onPointerLeave",["pointerout","pointerover"]);Qa("onChange","change click focusin focusout input keydown keyup selectionchange".split(" "));Qa("onSelect","focusout contextmenu dragend focusin keydown keyup mousedown mouseup selectionchange".split(" "));Qa("onBeforeInput",["compositionend","keypress","textInput","paste"]);Qa("onCompositionEnd","compositionend focusout keydown keypress keyup mousedown".split(" "));Qa("onCompositionStart","compositionstart focusout keydown keypress keyup mousedown".split(" "));Qa("onCompositionUpdate","compositionupdate focusout keydown keypress keyup mousedown".split(" "));var Zt="abort canplay canplaythrough durationchange emptied encrypted ended error loadeddata loadedmetadata loadstart pause play playing progress ratechange resize seeked seeking stalled suspend timeupdate volumechange waiting".split(" "),Mp=new Set("cancel close invalid load scroll toggle".split(" ").concat(Zt));function Fs(e,a,t){var l=e.type||"unknown-event";e.currentTarget=t,Mc(l,a,void 0,e),e.currentTarget=null}function lf(e,a){a=(a&4)!==0;for(var t=0;t<e.length;t++){var l=e[t],r=l.event;l=l.listeners;e:{var o=void 0;if(a)for(var u=l.length-1;0<=u;u--){var n=l[u],s=n.instance,f=n.currentTarget;if(n=n.listener,s!==o&&r.isPropagationStopped())break e;Fs(r,n,f),o=s}else for(u=0;u<l.length;u++){if(n=l[u],s=n.instance,f=n.currentTarget,n=n.listener,s!==o&&r.isPropagationStopped())break e;Fs(r,n,f),o=s}}}if(hr)throw e=tu,hr=!1,tu=null,e}function G(e,a){var t=a[cu];t===void 0&&(t=a[cu]=new Set);var l=e+"__bubble";t.has(l)||(rf(a,e,2,!1),t.add(l))}function Ao(e,a,t){var l=0;a&&(l|=4),rf(t,e,l,a)}var bl="_reactListening"+Math.random().toString(36).slice(2);function ml(e){if(!e[bl]){e[bl]=!0,id.forEach(function(t){t!=="selectionchange"&&(Mp.has(t)||Ao(t,!1,e),Ao(t,!0,e))});var a=e.nodeType===9?e:e.ownerDocument;a===null||a[bl]||(a[bl]=!0,Ao("selectionchange",!1,a))}}function rf(e,a,t,l){switch(_d(a)){case 1:var r=Gc;break;case 4:r=Wc;break;default:r=Gu}t=r.bind(null,a,t,e),r=void 0,!au||a!=="touchstart"&&a!=="touchmove"&&a!=="wheel"||(r=!0),l?r!==void 0?e.addEventListener(a,t,{capture:!0,passive:r}):e.addEventListener(a,t,!0):r!==void 0?e.addEventListener(a,t,{passive:r}):e.addEventListener(a,t,!1)}function To(e,a,t,l,r){var o=l;if((a&1)===0&&(a&2)===0&&l!==null)e:for(;;){if(l===null)return;var u=l.tag;if(u===3||u===4){var n=l.stateNode.containerInfo;if(n===r||n.nodeType===8&&n.parentNode===r)break;if(u===4)for(u=l.return;u!==null;){var s=u.tag;if((s===3||s===4)&&(s=u.stateNode.containerInfo,s===r||s.nodeType===8&&s.parentNode===r))return;u=u.return}for(;n!==null;){if(u=Na(n),u===null)return;if(s=u.tag,s===5||s===6){l=o=u;continue e}n=n.parentNode}}l=l.return}Md(function(){var f=o,m=Hu(t),g=[];e:{var L=tf.get(e);if(L!==void 0){var S=Xu,y=e;switch(e){case"keypress":if(ur(t)===0)break e;case"keydown":case"keyup":S=op;break;case"focusin":y="focus",S=Po;break;case"focusout":y="blur",S=Po;break;case"beforeblur":case"afterblur":S=Po;break;case"click":if(t.button===2)break e;case"auxclick":case"dblclick":case"mousedown":case"mousemove":case"mouseup":case"mouseout":case"mouseover":case"contextmenu":S=gs;break;case"drag":case"dragend":case"dragenter":case"dragexit":case"dragleave":case"dragover":case"dragstart":case"drop":S=Kc;break;case"touchcancel":case"touchend":case"touchmove":case"touchstart":S=sp;break;case Jd:case Yd:case ef:S=Zc;break;case af:S=fp;break;case"scroll":S=Xc;break;case"wheel":S=cp;break;case"copy":case"cut":case"paste":S=Jc;break;case"gotpointercapture":case"lostpointercapture":case"pointercancel":case"pointerdown":case"pointermove":case"pointerout":case"pointerover":case"pointerup":S=Cs}var v=(a&4)!==0,q=!v&&e==="scroll",i=v?L!==null?L+"Capture":null:L;v=[];for(var d=f,c;d!==null;){c=d;var I=c.stateNode;if(c.tag===5&&I!==null&&(c=I,i!==null&&(I=sl(d,i),I!=null&&v.push(Ll(d,I,c)))),q)break;d=d.return}0<v.length&&(L=new S(L,y,null,t,m),g.push({event:L,listeners:v}))}}if((a&7)===0){e:{if(L=e==="mouseover"||e==="pointerover",S=e==="mouseout"||e==="pointerout",L&&t!==Yo&&(y=t.relatedTarget||t.fromElement)&&(Na(y)||y[oa]))break e;if((S||L)&&(L=m.window===m?m:(L=m.ownerDocument)?L.defaultView||L.parentWindow:window,S?(y=t.relatedTarget||t.toElement,S=f,y=y?Na(y):null,y!==null&&(q=$a(y),y!==q||y.tag!==5&&y.tag!==6)&&(y=null)):(S=null,y=f),S!==y)){if(v=gs,I="onMouseLeave",i="onMouseEnter",d="mouse",(e==="pointerout"||e==="pointerover")&&(v=Cs,I="onPointerLeave",i="onPointerEnter",d="pointer"),q=S==null?L:dt(S),c=y==null?L:dt(y),L=new v(I,d+"leave",S,t,m),L.target=q,L.relatedTarget=c,I=null,Na(m)===f&&(v=new v(i,d+"enter",y,t,m),v.target=c,v.relatedTarget=q,I=v),q=I,S&&y)a:{for(v=S,i=y,d=0,c=v;c;c=lt(c))d++;for(c=0,I=i;I;I=lt(I))c++;for(;0<d-c;)v=lt(v),d--;for(;0<c-d;)i=lt(i),c--;for(;d--;){if(v===i||i!==null&&v===i.alternate)break a;v=lt(v),i=lt(i)}v=null}else v=null;S!==null&&Bs(g,L,S,v,!1),y!==null&&q!==null&&Bs(g,q,y,v,!0)}}e:{if(L=f?dt(f):window,S=L.nodeName&&L.nodeName.toLowerCase(),S==="select"||S==="input"&&L.type==="file")var k=Ip;else if(vs(L))if(Kd)k=vp;else{k=Sp;var M=Cp}else(S=L.nodeName)&&S.toLowerCase()==="input"&&(L.type==="checkbox"||L.type==="radio")&&(k=yp);if(k&&(k=k(e,f))){jd(g,k,t,m);break e}M&&M(e,L,f),e==="focusout"&&(M=L._wrapperState)&&M.controlled&&L.type==="number"&&Qo(L,"number",L.value)}switch(M=f?dt(f):window,e){case"focusin":(vs(M)||M.contentEditable==="true")&&(nt=M,uu=f,al=null);break;case"focusout":al=uu=nt=null;break;case"mousedown":nu=!0;break;case"contextmenu":case"mouseup":case"dragend":nu=!1,Ms(g,t,m);break;case"selectionchange":if(Pp)break;case"keydown":case"keyup":Ms(g,t,m)}var P;if(Ku)e:{switch(e){case"compositionstart":var A="onCompositionStart";break e;case"compositionend":A="onCompositionEnd";break e;case"compositionupdate":A="onCompositionUpdate";break e}A=void 0}else ut?Wd(e,t)&&(A="onCompositionEnd"):e==="keydown"&&t.keyCode===229&&(A="onCompositionStart");A&&(Gd&&t.locale!=="ko"&&(ut||A!=="onCompositionStart"?A==="onCompositionEnd"&&ut&&(P=Vd()):(ha=m,Wu="value"in ha?ha.value:ha.textContent,ut=!0)),M=Sr(f,A),0<M.length&&(A=new Is(A,e,null,t,m),g.push({event:A,listeners:M}),P?A.data=P:(P=Xd(t),P!==null&&(A.data=P)))),(P=mp?Lp(e,t):hp(e,t))&&(f=Sr(f,"onBeforeInput"),0<f.length&&(m=new Is("onBeforeInput","beforeinput",null,t,m),g.push({event:m,listeners:f}),m.data=P))}lf(g,a)})}function Ll(e,a,t){return{instance:e,listener:a,currentTarget:t}}function Sr(e,a){for(var t=a+"Capture",l=[];e!==null;){var r=e,o=r.stateNode;r.tag===5&&o!==null&&(r=o,o=sl(e,t),o!=null&&l.unshift(Ll(e,o,r)),o=sl(e,a),o!=null&&l.push(Ll(e,o,r))),e=e.return}return l}function lt(e){if(e===null)return null;do e=e.return;while(e&&e.tag!==5);return e||null}function Bs(e,a,t,l,r){for(var o=a._reactName,u=[];t!==null&&t!==l;){var n=t,s=n.alternate,f=n.stateNode;if(s!==null&&s===l)break;n.tag===5&&f!==null&&(n=f,r?(s=sl(t,o),s!=null&&u.unshift(Ll(t,s,n))):r||(s=sl(t,o),s!=null&&u.push(Ll(t,s,n)))),t=t.return}u.length!==0&&e.push({event:a,listeners:u})}var Dp=/\r\n?/g,Ap=/\u0000|\uFFFD/g;function Rs(e){return(typeof e=="string"?e:""+e).replace(Dp,`
+`).replace(Ap,"")}function Jl(e,a,t){if(a=Rs(a),Rs(e)!==a&&t)throw Error(C(425))}function yr(){}var su=null,du=null;function fu(e,a){return e==="textarea"||e==="noscript"||typeof a.children=="string"||typeof a.children=="number"||typeof a.dangerouslySetInnerHTML=="object"&&a.dangerouslySetInnerHTML!==null&&a.dangerouslySetInnerHTML.__html!=null}var iu=typeof setTimeout=="function"?setTimeout:void 0,Tp=typeof clearTimeout=="function"?clearTimeout:void 0,Es=typeof Promise=="function"?Promise:void 0,Fp=typeof queueMicrotask=="function"?queueMicrotask:typeof Es!="undefined"?function(e){return Es.resolve(null).then(e).catch(Bp)}:iu;function Bp(e){setTimeout(function(){throw e})}function Fo(e,a){var t=a,l=0;do{var r=t.nextSibling;if(e.removeChild(t),r&&r.nodeType===8)if(t=r.data,t==="/$"){if(l===0){e.removeChild(r),il(a);return}l--}else t!=="$"&&t!=="$?"&&t!=="$!"||l++;t=r}while(t);il(a)}function Sa(e){for(;e!=null;e=e.nextSibling){var a=e.nodeType;if(a===1||a===3)break;if(a===8){if(a=e.data,a==="$"||a==="$!"||a==="$?")break;if(a==="/$")return null}}return e}function Os(e){e=e.previousSibling;for(var a=0;e;){if(e.nodeType===8){var t=e.data;if(t==="$"||t==="$!"||t==="$?"){if(a===0)return e;a--}else t==="/$"&&a++}e=e.previousSibling}return null}var Tt=Math.random().toString(36).slice(2),Qe="__reactFiber$"+Tt,hl="__reactProps$"+Tt,oa="__reactContainer$"+Tt,cu="__reactEvents$"+Tt,Rp="__reactListeners$"+Tt,Ep="__reactHandles$"+Tt;function Na(e){var a=e[Qe];if(a)return a;for(var t=e.parentNode;t;){if(a=t[oa]||t[Qe]){if(t=a.alternate,a.child!==null||t!==null&&t.child!==null)for(e=Os(e);e!==null;){if(t=e[Qe])return t;e=Os(e)}return a}e=t,t=e.parentNode}return null}function wl(e){return e=e[Qe]||e[oa],!e||e.tag!==5&&e.tag!==6&&e.tag!==13&&e.tag!==3?null:e}function dt(e){if(e.tag===5||e.tag===6)return e.stateNode;throw Error(C(33))}function Vr(e){return e[hl]||null}var pu=[],ft=-1;function Aa(e){return{current:e}}function W(e){0>ft||(e.current=pu[ft],pu[ft]=null,ft--)}function _(e,a){ft++,pu[ft]=e.current,e.current=a}var Ma={},fe=Aa(Ma),Ie=Aa(!1),Ga=Ma;function vt(e,a){var t=e.type.contextTypes;if(!t)return Ma;var l=e.stateNode;if(l&&l.__reactInternalMemoizedUnmaskedChildContext===a)return l.__reactInternalMemoizedMaskedChildContext;var r={},o;for(o in t)r[o]=a[o];return l&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=a,e.__reactInternalMemoizedMaskedChildContext=r),r}function Ce(e){return e=e.childContextTypes,e!=null}function vr(){W(Ie),W(fe)}function Us(e,a,t){if(fe.current!==Ma)throw Error(C(168));_(fe,a),_(Ie,t)}function of(e,a,t){var l=e.stateNode;if(a=a.childContextTypes,typeof l.getChildContext!="function")return t;l=l.getChildContext();for(var r in l)if(!(r in a))throw Error(C(108,Cc(e)||"Unknown",r));return Q({},t,l)}function kr(e){return e=(e=e.stateNode)&&e.__reactInternalMemoizedMergedChildContext||Ma,Ga=fe.current,_(fe,e),_(Ie,Ie.current),!0}function qs(e,a,t){var l=e.stateNode;if(!l)throw Error(C(169));t?(e=of(e,a,Ga),l.__reactInternalMemoizedMergedChildContext=e,W(Ie),W(fe),_(fe,e)):W(Ie),_(Ie,t)}var ea=null,Gr=!1,Bo=!1;function uf(e){ea===null?ea=[e]:ea.push(e)}function Op(e){Gr=!0,uf(e)}function Ta(){if(!Bo&&ea!==null){Bo=!0;var e=0,a=H;try{var t=ea;for(H=1;e<t.length;e++){var l=t[e];do l=l(!0);while(l!==null)}ea=null,Gr=!1}catch(r){throw ea!==null&&(ea=ea.slice(e+1)),Fd(zu,Ta),r}finally{H=a,Bo=!1}}return null}var it=[],ct=0,wr=null,Pr=0,Te=[],Fe=0,Wa=null,aa=1,ta="";function Ua(e,a){it[ct++]=Pr,it[ct++]=wr,wr=e,Pr=a}function nf(e,a,t){Te[Fe++]=aa,Te[Fe++]=ta,Te[Fe++]=Wa,Wa=e;var l=aa;e=ta;var r=32-Ve(l)-1;l&=~(1<<r),t+=1;var o=32-Ve(a)+r;if(30<o){var u=r-r%5;o=(l&(1<<u)-1).toString(32),l>>=u,r-=u,aa=1<<32-Ve(a)+r|t<<r|l,ta=o+e}else aa=1<<o|t<<r|l,ta=e}function $u(e){e.return!==null&&(Ua(e,1),nf(e,1,0))}function Zu(e){for(;e===wr;)wr=it[--ct],it[ct]=null,Pr=it[--ct],it[ct]=null;for(;e===Wa;)Wa=Te[--Fe],Te[Fe]=null,ta=Te[--Fe],Te[Fe]=null,aa=Te[--Fe],Te[Fe]=null}var we=null,ke=null,X=!1,_e=null;function sf(e,a){var t=Be(5,null,null,0);t.elementType="DELETED",t.stateNode=a,t.return=e,a=e.deletions,a===null?(e.deletions=[t],e.flags|=16):a.push(t)}function Ns(e,a){switch(e.tag){case 5:var t=e.type;return a=a.nodeType!==1||t.toLowerCase()!==a.nodeName.toLowerCase()?null:a,a!==null?(e.stateNode=a,we=e,ke=Sa(a.firstChild),!0):!1;case 6:return a=e.pendingProps===""||a.nodeType!==3?null:a,a!==null?(e.stateNode=a,we=e,ke=null,!0):!1;case 13:return a=a.nodeType!==8?null:a,a!==null?(t=Wa!==null?{id:aa,overflow:ta}:null,e.memoizedState={dehydrated:a,treeContext:t,retryLane:1073741824},t=Be(18,null,null,0),t.stateNode=a,t.return=e,e.child=t,we=e,ke=null,!0):!1;default:return!1}}function mu(e){return(e.mode&1)!==0&&(e.flags&128)===0}function Lu(e){if(X){var a=ke;if(a){var t=a;if(!Ns(e,a)){if(mu(e))throw Error(C(418));a=Sa(t.nextSibling);var l=we;a&&Ns(e,a)?sf(l,t):(e.flags=e.flags&-4097|2,X=!1,we=e)}}else{if(mu(e))throw Error(C(418));e.flags=e.flags&-4097|2,X=!1,we=e}}}function Hs(e){for(e=e.return;e!==null&&e.tag!==5&&e.tag!==3&&e.tag!==13;)e=e.return;we=e}function Yl(e){if(e!==we)return!1;if(!X)return Hs(e),X=!0,!1;var a;if((a=e.tag!==3)&&!(a=e.tag!==5)&&(a=e.type,a=a!=="head"&&a!=="body"&&!fu(e.type,e.memoizedProps)),a&&(a=ke)){if(mu(e))throw df(),Error(C(418));for(;a;)sf(e,a),a=Sa(a.nextSibling)}if(Hs(e),e.tag===13){if(e=e.memoizedState,e=e!==null?e.dehydrated:null,!e)throw Error(C(317));e:{for(e=e.nextSibling,a=0;e;){if(e.nodeType===8){var t=e.data;if(t==="/$"){if(a===0){ke=Sa(e.nextSibling);break e}a--}else t!=="$"&&t!=="$!"&&t!=="$?"||a++}e=e.nextSibling}ke=null}}else ke=we?Sa(e.stateNode.nextSibling):null;return!0}function df(){for(var e=ke;e;)e=Sa(e.nextSibling)}function kt(){ke=we=null,X=!1}function bu(e){_e===null?_e=[e]:_e.push(e)}var Up=sa.ReactCurrentBatchConfig;function Gt(e,a,t){if(e=t.ref,e!==null&&typeof e!="function"&&typeof e!="object"){if(t._owner){if(t=t._owner,t){if(t.tag!==1)throw Error(C(309));var l=t.stateNode}if(!l)throw Error(C(147,e));var r=l,o=""+e;return a!==null&&a.ref!==null&&typeof a.ref=="function"&&a.ref._stringRef===o?a.ref:(a=function(u){var n=r.refs;u===null?delete n[o]:n[o]=u},a._stringRef=o,a)}if(typeof e!="string")throw Error(C(284));if(!t._owner)throw Error(C(290,e))}return e}function er(e,a){throw e=Object.prototype.toString.call(a),Error(C(31,e==="[object Object]"?"object with keys {"+Object.keys(a).join(", ")+"}":e))}function zs(e){var a=e._init;return a(e._payload)}function ff(e){function a(i,d){if(e){var c=i.deletions;c===null?(i.deletions=[d],i.flags|=16):c.push(d)}}function t(i,d){if(!e)return null;for(;d!==null;)a(i,d),d=d.sibling;return null}function l(i,d){for(i=new Map;d!==null;)d.key!==null?i.set(d.key,d):i.set(d.index,d),d=d.sibling;return i}function r(i,d){return i=wa(i,d),i.index=0,i.sibling=null,i}function o(i,d,c){return i.index=c,e?(c=i.alternate,c!==null?(c=c.index,c<d?(i.flags|=2,d):c):(i.flags|=2,d)):(i.flags|=1048576,d)}function u(i){return e&&i.alternate===null&&(i.flags|=2),i}function n(i,d,c,I){return d===null||d.tag!==6?(d=Ho(c,i.mode,I),d.return=i,d):(d=r(d,c),d.return=i,d)}function s(i,d,c,I){var k=c.type;return k===ot?m(i,d,c.props.children,I,c.key):d!==null&&(d.elementType===k||typeof k=="object"&&k!==null&&k.$$typeof===ca&&zs(k)===d.type)?(I=r(d,c.props),I.ref=Gt(i,d,c),I.return=i,I):(I=pr(c.type,c.key,c.props,null,i.mode,I),I.ref=Gt(i,d,c),I.return=i,I)}function f(i,d,c,I){return d===null||d.tag!==4||d.stateNode.containerInfo!==c.containerInfo||d.stateNode.implementation!==c.implementation?(d=zo(c,i.mode,I),d.return=i,d):(d=r(d,c.children||[]),d.return=i,d)}function m(i,d,c,I,k){return d===null||d.tag!==7?(d=Va(c,i.mode,I,k),d.return=i,d):(d=r(d,c),d.return=i,d)}function g(i,d,c){if(typeof d=="string"&&d!==""||typeof d=="number")return d=Ho(""+d,i.mode,c),d.return=i,d;if(typeof d=="object"&&d!==null){switch(d.$$typeof){case Hl:return c=pr(d.type,d.key,d.props,null,i.mode,c),c.ref=Gt(i,null,d),c.return=i,c;case rt:return d=zo(d,i.mode,c),d.return=i,d;case ca:var I=d._init;return g(i,I(d._payload),c)}if(Qt(d)||Ht(d))return d=Va(d,i.mode,c,null),d.return=i,d;er(i,d)}return null}function L(i,d,c,I){var k=d!==null?d.key:null;if(typeof c=="string"&&c!==""||typeof c=="number")return k!==null?null:n(i,d,""+c,I);if(typeof c=="object"&&c!==null){switch(c.$$typeof){case Hl:return c.key===k?s(i,d,c,I):null;case rt:return c.key===k?f(i,d,c,I):null;case ca:return k=c._init,L(i,d,k(c._payload),I)}if(Qt(c)||Ht(c))return k!==null?null:m(i,d,c,I,null);er(i,c)}return null}function S(i,d,c,I,k){if(typeof I=="string"&&I!==""||typeof I=="number")return i=i.get(c)||null,n(d,i,""+I,k);if(typeof I=="object"&&I!==null){switch(I.$$typeof){case Hl:return i=i.get(I.key===null?c:I.key)||null,s(d,i,I,k);case rt:return i=i.get(I.key===null?c:I.key)||null,f(d,i,I,k);case ca:var M=I._init;return S(i,d,c,M(I._payload),k)}if(Qt(I)||Ht(I))return i=i.get(c)||null,m(d,i,I,k,null);er(d,I)}return null}function y(i,d,c,I){for(var k=null,M=null,P=d,A=d=0,N=null;P!==null&&A<c.length;A++){P.index>A?(N=P,P=null):N=P.sibling;var T=L(i,P,c[A],I);if(T===null){P===null&&(P=N);break}e&&P&&T.alternate===null&&a(i,P),d=o(T,d,A),M===null?k=T:M.sibling=T,M=T,P=N}if(A===c.length)return t(i,P),X&&Ua(i,A),k;if(P===null){for(;A<c.length;A++)P=g(i,c[A],I),P!==null&&(d=o(P,d,A),M===null?k=P:M.sibling=P,M=P);return X&&Ua(i,A),k}for(P=l(i,P);A<c.length;A++)N=S(P,i,A,c[A],I),N!==null&&(e&&N.alternate!==null&&P.delete(N.key===null?A:N.key),d=o(N,d,A),M===null?k=N:M.sibling=N,M=N);return e&&P.forEach(function(V){return a(i,V)}),X&&Ua(i,A),k}function v(i,d,c,I){var k=Ht(c);if(typeof k!="function")throw Error(C(150));if(c=k.call(c),c==null)throw Error(C(151));for(var M=k=null,P=d,A=d=0,N=null,T=c.next();P!==null&&!T.done;A++,T=c.next()){P.index>A?(N=P,P=null):N=P.sibling;var V=L(i,P,T.value,I);if(V===null){P===null&&(P=N);break}e&&P&&V.alternate===null&&a(i,P),d=o(V,d,A),M===null?k=V:M.sibling=V,M=V,P=N}if(T.done)return t(i,P),X&&Ua(i,A),k;if(P===null){for(;!T.done;A++,T=c.next())T=g(i,T.value,I),T!==null&&(d=o(T,d,A),M===null?k=T:M.sibling=T,M=T);return X&&Ua(i,A),k}for(P=l(i,P);!T.done;A++,T=c.next())T=S(P,i,A,T.value,I),T!==null&&(e&&T.alternate!==null&&P.delete(T.key===null?A:T.key),d=o(T,d,A),M===null?k=T:M.sibling=T,M=T);return e&&P.forEach(function(Ue){return a(i,Ue)}),X&&Ua(i,A),k}function q(i,d,c,I){if(typeof c=="object"&&c!==null&&c.type===ot&&c.key===null&&(c=c.props.children),typeof c=="object"&&c!==null){switch(c.$$typeof){case Hl:e:{for(var k=c.key,M=d;M!==null;){if(M.key===k){if(k=c.type,k===ot){if(M.tag===7){t(i,M.sibling),d=r(M,c.props.children),d.return=i,i=d;break e}}else if(M.elementType===k||typeof k=="object"&&k!==null&&k.$$typeof===ca&&zs(k)===M.type){t(i,M.sibling),d=r(M,c.props),d.ref=Gt(i,M,c),d.return=i,i=d;break e}t(i,M);break}else a(i,M);M=M.sibling}c.type===ot?(d=Va(c.props.children,i.mode,I,c.key),d.return=i,i=d):(I=pr(c.type,c.key,c.props,null,i.mode,I),I.ref=Gt(i,d,c),I.return=i,i=I)}return u(i);case rt:e:{for(M=c.key;d!==null;){if(d.key===M)if(d.tag===4&&d.stateNode.containerInfo===c.containerInfo&&d.stateNode.implementation===c.implementation){t(i,d.sibling),d=r(d,c.children||[]),d.return=i,i=d;break e}else{t(i,d);break}else a(i,d);d=d.sibling}d=zo(c,i.mode,I),d.return=i,i=d}return u(i);case ca:return M=c._init,q(i,d,M(c._payload),I)}if(Qt(c))return y(i,d,c,I);if(Ht(c))return v(i,d,c,I);er(i,c)}return typeof c=="string"&&c!==""||typeof c=="number"?(c=""+c,d!==null&&d.tag===6?(t(i,d.sibling),d=r(d,c),d.return=i,i=d):(t(i,d),d=Ho(c,i.mode,I),d.return=i,i=d),u(i)):t(i,d)}return q}var wt=ff(!0),cf=ff(!1),Mr=Aa(null),Dr=null,pt=null,Ju=null;function Yu(){Ju=pt=Dr=null}function en(e){var a=Mr.current;W(Mr),e._currentValue=a}function hu(e,a,t){for(;e!==null;){var l=e.alternate;if((e.childLanes&a)!==a?(e.childLanes|=a,l!==null&&(l.childLanes|=a)):l!==null&&(l.childLanes&a)!==a&&(l.childLanes|=a),e===t)break;e=e.return}}function Ct(e,a){Dr=e,Ju=pt=null,e=e.dependencies,e!==null&&e.firstContext!==null&&((e.lanes&a)!==0&&(ge=!0),e.firstContext=null)}function Ee(e){var a=e._currentValue;if(Ju!==e)if(e={context:e,memoizedValue:a,next:null},pt===null){if(Dr===null)throw Error(C(308));pt=e,Dr.dependencies={lanes:0,firstContext:e}}else pt=pt.next=e;return a}var Ha=null;function an(e){Ha===null?Ha=[e]:Ha.push(e)}function pf(e,a,t,l){var r=a.interleaved;return r===null?(t.next=t,an(a)):(t.next=r.next,r.next=t),a.interleaved=t,ua(e,l)}function ua(e,a){e.lanes|=a;var t=e.alternate;for(t!==null&&(t.lanes|=a),t=e,e=e.return;e!==null;)e.childLanes|=a,t=e.alternate,t!==null&&(t.childLanes|=a),t=e,e=e.return;return t.tag===3?t.stateNode:null}var pa=!1;function tn(e){e.updateQueue={baseState:e.memoizedState,firstBaseUpdate:null,lastBaseUpdate:null,shared:{pending:null,interleaved:null,lanes:0},effects:null}}function mf(e,a){e=e.updateQueue,a.updateQueue===e&&(a.updateQueue={baseState:e.baseState,firstBaseUpdate:e.firstBaseUpdate,lastBaseUpdate:e.lastBaseUpdate,shared:e.shared,effects:e.effects})}function la(e,a){return{eventTime:e,lane:a,tag:0,payload:null,callback:null,next:null}}function ya(e,a,t){var l=e.updateQueue;if(l===null)return null;if(l=l.shared,(U&2)!==0){var r=l.pending;return r===null?a.next=a:(a.next=r.next,r.next=a),l.pending=a,ua(e,t)}return r=l.interleaved,r===null?(a.next=a,an(l)):(a.next=r.next,r.next=a),l.interleaved=a,ua(e,t)}function nr(e,a,t){if(a=a.updateQueue,a!==null&&(a=a.shared,(t&4194240)!==0)){var l=a.lanes;l&=e.pendingLanes,t|=l,a.lanes=t,_u(e,t)}}function _s(e,a){var t=e.updateQueue,l=e.alternate;if(l!==null&&(l=l.updateQueue,t===l)){var r=null,o=null;if(t=t.firstBaseUpdate,t!==null){do{var u={eventTime:t.eventTime,lane:t.lane,tag:t.tag,payload:t.payload,callback:t.callback,next:null};o===null?r=o=u:o=o.next=u,t=t.next}while(t!==null);o===null?r=o=a:o=o.next=a}else r=o=a;t={baseState:l.baseState,firstBaseUpdate:r,lastBaseUpdate:o,shared:l.shared,effects:l.effects},e.updateQueue=t;return}e=t.lastBaseUpdate,e===null?t.firstBaseUpdate=a:e.next=a,t.lastBaseUpdate=a}function Ar(e,a,t,l){var r=e.updateQueue;pa=!1;var o=r.firstBaseUpdate,u=r.lastBaseUpdate,n=r.shared.pending;if(n!==null){r.shared.pending=null;var s=n,f=s.next;s.next=null,u===null?o=f:u.next=f,u=s;var m=e.alternate;m!==null&&(m=m.updateQueue,n=m.lastBaseUpdate,n!==u&&(n===null?m.firstBaseUpdate=f:n.next=f,m.lastBaseUpdate=s))}if(o!==null){var g=r.baseState;u=0,m=f=s=null,n=o;do{var L=n.lane,S=n.eventTime;if((l&L)===L){m!==null&&(m=m.next={eventTime:S,lane:0,tag:n.tag,payload:n.payload,callback:n.callback,next:null});e:{var y=e,v=n;switch(L=a,S=t,v.tag){case 1:if(y=v.payload,typeof y=="function"){g=y.call(S,g,L);break e}g=y;break e;case 3:y.flags=y.flags&-65537|128;case 0:if(y=v.payload,L=typeof y=="function"?y.call(S,g,L):y,L==null)break e;g=Q({},g,L);break e;case 2:pa=!0}}n.callback!==null&&n.lane!==0&&(e.flags|=64,L=r.effects,L===null?r.effects=[n]:L.push(n))}else S={eventTime:S,lane:L,tag:n.tag,payload:n.payload,callback:n.callback,next:null},m===null?(f=m=S,s=g):m=m.next=S,u|=L;if(n=n.next,n===null){if(n=r.shared.pending,n===null)break;L=n,n=L.next,L.next=null,r.lastBaseUpdate=L,r.shared.pending=null}}while(!0);if(m===null&&(s=g),r.baseState=s,r.firstBaseUpdate=f,r.lastBaseUpdate=m,a=r.shared.interleaved,a!==null){r=a;do u|=r.lane,r=r.next;while(r!==a)}else o===null&&(r.shared.lanes=0);ja|=u,e.lanes=u,e.memoizedState=g}}function Vs(e,a,t){if(e=a.effects,a.effects=null,e!==null)for(a=0;a<e.length;a++){var l=e[a],r=l.callback;if(r!==null){if(l.callback=null,l=t,typeof r!="function")throw Error(C(191,r));r.call(l)}}}var Pl={},Ze=Aa(Pl),xl=Aa(Pl),gl=Aa(Pl);function za(e){if(e===Pl)throw Error(C(174));return e}function ln(e,a){switch(_(gl,a),_(xl,e),_(Ze,Pl),e=a.nodeType,e){case 9:case 11:a=(a=a.documentElement)?a.namespaceURI:Zo(null,"");break;default:e=e===8?a.parentNode:a,a=e.namespaceURI||null,e=e.tagName,a=Zo(a,e)}W(Ze),_(Ze,a)}function Pt(){W(Ze),W(xl),W(gl)}function Lf(e){za(gl.current);var a=za(Ze.current),t=Zo(a,e.type);a!==t&&(_(xl,e),_(Ze,t))}function rn(e){xl.current===e&&(W(Ze),W(xl))}var j=Aa(0);function Tr(e){for(var a=e;a!==null;){if(a.tag===13){var t=a.memoizedState;if(t!==null&&(t=t.dehydrated,t===null||t.data==="$?"||t.data==="$!"))return a}else if(a.tag===19&&a.memoizedProps.revealOrder!==void 0){if((a.flags&128)!==0)return a}else if(a.child!==null){a.child.return=a,a=a.child;continue}if(a===e)break;for(;a.sibling===null;){if(a.return===null||a.return===e)return null;a=a.return}a.sibling.return=a.return,a=a.sibling}return null}var Ro=[];function on(){for(var e=0;e<Ro.length;e++)Ro[e]._workInProgressVersionPrimary=null;Ro.length=0}var sr=sa.ReactCurrentDispatcher,Eo=sa.ReactCurrentBatchConfig,Xa=0,K=null,J=null,ee=null,Fr=!1,tl=!1,Il=0,qp=0;function ne(){throw Error(C(321))}function un(e,a){if(a===null)return!1;for(var t=0;t<a.length&&t<e.length;t++)if(!We(e[t],a[t]))return!1;return!0}function nn(e,a,t,l,r,o){if(Xa=o,K=a,a.memoizedState=null,a.updateQueue=null,a.lanes=0,sr.current=e===null||e.memoizedState===null?_p:Vp,e=t(l,r),tl){o=0;do{if(tl=!1,Il=0,25<=o)throw Error(C(301));o+=1,ee=J=null,a.updateQueue=null,sr.current=Gp,e=t(l,r)}while(tl)}if(sr.current=Br,a=J!==null&&J.next!==null,Xa=0,ee=J=K=null,Fr=!1,a)throw Error(C(300));return e}function sn(){var e=Il!==0;return Il=0,e}function Ke(){var e={memoizedState:null,baseState:null,baseQueue:null,queue:null,next:null};return ee===null?K.memoizedState=ee=e:ee=ee.next=e,ee}function Oe(){if(J===null){var e=K.alternate;e=e!==null?e.memoizedState:null}else e=J.next;var a=ee===null?K.memoizedState:ee.next;if(a!==null)ee=a,J=e;else{if(e===null)throw Error(C(310));J=e,e={memoizedState:J.memoizedState,baseState:J.baseState,baseQueue:J.baseQueue,queue:J.queue,next:null},ee===null?K.memoizedState=ee=e:ee=ee.next=e}return ee}function Cl(e,a){return typeof a=="function"?a(e):a}function Oo(e){var a=Oe(),t=a.queue;if(t===null)throw Error(C(311));t.lastRenderedReducer=e;var l=J,r=l.baseQueue,o=t.pending;if(o!==null){if(r!==null){var u=r.next;r.next=o.next,o.next=u}l.baseQueue=r=o,t.pending=null}if(r!==null){o=r.next,l=l.baseState;var n=u=null,s=null,f=o;do{var m=f.lane;if((Xa&m)===m)s!==null&&(s=s.next={lane:0,action:f.action,hasEagerState:f.hasEagerState,eagerState:f.eagerState,next:null}),l=f.hasEagerState?f.eagerState:e(l,f.action);else{var g={lane:m,action:f.action,hasEagerState:f.hasEagerState,eagerState:f.eagerState,next:null};s===null?(n=s=g,u=l):s=s.next=g,K.lanes|=m,ja|=m}f=f.next}while(f!==null&&f!==o);s===null?u=l:s.next=n,We(l,a.memoizedState)||(ge=!0),a.memoizedState=l,a.baseState=u,a.baseQueue=s,t.lastRenderedState=l}if(e=t.interleaved,e!==null){r=e;do o=r.lane,K.lanes|=o,ja|=o,r=r.next;while(r!==e)}else r===null&&(t.lanes=0);return[a.memoizedState,t.dispatch]}function Uo(e){var a=Oe(),t=a.queue;if(t===null)throw Error(C(311));t.lastRenderedReducer=e;var l=t.dispatch,r=t.pending,o=a.memoizedState;if(r!==null){t.pending=null;var u=r=r.next;do o=e(o,u.action),u=u.next;while(u!==r);We(o,a.memoizedState)||(ge=!0),a.memoizedState=o,a.baseQueue===null&&(a.baseState=o),t.lastRenderedState=o}return[o,l]}function hf(){}function xf(e,a){var t=K,l=Oe(),r=a(),o=!We(l.memoizedState,r);if(o&&(l.memoizedState=r,ge=!0),l=l.queue,dn(Cf.bind(null,t,l,e),[e]),l.getSnapshot!==a||o||ee!==null&&ee.memoizedState.tag&1){if(t.flags|=2048,Sl(9,If.bind(null,t,l,r,a),void 0,null),ae===null)throw Error(C(349));(Xa&30)!==0||gf(t,a,r)}return r}function gf(e,a,t){e.flags|=16384,e={getSnapshot:a,value:t},a=K.updateQueue,a===null?(a={lastEffect:null,stores:null},K.updateQueue=a,a.stores=[e]):(t=a.stores,t===null?a.stores=[e]:t.push(e))}function If(e,a,t,l){a.value=t,a.getSnapshot=l,Sf(a)&&yf(e)}function Cf(e,a,t){return t(function(){Sf(a)&&yf(e)})}function Sf(e){var a=e.getSnapshot;e=e.value;try{var t=a();return!We(e,t)}catch(l){return!0}}function yf(e){var a=ua(e,1);a!==null&&Ge(a,e,1,-1)}function Gs(e){var a=Ke();return typeof e=="function"&&(e=e()),a.memoizedState=a.baseState=e,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:Cl,lastRenderedState:e},a.queue=e,e=e.dispatch=zp.bind(null,K,e),[a.memoizedState,e]}function Sl(e,a,t,l){return e={tag:e,create:a,destroy:t,deps:l,next:null},a=K.updateQueue,a===null?(a={lastEffect:null,stores:null},K.updateQueue=a,a.lastEffect=e.next=e):(t=a.lastEffect,t===null?a.lastEffect=e.next=e:(l=t.next,t.next=e,e.next=l,a.lastEffect=e)),e}function vf(){return Oe().memoizedState}function dr(e,a,t,l){var r=Ke();K.flags|=e,r.memoizedState=Sl(1|a,t,void 0,l===void 0?null:l)}function Wr(e,a,t,l){var r=Oe();l=l===void 0?null:l;var o=void 0;if(J!==null){var u=J.memoizedState;if(o=u.destroy,l!==null&&un(l,u.deps)){r.memoizedState=Sl(a,t,o,l);return}}K.flags|=e,r.memoizedState=Sl(1|a,t,o,l)}function Ws(e,a){return dr(8390656,8,e,a)}function dn(e,a){return Wr(2048,8,e,a)}function kf(e,a){return Wr(4,2,e,a)}function wf(e,a){return Wr(4,4,e,a)}function Pf(e,a){if(typeof a=="function")return e=e(),a(e),function(){a(null)};if(a!=null)return e=e(),a.current=e,function(){a.current=null}}function Mf(e,a,t){return t=t!=null?t.concat([e]):null,Wr(4,4,Pf.bind(null,a,e),t)}function fn(){}function Df(e,a){var t=Oe();a=a===void 0?null:a;var l=t.memoizedState;return l!==null&&a!==null&&un(a,l[1])?l[0]:(t.memoizedState=[e,a],e)}function Af(e,a){var t=Oe();a=a===void 0?null:a;var l=t.memoizedState;return l!==null&&a!==null&&un(a,l[1])?l[0]:(e=e(),t.memoizedState=[e,a],e)}function Tf(e,a,t){return(Xa&21)===0?(e.baseState&&(e.baseState=!1,ge=!0),e.memoizedState=t):(We(t,a)||(t=Ed(),K.lanes|=t,ja|=t,e.baseState=!0),a)}function Np(e,a){var t=H;H=t!==0&&4>t?t:4,e(!0);var l=Eo.transition;Eo.transition={};try{e(!1),a()}finally{H=t,Eo.transition=l}}function Ff(){return Oe().memoizedState}function Hp(e,a,t){var l=ka(e);if(t={lane:l,action:t,hasEagerState:!1,eagerState:null,next:null},Bf(e))Rf(a,t);else if(t=pf(e,a,t,l),t!==null){var r=Le();Ge(t,e,l,r),Ef(t,a,l)}}function zp(e,a,t){var l=ka(e),r={lane:l,action:t,hasEagerState:!1,eagerState:null,next:null};if(Bf(e))Rf(a,r);else{var o=e.alternate;if(e.lanes===0&&(o===null||o.lanes===0)&&(o=a.lastRenderedReducer,o!==null))try{var u=a.lastRenderedState,n=o(u,t);if(r.hasEagerState=!0,r.eagerState=n,We(n,u)){var s=a.interleaved;s===null?(r.next=r,an(a)):(r.next=s.next,s.next=r),a.interleaved=r;return}}catch(f){}t=pf(e,a,r,l),t!==null&&(r=Le(),Ge(t,e,l,r),Ef(t,a,l))}}function Bf(e){var a=e.alternate;return e===K||a!==null&&a===K}function Rf(e,a){tl=Fr=!0;var t=e.pending;t===null?a.next=a:(a.next=t.next,t.next=a),e.pending=a}function Ef(e,a,t){if((t&4194240)!==0){var l=a.lanes;l&=e.pendingLanes,t|=l,a.lanes=t,_u(e,t)}}var Br={readContext:Ee,useCallback:ne,useContext:ne,useEffect:ne,useImperativeHandle:ne,useInsertionEffect:ne,useLayoutEffect:ne,useMemo:ne,useReducer:ne,useRef:ne,useState:ne,useDebugValue:ne,useDeferredValue:ne,useTransition:ne,useMutableSource:ne,useSyncExternalStore:ne,useId:ne,unstable_isNewReconciler:!1},_p={readContext:Ee,useCallback:function(e,a){return Ke().memoizedState=[e,a===void 0?null:a],e},useContext:Ee,useEffect:Ws,useImperativeHandle:function(e,a,t){return t=t!=null?t.concat([e]):null,dr(4194308,4,Pf.bind(null,a,e),t)},useLayoutEffect:function(e,a){return dr(4194308,4,e,a)},useInsertionEffect:function(e,a){return dr(4,2,e,a)},useMemo:function(e,a){var t=Ke();return a=a===void 0?null:a,e=e(),t.memoizedState=[e,a],e},useReducer:function(e,a,t){var l=Ke();return a=t!==void 0?t(a):a,l.memoizedState=l.baseState=a,e={pending:null,interleaved:null,lanes:0,dispatch:null,lastRenderedReducer:e,lastRenderedState:a},l.queue=e,e=e.dispatch=Hp.bind(null,K,e),[l.memoizedState,e]},useRef:function(e){var a=Ke();return e={current:e},a.memoizedState=e},useState:Gs,useDebugValue:fn,useDeferredValue:function(e){return Ke().memoizedState=e},useTransition:function(){var e=Gs(!1),a=e[0];return e=Np.bind(null,e[1]),Ke().memoizedState=e,[a,e]},useMutableSource:function(){},useSyncExternalStore:function(e,a,t){var l=K,r=Ke();if(X){if(t===void 0)throw Error(C(407));t=t()}else{if(t=a(),ae===null)throw Error(C(349));(Xa&30)!==0||gf(l,a,t)}r.memoizedState=t;var o={value:t,getSnapshot:a};return r.queue=o,Ws(Cf.bind(null,l,o,e),[e]),l.flags|=2048,Sl(9,If.bind(null,l,o,t,a),void 0,null),t},useId:function(){var e=Ke(),a=ae.identifierPrefix;if(X){var t=ta,l=aa;t=(l&~(1<<32-Ve(l)-1)).toString(32)+t,a=":"+a+"R"+t,t=Il++,0<t&&(a+="H"+t.toString(32)),a+=":"}else t=qp++,a=":"+a+"r"+t.toString(32)+":";return e.memoizedState=a},unstable_isNewReconciler:!1},Vp={readContext:Ee,useCallback:Df,useContext:Ee,useEffect:dn,useImperativeHandle:Mf,useInsertionEffect:kf,useLayoutEffect:wf,useMemo:Af,useReducer:Oo,useRef:vf,useState:function(){return Oo(Cl)},useDebugValue:fn,useDeferredValue:function(e){var a=Oe();return Tf(a,J.memoizedState,e)},useTransition:function(){var e=Oo(Cl)[0],a=Oe().memoizedState;return[e,a]},useMutableSource:hf,useSyncExternalStore:xf,useId:Ff,unstable_isNewReconciler:!1},Gp={readContext:Ee,useCallback:Df,useContext:Ee,useEffect:dn,useImperativeHandle:Mf,useInsertionEffect:kf,useLayoutEffect:wf,useMemo:Af,useReducer:Uo,useRef:vf,useState:function(){return Uo(Cl)},useDebugValue:fn,useDeferredValue:function(e){var a=Oe();return J===null?a.memoizedState=e:Tf(a,J.memoizedState,e)},useTransition:function(){var e=Uo(Cl)[0],a=Oe().memoizedState;return[e,a]},useMutableSource:hf,useSyncExternalStore:xf,useId:Ff,unstable_isNewReconciler:!1};function He(e,a){if(e&&e.defaultProps){a=Q({},a),e=e.defaultProps;for(var t in e)a[t]===void 0&&(a[t]=e[t]);return a}return a}function xu(e,a,t,l){a=e.memoizedState,t=t(l,a),t=t==null?a:Q({},a,t),e.memoizedState=t,e.lanes===0&&(e.updateQueue.baseState=t)}var Xr={isMounted:function(e){return(e=e._reactInternals)?$a(e)===e:!1},enqueueSetState:function(e,a,t){e=e._reactInternals;var l=Le(),r=ka(e),o=la(l,r);o.payload=a,t!=null&&(o.callback=t),a=ya(e,o,r),a!==null&&(Ge(a,e,r,l),nr(a,e,r))},enqueueReplaceState:function(e,a,t){e=e._reactInternals;var l=Le(),r=ka(e),o=la(l,r);o.tag=1,o.payload=a,t!=null&&(o.callback=t),a=ya(e,o,r),a!==null&&(Ge(a,e,r,l),nr(a,e,r))},enqueueForceUpdate:function(e,a){e=e._reactInternals;var t=Le(),l=ka(e),r=la(t,l);r.tag=2,a!=null&&(r.callback=a),a=ya(e,r,l),a!==null&&(Ge(a,e,l,t),nr(a,e,l))}};function Xs(e,a,t,l,r,o,u){return e=e.stateNode,typeof e.shouldComponentUpdate=="function"?e.shouldComponentUpdate(l,o,u):a.prototype&&a.prototype.isPureReactComponent?!pl(t,l)||!pl(r,o):!0}function Of(e,a,t){var l=!1,r=Ma,o=a.contextType;return typeof o=="object"&&o!==null?o=Ee(o):(r=Ce(a)?Ga:fe.current,l=a.contextTypes,o=(l=l!=null)?vt(e,r):Ma),a=new a(t,o),e.memoizedState=a.state!==null&&a.state!==void 0?a.state:null,a.updater=Xr,e.stateNode=a,a._reactInternals=e,l&&(e=e.stateNode,e.__reactInternalMemoizedUnmaskedChildContext=r,e.__reactInternalMemoizedMaskedChildContext=o),a}function js(e,a,t,l){e=a.state,typeof a.componentWillReceiveProps=="function"&&a.componentWillReceiveProps(t,l),typeof a.UNSAFE_componentWillReceiveProps=="function"&&a.UNSAFE_componentWillReceiveProps(t,l),a.state!==e&&Xr.enqueueReplaceState(a,a.state,null)}function gu(e,a,t,l){var r=e.stateNode;r.props=t,r.state=e.memoizedState,r.refs={},tn(e);var o=a.contextType;typeof o=="object"&&o!==null?r.context=Ee(o):(o=Ce(a)?Ga:fe.current,r.context=vt(e,o)),r.state=e.memoizedState,o=a.getDerivedStateFromProps,typeof o=="function"&&(xu(e,a,o,t),r.state=e.memoizedState),typeof a.getDerivedStateFromProps=="function"||typeof r.getSnapshotBeforeUpdate=="function"||typeof r.UNSAFE_componentWillMount!="function"&&typeof r.componentWillMount!="function"||(a=r.state,typeof r.componentWillMount=="function"&&r.componentWillMount(),typeof r.UNSAFE_componentWillMount=="function"&&r.UNSAFE_componentWillMount(),a!==r.state&&Xr.enqueueReplaceState(r,r.state,null),Ar(e,t,r,l),r.state=e.memoizedState),typeof r.componentDidMount=="function"&&(e.flags|=4194308)}function Mt(e,a){try{var t="",l=a;do t+=Ic(l),l=l.return;while(l);var r=t}catch(o){r=`
+Error generating stack: `+o.message+`
+`+o.stack}return{value:e,source:a,stack:r,digest:null}}function qo(e,a,t){return{value:e,source:null,stack:t!=null?t:null,digest:a!=null?a:null}}function Iu(e,a){try{console.error(a.value)}catch(t){setTimeout(function(){throw t})}}var Wp=typeof WeakMap=="function"?WeakMap:Map;function Uf(e,a,t){t=la(-1,t),t.tag=3,t.payload={element:null};var l=a.value;return t.callback=function(){Er||(Er=!0,Au=l),Iu(e,a)},t}function qf(e,a,t){t=la(-1,t),t.tag=3;var l=e.type.getDerivedStateFromError;if(typeof l=="function"){var r=a.value;t.payload=function(){return l(r)},t.callback=function(){Iu(e,a)}}var o=e.stateNode;return o!==null&&typeof o.componentDidCatch=="function"&&(t.callback=function(){Iu(e,a),typeof l!="function"&&(va===null?va=new Set([this]):va.add(this));var u=a.stack;this.componentDidCatch(a.value,{componentStack:u!==null?u:""})}),t}function Ks(e,a,t){var l=e.pingCache;if(l===null){l=e.pingCache=new Wp;var r=new Set;l.set(a,r)}else r=l.get(a),r===void 0&&(r=new Set,l.set(a,r));r.has(t)||(r.add(t),e=rm.bind(null,e,a,t),a.then(e,e))}function Qs(e){do{var a;if((a=e.tag===13)&&(a=e.memoizedState,a=a!==null?a.dehydrated!==null:!0),a)return e;e=e.return}while(e!==null);return null}function $s(e,a,t,l,r){return(e.mode&1)===0?(e===a?e.flags|=65536:(e.flags|=128,t.flags|=131072,t.flags&=-52805,t.tag===1&&(t.alternate===null?t.tag=17:(a=la(-1,1),a.tag=2,ya(t,a,1))),t.lanes|=1),e):(e.flags|=65536,e.lanes=r,e)}var Xp=sa.ReactCurrentOwner,ge=!1;function me(e,a,t,l){a.child=e===null?cf(a,null,t,l):wt(a,e.child,t,l)}function Zs(e,a,t,l,r){t=t.render;var o=a.ref;return Ct(a,r),l=nn(e,a,t,l,o,r),t=sn(),e!==null&&!ge?(a.updateQueue=e.updateQueue,a.flags&=-2053,e.lanes&=~r,na(e,a,r)):(X&&t&&$u(a),a.flags|=1,me(e,a,l,r),a.child)}function bs(e,a,t,l,r){if(e===null){var o=t.type;return typeof o=="function"&&!In(o)&&o.defaultProps===void 0&&t.compare===null&&t.defaultProps===void 0?(a.tag=15,a.type=o,Nf(e,a,o,l,r)):(e=pr(t.type,null,l,a,a.mode,r),e.ref=a.ref,e.return=a,a.child=e)}if(o=e.child,(e.lanes&r)===0){var u=o.memoizedProps;if(t=t.compare,t=t!==null?t:pl,t(u,l)&&e.ref===a.ref)return na(e,a,r)}return a.flags|=1,e=wa(o,l),e.ref=a.ref,e.return=a,a.child=e}function Nf(e,a,t,l,r){if(e!==null){var o=e.memoizedProps;if(pl(o,l)&&e.ref===a.ref)if(ge=!1,a.pendingProps=l=o,(e.lanes&r)!==0)(e.flags&131072)!==0&&(ge=!0);else return a.lanes=e.lanes,na(e,a,r)}return Cu(e,a,t,l,r)}function Hf(e,a,t){var l=a.pendingProps,r=l.children,o=e!==null?e.memoizedState:null;if(l.mode==="hidden")if((a.mode&1)===0)a.memoizedState={baseLanes:0,cachePool:null,transitions:null},_(Lt,ve),ve|=t;else{if((t&1073741824)===0)return e=o!==null?o.baseLanes|t:t,a.lanes=a.childLanes=1073741824,a.memoizedState={baseLanes:e,cachePool:null,transitions:null},a.updateQueue=null,_(Lt,ve),ve|=e,null;a.memoizedState={baseLanes:0,cachePool:null,transitions:null},l=o!==null?o.baseLanes:t,_(Lt,ve),ve|=l}else o!==null?(l=o.baseLanes|t,a.memoizedState=null):l=t,_(Lt,ve),ve|=l;return me(e,a,r,t),a.child}function zf(e,a){var t=a.ref;(e===null&&t!==null||e!==null&&e.ref!==t)&&(a.flags|=512,a.flags|=2097152)}function Cu(e,a,t,l,r){var o=Ce(t)?Ga:fe.current;return o=vt(a,o),Ct(a,r),t=nn(e,a,t,l,o,r),l=sn(),e!==null&&!ge?(a.updateQueue=e.updateQueue,a.flags&=-2053,e.lanes&=~r,na(e,a,r)):(X&&l&&$u(a),a.flags|=1,me(e,a,t,r),a.child)}function Js(e,a,t,l,r){if(Ce(t)){var o=!0;kr(a)}else o=!1;if(Ct(a,r),a.stateNode===null)fr(e,a),Of(a,t,l),gu(a,t,l,r),l=!0;else if(e===null){var u=a.stateNode,n=a.memoizedProps;u.props=n;var s=u.context,f=t.contextType;typeof f=="object"&&f!==null?f=Ee(f):(f=Ce(t)?Ga:fe.current,f=vt(a,f));var m=t.getDerivedStateFromProps,g=typeof m=="function"||typeof u.getSnapshotBeforeUpdate=="function";g||typeof u.UNSAFE_componentWillReceiveProps!="function"&&typeof u.componentWillReceiveProps!="function"||(n!==l||s!==f)&&js(a,u,l,f),pa=!1;var L=a.memoizedState;u.state=L,Ar(a,l,u,r),s=a.memoizedState,n!==l||L!==s||Ie.current||pa?(typeof m=="function"&&(xu(a,t,m,l),s=a.memoizedState),(n=pa||Xs(a,t,n,l,L,s,f))?(g||typeof u.UNSAFE_componentWillMount!="function"&&typeof u.componentWillMount!="function"||(typeof u.componentWillMount=="function"&&u.componentWillMount(),typeof u.UNSAFE_componentWillMount=="function"&&u.UNSAFE_componentWillMount()),typeof u.componentDidMount=="function"&&(a.flags|=4194308)):(typeof u.componentDidMount=="function"&&(a.flags|=4194308),a.memoizedProps=l,a.memoizedState=s),u.props=l,u.state=s,u.context=f,l=n):(typeof u.componentDidMount=="function"&&(a.flags|=4194308),l=!1)}else{u=a.stateNode,mf(e,a),n=a.memoizedProps,f=a.type===a.elementType?n:He(a.type,n),u.props=f,g=a.pendingProps,L=u.context,s=t.contextType,typeof s=="object"&&s!==null?s=Ee(s):(s=Ce(t)?Ga:fe.current,s=vt(a,s));var S=t.getDerivedStateFromProps;(m=typeof S=="function"||typeof u.getSnapshotBeforeUpdate=="function")||typeof u.UNSAFE_componentWillReceiveProps!="function"&&typeof u.componentWillReceiveProps!="function"||(n!==g||L!==s)&&js(a,u,l,s),pa=!1,L=a.memoizedState,u.state=L,Ar(a,l,u,r);var y=a.memoizedState;n!==g||L!==y||Ie.current||pa?(typeof S=="function"&&(xu(a,t,S,l),y=a.memoizedState),(f=pa||Xs(a,t,f,l,L,y,s)||!1)?(m||typeof u.UNSAFE_componentWillUpdate!="function"&&typeof u.componentWillUpdate!="function"||(typeof u.componentWillUpdate=="function"&&u.componentWillUpdate(l,y,s),typeof u.UNSAFE_componentWillUpdate=="function"&&u.UNSAFE_componentWillUpdate(l,y,s)),typeof u.componentDidUpdate=="function"&&(a.flags|=4),typeof u.getSnapshotBeforeUpdate=="function"&&(a.flags|=1024)):(typeof u.componentDidUpdate!="function"||n===e.memoizedProps&&L===e.memoizedState||(a.flags|=4),typeof u.getSnapshotBeforeUpdate!="function"||n===e.memoizedProps&&L===e.memoizedState||(a.flags|=1024),a.memoizedProps=l,a.memoizedState=y),u.props=l,u.state=y,u.context=s,l=f):(typeof u.componentDidUpdate!="function"||n===e.memoizedProps&&L===e.memoizedState||(a.flags|=4),typeof u.getSnapshotBeforeUpdate!="function"||n===e.memoizedProps&&L===e.memoizedState||(a.flags|=1024),l=!1)}return Su(e,a,t,l,o,r)}function Su(e,a,t,l,r,o){zf(e,a);var u=(a.flags&128)!==0;if(!l&&!u)return r&&qs(a,t,!1),na(e,a,o);l=a.stateNode,Xp.current=a;var n=u&&typeof t.getDerivedStateFromError!="function"?null:l.render();return a.flags|=1,e!==null&&u?(a.child=wt(a,e.child,null,o),a.child=wt(a,null,n,o)):me(e,a,n,o),a.memoizedState=l.state,r&&qs(a,t,!0),a.child}function _f(e){var a=e.stateNode;a.pendingContext?Us(e,a.pendingContext,a.pendingContext!==a.context):a.context&&Us(e,a.context,!1),ln(e,a.containerInfo)}function Ys(e,a,t,l,r){return kt(),bu(r),a.flags|=256,me(e,a,t,l),a.child}var yu={dehydrated:null,treeContext:null,retryLane:0};function vu(e){return{baseLanes:e,cachePool:null,transitions:null}}function Vf(e,a,t){var l=a.pendingProps,r=j.current,o=!1,u=(a.flags&128)!==0,n;if((n=u)||(n=e!==null&&e.memoizedState===null?!1:(r&2)!==0),n?(o=!0,a.flags&=-129):(e===null||e.memoizedState!==null)&&(r|=1),_(j,r&1),e===null)return Lu(a),e=a.memoizedState,e!==null&&(e=e.dehydrated,e!==null)?((a.mode&1)===0?a.lanes=1:e.data==="$!"?a.lanes=8:a.lanes=1073741824,null):(u=l.children,e=l.fallback,o?(l=a.mode,o=a.child,u={mode:"hidden",children:u},(l&1)===0&&o!==null?(o.childLanes=0,o.pendingProps=u):o=Qr(u,l,0,null),e=Va(e,l,t,null),o.return=a,e.return=a,o.sibling=e,a.child=o,a.child.memoizedState=vu(t),a.memoizedState=yu,e):cn(a,u));if(r=e.memoizedState,r!==null&&(n=r.dehydrated,n!==null))return jp(e,a,u,l,n,r,t);if(o){o=l.fallback,u=a.mode,r=e.child,n=r.sibling;var s={mode:"hidden",children:l.children};return(u&1)===0&&a.child!==r?(l=a.child,l.childLanes=0,l.pendingProps=s,a.deletions=null):(l=wa(r,s),l.subtreeFlags=r.subtreeFlags&14680064),n!==null?o=wa(n,o):(o=Va(o,u,t,null),o.flags|=2),o.return=a,l.return=a,l.sibling=o,a.child=l,l=o,o=a.child,u=e.child.memoizedState,u=u===null?vu(t):{baseLanes:u.baseLanes|t,cachePool:null,transitions:u.transitions},o.memoizedState=u,o.childLanes=e.childLanes&~t,a.memoizedState=yu,l}return o=e.child,e=o.sibling,l=wa(o,{mode:"visible",children:l.children}),(a.mode&1)===0&&(l.lanes=t),l.return=a,l.sibling=null,e!==null&&(t=a.deletions,t===null?(a.deletions=[e],a.flags|=16):t.push(e)),a.child=l,a.memoizedState=null,l}function cn(e,a){return a=Qr({mode:"visible",children:a},e.mode,0,null),a.return=e,e.child=a}function ar(e,a,t,l){return l!==null&&bu(l),wt(a,e.child,null,t),e=cn(a,a.pendingProps.children),e.flags|=2,a.memoizedState=null,e}function jp(e,a,t,l,r,o,u){if(t)return a.flags&256?(a.flags&=-257,l=qo(Error(C(422))),ar(e,a,u,l)):a.memoizedState!==null?(a.child=e.child,a.flags|=128,null):(o=l.fallback,r=a.mode,l=Qr({mode:"visible",children:l.children},r,0,null),o=Va(o,r,u,null),o.flags|=2,l.return=a,o.return=a,l.sibling=o,a.child=l,(a.mode&1)!==0&&wt(a,e.child,null,u),a.child.memoizedState=vu(u),a.memoizedState=yu,o);if((a.mode&1)===0)return ar(e,a,u,null);if(r.data==="$!"){if(l=r.nextSibling&&r.nextSibling.dataset,l)var n=l.dgst;return l=n,o=Error(C(419)),l=qo(o,l,void 0),ar(e,a,u,l)}if(n=(u&e.childLanes)!==0,ge||n){if(l=ae,l!==null){switch(u&-u){case 4:r=2;break;case 16:r=8;break;case 64:case 128:case 256:case 512:case 1024:case 2048:case 4096:case 8192:case 16384:case 32768:case 65536:case 131072:case 262144:case 524288:case 1048576:case 2097152:case 4194304:case 8388608:case 16777216:case 33554432:case 67108864:r=32;break;case 536870912:r=268435456;break;default:r=0}r=(r&(l.suspendedLanes|u))!==0?0:r,r!==0&&r!==o.retryLane&&(o.retryLane=r,ua(e,r),Ge(l,e,r,-1))}return gn(),l=qo(Error(C(421))),ar(e,a,u,l)}return r.data==="$?"?(a.flags|=128,a.child=e.child,a=om.bind(null,e),r._reactRetry=a,null):(e=o.treeContext,ke=Sa(r.nextSibling),we=a,X=!0,_e=null,e!==null&&(Te[Fe++]=aa,Te[Fe++]=ta,Te[Fe++]=Wa,aa=e.id,ta=e.overflow,Wa=a),a=cn(a,l.children),a.flags|=4096,a)}function ed(e,a,t){e.lanes|=a;var l=e.alternate;l!==null&&(l.lanes|=a),hu(e.return,a,t)}function No(e,a,t,l,r){var o=e.memoizedState;o===null?e.memoizedState={isBackwards:a,rendering:null,renderingStartTime:0,last:l,tail:t,tailMode:r}:(o.isBackwards=a,o.rendering=null,o.renderingStartTime=0,o.last=l,o.tail=t,o.tailMode=r)}function Gf(e,a,t){var l=a.pendingProps,r=l.revealOrder,o=l.tail;if(me(e,a,l.children,t),l=j.current,(l&2)!==0)l=l&1|2,a.flags|=128;else{if(e!==null&&(e.flags&128)!==0)e:for(e=a.child;e!==null;){if(e.tag===13)e.memoizedState!==null&&ed(e,t,a);else if(e.tag===19)ed(e,t,a);else if(e.child!==null){e.child.return=e,e=e.child;continue}if(e===a)break e;for(;e.sibling===null;){if(e.return===null||e.return===a)break e;e=e.return}e.sibling.return=e.return,e=e.sibling}l&=1}if(_(j,l),(a.mode&1)===0)a.memoizedState=null;else switch(r){case"forwards":for(t=a.child,r=null;t!==null;)e=t.alternate,e!==null&&Tr(e)===null&&(r=t),t=t.sibling;t=r,t===null?(r=a.child,a.child=null):(r=t.sibling,t.sibling=null),No(a,!1,r,t,o);break;case"backwards":for(t=null,r=a.child,a.child=null;r!==null;){if(e=r.alternate,e!==null&&Tr(e)===null){a.child=r;break}e=r.sibling,r.sibling=t,t=r,r=e}No(a,!0,t,null,o);break;case"together":No(a,!1,null,null,void 0);break;default:a.memoizedState=null}return a.child}function fr(e,a){(a.mode&1)===0&&e!==null&&(e.alternate=null,a.alternate=null,a.flags|=2)}function na(e,a,t){if(e!==null&&(a.dependencies=e.dependencies),ja|=a.lanes,(t&a.childLanes)===0)return null;if(e!==null&&a.child!==e.child)throw Error(C(153));if(a.child!==null){for(e=a.child,t=wa(e,e.pendingProps),a.child=t,t.return=a;e.sibling!==null;)e=e.sibling,t=t.sibling=wa(e,e.pendingProps),t.return=a;t.sibling=null}return a.child}function Kp(e,a,t){switch(a.tag){case 3:_f(a),kt();break;case 5:Lf(a);break;case 1:Ce(a.type)&&kr(a);break;case 4:ln(a,a.stateNode.containerInfo);break;case 10:var l=a.type._context,r=a.memoizedProps.value;_(Mr,l._currentValue),l._currentValue=r;break;case 13:if(l=a.memoizedState,l!==null)return l.dehydrated!==null?(_(j,j.current&1),a.flags|=128,null):(t&a.child.childLanes)!==0?Vf(e,a,t):(_(j,j.current&1),e=na(e,a,t),e!==null?e.sibling:null);_(j,j.current&1);break;case 19:if(l=(t&a.childLanes)!==0,(e.flags&128)!==0){if(l)return Gf(e,a,t);a.flags|=128}if(r=a.memoizedState,r!==null&&(r.rendering=null,r.tail=null,r.lastEffect=null),_(j,j.current),l)break;return null;case 22:case 23:return a.lanes=0,Hf(e,a,t)}return na(e,a,t)}var Wf,ku,Xf,jf;Wf=function(e,a){for(var t=a.child;t!==null;){if(t.tag===5||t.tag===6)e.appendChild(t.stateNode);else if(t.tag!==4&&t.child!==null){t.child.return=t,t=t.child;continue}if(t===a)break;for(;t.sibling===null;){if(t.return===null||t.return===a)return;t=t.return}t.sibling.return=t.return,t=t.sibling}};ku=function(){};Xf=function(e,a,t,l){var r=e.memoizedProps;if(r!==l){e=a.stateNode,za(Ze.current);var o=null;switch(t){case"input":r=jo(e,r),l=jo(e,l),o=[];break;case"select":r=Q({},r,{value:void 0}),l=Q({},l,{value:void 0}),o=[];break;case"textarea":r=$o(e,r),l=$o(e,l),o=[];break;default:typeof r.onClick!="function"&&typeof l.onClick=="function"&&(e.onclick=yr)}bo(t,l);var u;t=null;for(f in r)if(!l.hasOwnProperty(f)&&r.hasOwnProperty(f)&&r[f]!=null)if(f==="style"){var n=r[f];for(u in n)n.hasOwnProperty(u)&&(t||(t={}),t[u]="")}else f!=="dangerouslySetInnerHTML"&&f!=="children"&&f!=="suppressContentEditableWarning"&&f!=="suppressHydrationWarning"&&f!=="autoFocus"&&(ul.hasOwnProperty(f)?o||(o=[]):(o=o||[]).push(f,null));for(f in l){var s=l[f];if(n=r!=null?r[f]:void 0,l.hasOwnProperty(f)&&s!==n&&(s!=null||n!=null))if(f==="style")if(n){for(u in n)!n.hasOwnProperty(u)||s&&s.hasOwnProperty(u)||(t||(t={}),t[u]="");for(u in s)s.hasOwnProperty(u)&&n[u]!==s[u]&&(t||(t={}),t[u]=s[u])}else t||(o||(o=[]),o.push(f,t)),t=s;else f==="dangerouslySetInnerHTML"?(s=s?s.__html:void 0,n=n?n.__html:void 0,s!=null&&n!==s&&(o=o||[]).push(f,s)):f==="children"?typeof s!="string"&&typeof s!="number"||(o=o||[]).push(f,""+s):f!=="suppressContentEditableWarning"&&f!=="suppressHydrationWarning"&&(ul.hasOwnProperty(f)?(s!=null&&f==="onScroll"&&G("scroll",e),o||n===s||(o=[])):(o=o||[]).push(f,s))}t&&(o=o||[]).push("style",t);var f=o;(a.updateQueue=f)&&(a.flags|=4)}};jf=function(e,a,t,l){t!==l&&(a.flags|=4)};function Wt(e,a){if(!X)switch(e.tailMode){case"hidden":a=e.tail;for(var t=null;a!==null;)a.alternate!==null&&(t=a),a=a.sibling;t===null?e.tail=null:t.sibling=null;break;case"collapsed":t=e.tail;for(var l=null;t!==null;)t.alternate!==null&&(l=t),t=t.sibling;l===null?a||e.tail===null?e.tail=null:e.tail.sibling=null:l.sibling=null}}function se(e){var a=e.alternate!==null&&e.alternate.child===e.child,t=0,l=0;if(a)for(var r=e.child;r!==null;)t|=r.lanes|r.childLanes,l|=r.subtreeFlags&14680064,l|=r.flags&14680064,r.return=e,r=r.sibling;else for(r=e.child;r!==null;)t|=r.lanes|r.childLanes,l|=r.subtreeFlags,l|=r.flags,r.return=e,r=r.sibling;return e.subtreeFlags|=l,e.childLanes=t,a}function Qp(e,a,t){var l=a.pendingProps;switch(Zu(a),a.tag){case 2:case 16:case 15:case 0:case 11:case 7:case 8:case 12:case 9:case 14:return se(a),null;case 1:return Ce(a.type)&&vr(),se(a),null;case 3:return l=a.stateNode,Pt(),W(Ie),W(fe),on(),l.pendingContext&&(l.context=l.pendingContext,l.pendingContext=null),(e===null||e.child===null)&&(Yl(a)?a.flags|=4:e===null||e.memoizedState.isDehydrated&&(a.flags&256)===0||(a.flags|=1024,_e!==null&&(Bu(_e),_e=null))),ku(e,a),se(a),null;case 5:rn(a);var r=za(gl.current);if(t=a.type,e!==null&&a.stateNode!=null)Xf(e,a,t,l,r),e.ref!==a.ref&&(a.flags|=512,a.flags|=2097152);else{if(!l){if(a.stateNode===null)throw Error(C(166));return se(a),null}if(e=za(Ze.current),Yl(a)){l=a.stateNode,t=a.type;var o=a.memoizedProps;switch(l[Qe]=a,l[hl]=o,e=(a.mode&1)!==0,t){case"dialog":G("cancel",l),G("close",l);break;case"iframe":case"object":case"embed":G("load",l);break;case"video":case"audio":for(r=0;r<Zt.length;r++)G(Zt[r],l);break;case"source":G("error",l);break;case"img":case"image":case"link":G("error",l),G("load",l);break;case"details":G("toggle",l);break;case"input":ss(l,o),G("invalid",l);break;case"select":l._wrapperState={wasMultiple:!!o.multiple},G("invalid",l);break;case"textarea":fs(l,o),G("invalid",l)}bo(t,o),r=null;for(var u in o)if(o.hasOwnProperty(u)){var n=o[u];u==="children"?typeof n=="string"?l.textContent!==n&&(o.suppressHydrationWarning!==!0&&Jl(l.textContent,n,e),r=["children",n]):typeof n=="number"&&l.textContent!==""+n&&(o.suppressHydrationWarning!==!0&&Jl(l.textContent,n,e),r=["children",""+n]):ul.hasOwnProperty(u)&&n!=null&&u==="onScroll"&&G("scroll",l)}switch(t){case"input":zl(l),ds(l,o,!0);break;case"textarea":zl(l),is(l);break;case"select":case"option":break;default:typeof o.onClick=="function"&&(l.onclick=yr)}l=r,a.updateQueue=l,l!==null&&(a.flags|=4)}else{u=r.nodeType===9?r:r.ownerDocument,e==="http://www.w3.org/1999/xhtml"&&(e=Id(t)),e==="http://www.w3.org/1999/xhtml"?t==="script"?(e=u.createElement("div"),e.innerHTML="<script><\/script>",e=e.removeChild(e.firstChild)):typeof l.is=="string"?e=u.createElement(t,{is:l.is}):(e=u.createElement(t),t==="select"&&(u=e,l.multiple?u.multiple=!0:l.size&&(u.size=l.size))):e=u.createElementNS(e,t),e[Qe]=a,e[hl]=l,Wf(e,a,!1,!1),a.stateNode=e;e:{switch(u=Jo(t,l),t){case"dialog":G("cancel",e),G("close",e),r=l;break;case"iframe":case"object":case"embed":G("load",e),r=l;break;case"video":case"audio":for(r=0;r<Zt.length;r++)G(Zt[r],e);r=l;break;case"source":G("error",e),r=l;break;case"img":case"image":case"link":G("error",e),G("load",e),r=l;break;case"details":G("toggle",e),r=l;break;case"input":ss(e,l),r=jo(e,l),G("invalid",e);break;case"option":r=l;break;case"select":e._wrapperState={wasMultiple:!!l.multiple},r=Q({},l,{value:void 0}),G("invalid",e);break;case"textarea":fs(e,l),r=$o(e,l),G("invalid",e);break;default:r=l}bo(t,r),n=r;for(o in n)if(n.hasOwnProperty(o)){var s=n[o];o==="style"?yd(e,s):o==="dangerouslySetInnerHTML"?(s=s?s.__html:void 0,s!=null&&Cd(e,s)):o==="children"?typeof s=="string"?(t!=="textarea"||s!=="")&&nl(e,s):typeof s=="number"&&nl(e,""+s):o!=="suppressContentEditableWarning"&&o!=="suppressHydrationWarning"&&o!=="autoFocus"&&(ul.hasOwnProperty(o)?s!=null&&o==="onScroll"&&G("scroll",e):s!=null&&Ou(e,o,s,u))}switch(t){case"input":zl(e),ds(e,l,!1);break;case"textarea":zl(e),is(e);break;case"option":l.value!=null&&e.setAttribute("value",""+Pa(l.value));break;case"select":e.multiple=!!l.multiple,o=l.value,o!=null?ht(e,!!l.multiple,o,!1):l.defaultValue!=null&&ht(e,!!l.multiple,l.defaultValue,!0);break;default:typeof r.onClick=="function"&&(e.onclick=yr)}switch(t){case"button":case"input":case"select":case"textarea":l=!!l.autoFocus;break e;case"img":l=!0;break e;default:l=!1}}l&&(a.flags|=4)}a.ref!==null&&(a.flags|=512,a.flags|=2097152)}return se(a),null;case 6:if(e&&a.stateNode!=null)jf(e,a,e.memoizedProps,l);else{if(typeof l!="string"&&a.stateNode===null)throw Error(C(166));if(t=za(gl.current),za(Ze.current),Yl(a)){if(l=a.stateNode,t=a.memoizedProps,l[Qe]=a,(o=l.nodeValue!==t)&&(e=we,e!==null))switch(e.tag){case 3:Jl(l.nodeValue,t,(e.mode&1)!==0);break;case 5:e.memoizedProps.suppressHydrationWarning!==!0&&Jl(l.nodeValue,t,(e.mode&1)!==0)}o&&(a.flags|=4)}else l=(t.nodeType===9?t:t.ownerDocument).createTextNode(l),l[Qe]=a,a.stateNode=l}return se(a),null;case 13:if(W(j),l=a.memoizedState,e===null||e.memoizedState!==null&&e.memoizedState.dehydrated!==null){if(X&&ke!==null&&(a.mode&1)!==0&&(a.flags&128)===0)df(),kt(),a.flags|=98560,o=!1;else if(o=Yl(a),l!==null&&l.dehydrated!==null){if(e===null){if(!o)throw Error(C(318));if(o=a.memoizedState,o=o!==null?o.dehydrated:null,!o)throw Error(C(317));o[Qe]=a}else kt(),(a.flags&128)===0&&(a.memoizedState=null),a.flags|=4;se(a),o=!1}else _e!==null&&(Bu(_e),_e=null),o=!0;if(!o)return a.flags&65536?a:null}return(a.flags&128)!==0?(a.lanes=t,a):(l=l!==null,l!==(e!==null&&e.memoizedState!==null)&&l&&(a.child.flags|=8192,(a.mode&1)!==0&&(e===null||(j.current&1)!==0?Y===0&&(Y=3):gn())),a.updateQueue!==null&&(a.flags|=4),se(a),null);case 4:return Pt(),ku(e,a),e===null&&ml(a.stateNode.containerInfo),se(a),null;case 10:return en(a.type._context),se(a),null;case 17:return Ce(a.type)&&vr(),se(a),null;case 19:if(W(j),o=a.memoizedState,o===null)return se(a),null;if(l=(a.flags&128)!==0,u=o.rendering,u===null)if(l)Wt(o,!1);else{if(Y!==0||e!==null&&(e.flags&128)!==0)for(e=a.child;e!==null;){if(u=Tr(e),u!==null){for(a.flags|=128,Wt(o,!1),l=u.updateQueue,l!==null&&(a.updateQueue=l,a.flags|=4),a.subtreeFlags=0,l=t,t=a.child;t!==null;)o=t,e=l,o.flags&=14680066,u=o.alternate,u===null?(o.childLanes=0,o.lanes=e,o.child=null,o.subtreeFlags=0,o.memoizedProps=null,o.memoizedState=null,o.updateQueue=null,o.dependencies=null,o.stateNode=null):(o.childLanes=u.childLanes,o.lanes=u.lanes,o.child=u.child,o.subtreeFlags=0,o.deletions=null,o.memoizedProps=u.memoizedProps,o.memoizedState=u.memoizedState,o.updateQueue=u.updateQueue,o.type=u.type,e=u.dependencies,o.dependencies=e===null?null:{lanes:e.lanes,firstContext:e.firstContext}),t=t.sibling;return _(j,j.current&1|2),a.child}e=e.sibling}o.tail!==null&&Z()>Dt&&(a.flags|=128,l=!0,Wt(o,!1),a.lanes=4194304)}else{if(!l)if(e=Tr(u),e!==null){if(a.flags|=128,l=!0,t=e.updateQueue,t!==null&&(a.updateQueue=t,a.flags|=4),Wt(o,!0),o.tail===null&&o.tailMode==="hidden"&&!u.alternate&&!X)return se(a),null}else 2*Z()-o.renderingStartTime>Dt&&t!==1073741824&&(a.flags|=128,l=!0,Wt(o,!1),a.lanes=4194304);o.isBackwards?(u.sibling=a.child,a.child=u):(t=o.last,t!==null?t.sibling=u:a.child=u,o.last=u)}return o.tail!==null?(a=o.tail,o.rendering=a,o.tail=a.sibling,o.renderingStartTime=Z(),a.sibling=null,t=j.current,_(j,l?t&1|2:t&1),a):(se(a),null);case 22:case 23:return xn(),l=a.memoizedState!==null,e!==null&&e.memoizedState!==null!==l&&(a.flags|=8192),l&&(a.mode&1)!==0?(ve&1073741824)!==0&&(se(a),a.subtreeFlags&6&&(a.flags|=8192)):se(a),null;case 24:return null;case 25:return null}throw Error(C(156,a.tag))}function $p(e,a){switch(Zu(a),a.tag){case 1:return Ce(a.type)&&vr(),e=a.flags,e&65536?(a.flags=e&-65537|128,a):null;case 3:return Pt(),W(Ie),W(fe),on(),e=a.flags,(e&65536)!==0&&(e&128)===0?(a.flags=e&-65537|128,a):null;case 5:return rn(a),null;case 13:if(W(j),e=a.memoizedState,e!==null&&e.dehydrated!==null){if(a.alternate===null)throw Error(C(340));kt()}return e=a.flags,e&65536?(a.flags=e&-65537|128,a):null;case 19:return W(j),null;case 4:return Pt(),null;case 10:return en(a.type._context),null;case 22:case 23:return xn(),null;case 24:return null;default:return null}}var tr=!1,de=!1,Zp=typeof WeakSet=="function"?WeakSet:Set,w=null;function mt(e,a){var t=e.ref;if(t!==null)if(typeof t=="function")try{t(null)}catch(l){$(e,a,l)}else t.current=null}function wu(e,a,t){try{t()}catch(l){$(e,a,l)}}var ad=!1;function bp(e,a){if(su=Ir,e=Zd(),Qu(e)){if("selectionStart"in e)var t={start:e.selectionStart,end:e.selectionEnd};else e:{t=(t=e.ownerDocument)&&t.defaultView||window;var l=t.getSelection&&t.getSelection();if(l&&l.rangeCount!==0){t=l.anchorNode;var r=l.anchorOffset,o=l.focusNode;l=l.focusOffset;try{t.nodeType,o.nodeType}catch(I){t=null;break e}var u=0,n=-1,s=-1,f=0,m=0,g=e,L=null;a:for(;;){for(var S;g!==t||r!==0&&g.nodeType!==3||(n=u+r),g!==o||l!==0&&g.nodeType!==3||(s=u+l),g.nodeType===3&&(u+=g.nodeValue.length),(S=g.firstChild)!==null;)L=g,g=S;for(;;){if(g===e)break a;if(L===t&&++f===r&&(n=u),L===o&&++m===l&&(s=u),(S=g.nextSibling)!==null)break;g=L,L=g.parentNode}g=S}t=n===-1||s===-1?null:{start:n,end:s}}else t=null}t=t||{start:0,end:0}}else t=null;for(du={focusedElem:e,selectionRange:t},Ir=!1,w=a;w!==null;)if(a=w,e=a.child,(a.subtreeFlags&1028)!==0&&e!==null)e.return=a,w=e;else for(;w!==null;){a=w;try{var y=a.alternate;if((a.flags&1024)!==0)switch(a.tag){case 0:case 11:case 15:break;case 1:if(y!==null){var v=y.memoizedProps,q=y.memoizedState,i=a.stateNode,d=i.getSnapshotBeforeUpdate(a.elementType===a.type?v:He(a.type,v),q);i.__reactInternalSnapshotBeforeUpdate=d}break;case 3:var c=a.stateNode.containerInfo;c.nodeType===1?c.textContent="":c.nodeType===9&&c.documentElement&&c.removeChild(c.documentElement);break;case 5:case 6:case 4:case 17:break;default:throw Error(C(163))}}catch(I){$(a,a.return,I)}if(e=a.sibling,e!==null){e.return=a.return,w=e;break}w=a.return}return y=ad,ad=!1,y}function ll(e,a,t){var l=a.updateQueue;if(l=l!==null?l.lastEffect:null,l!==null){var r=l=l.next;do{if((r.tag&e)===e){var o=r.destroy;r.destroy=void 0,o!==void 0&&wu(a,t,o)}r=r.next}while(r!==l)}}function jr(e,a){if(a=a.updateQueue,a=a!==null?a.lastEffect:null,a!==null){var t=a=a.next;do{if((t.tag&e)===e){var l=t.create;t.destroy=l()}t=t.next}while(t!==a)}}function Pu(e){var a=e.ref;if(a!==null){var t=e.stateNode;e.tag,e=t,typeof a=="function"?a(e):a.current=e}}function Kf(e){var a=e.alternate;a!==null&&(e.alternate=null,Kf(a)),e.child=null,e.deletions=null,e.sibling=null,e.tag===5&&(a=e.stateNode,a!==null&&(delete a[Qe],delete a[hl],delete a[cu],delete a[Rp],delete a[Ep])),e.stateNode=null,e.return=null,e.dependencies=null,e.memoizedProps=null,e.memoizedState=null,e.pendingProps=null,e.stateNode=null,e.updateQueue=null}function Qf(e){return e.tag===5||e.tag===3||e.tag===4}function td(e){e:for(;;){for(;e.sibling===null;){if(e.return===null||Qf(e.return))return null;e=e.return}for(e.sibling.return=e.return,e=e.sibling;e.tag!==5&&e.tag!==6&&e.tag!==18;){if(e.flags&2||e.child===null||e.tag===4)continue e;e.child.return=e,e=e.child}if(!(e.flags&2))return e.stateNode}}function Mu(e,a,t){var l=e.tag;if(l===5||l===6)e=e.stateNode,a?t.nodeType===8?t.parentNode.insertBefore(e,a):t.insertBefore(e,a):(t.nodeType===8?(a=t.parentNode,a.insertBefore(e,t)):(a=t,a.appendChild(e)),t=t._reactRootContainer,t!=null||a.onclick!==null||(a.onclick=yr));else if(l!==4&&(e=e.child,e!==null))for(Mu(e,a,t),e=e.sibling;e!==null;)Mu(e,a,t),e=e.sibling}function Du(e,a,t){var l=e.tag;if(l===5||l===6)e=e.stateNode,a?t.insertBefore(e,a):t.appendChild(e);else if(l!==4&&(e=e.child,e!==null))for(Du(e,a,t),e=e.sibling;e!==null;)Du(e,a,t),e=e.sibling}var le=null,ze=!1;function ia(e,a,t){for(t=t.child;t!==null;)$f(e,a,t),t=t.sibling}function $f(e,a,t){if($e&&typeof $e.onCommitFiberUnmount=="function")try{$e.onCommitFiberUnmount(Nr,t)}catch(n){}switch(t.tag){case 5:de||mt(t,a);case 6:var l=le,r=ze;le=null,ia(e,a,t),le=l,ze=r,le!==null&&(ze?(e=le,t=t.stateNode,e.nodeType===8?e.parentNode.removeChild(t):e.removeChild(t)):le.removeChild(t.stateNode));break;case 18:le!==null&&(ze?(e=le,t=t.stateNode,e.nodeType===8?Fo(e.parentNode,t):e.nodeType===1&&Fo(e,t),il(e)):Fo(le,t.stateNode));break;case 4:l=le,r=ze,le=t.stateNode.containerInfo,ze=!0,ia(e,a,t),le=l,ze=r;break;case 0:case 11:case 14:case 15:if(!de&&(l=t.updateQueue,l!==null&&(l=l.lastEffect,l!==null))){r=l=l.next;do{var o=r,u=o.destroy;o=o.tag,u!==void 0&&((o&2)!==0||(o&4)!==0)&&wu(t,a,u),r=r.next}while(r!==l)}ia(e,a,t);break;case 1:if(!de&&(mt(t,a),l=t.stateNode,typeof l.componentWillUnmount=="function"))try{l.props=t.memoizedProps,l.state=t.memoizedState,l.componentWillUnmount()}catch(n){$(t,a,n)}ia(e,a,t);break;case 21:ia(e,a,t);break;case 22:t.mode&1?(de=(l=de)||t.memoizedState!==null,ia(e,a,t),de=l):ia(e,a,t);break;default:ia(e,a,t)}}function ld(e){var a=e.updateQueue;if(a!==null){e.updateQueue=null;var t=e.stateNode;t===null&&(t=e.stateNode=new Zp),a.forEach(function(l){var r=um.bind(null,e,l);t.has(l)||(t.add(l),l.then(r,r))})}}function Ne(e,a){var t=a.deletions;if(t!==null)for(var l=0;l<t.length;l++){var r=t[l];try{var o=e,u=a,n=u;e:for(;n!==null;){switch(n.tag){case 5:le=n.stateNode,ze=!1;break e;case 3:le=n.stateNode.containerInfo,ze=!0;break e;case 4:le=n.stateNode.containerInfo,ze=!0;break e}n=n.return}if(le===null)throw Error(C(160));$f(o,u,r),le=null,ze=!1;var s=r.alternate;s!==null&&(s.return=null),r.return=null}catch(f){$(r,a,f)}}if(a.subtreeFlags&12854)for(a=a.child;a!==null;)Zf(a,e),a=a.sibling}function Zf(e,a){var t=e.alternate,l=e.flags;switch(e.tag){case 0:case 11:case 14:case 15:if(Ne(a,e),je(e),l&4){try{ll(3,e,e.return),jr(3,e)}catch(v){$(e,e.return,v)}try{ll(5,e,e.return)}catch(v){$(e,e.return,v)}}break;case 1:Ne(a,e),je(e),l&512&&t!==null&&mt(t,t.return);break;case 5:if(Ne(a,e),je(e),l&512&&t!==null&&mt(t,t.return),e.flags&32){var r=e.stateNode;try{nl(r,"")}catch(v){$(e,e.return,v)}}if(l&4&&(r=e.stateNode,r!=null)){var o=e.memoizedProps,u=t!==null?t.memoizedProps:o,n=e.type,s=e.updateQueue;if(e.updateQueue=null,s!==null)try{n==="input"&&o.type==="radio"&&o.name!=null&&xd(r,o),Jo(n,u);var f=Jo(n,o);for(u=0;u<s.length;u+=2){var m=s[u],g=s[u+1];m==="style"?yd(r,g):m==="dangerouslySetInnerHTML"?Cd(r,g):m==="children"?nl(r,g):Ou(r,m,g,f)}switch(n){case"input":Ko(r,o);break;case"textarea":gd(r,o);break;case"select":var L=r._wrapperState.wasMultiple;r._wrapperState.wasMultiple=!!o.multiple;var S=o.value;S!=null?ht(r,!!o.multiple,S,!1):L!==!!o.multiple&&(o.defaultValue!=null?ht(r,!!o.multiple,o.defaultValue,!0):ht(r,!!o.multiple,o.multiple?[]:"",!1))}r[hl]=o}catch(v){$(e,e.return,v)}}break;case 6:if(Ne(a,e),je(e),l&4){if(e.stateNode===null)throw Error(C(162));r=e.stateNode,o=e.memoizedProps;try{r.nodeValue=o}catch(v){$(e,e.return,v)}}break;case 3:if(Ne(a,e),je(e),l&4&&t!==null&&t.memoizedState.isDehydrated)try{il(a.containerInfo)}catch(v){$(e,e.return,v)}break;case 4:Ne(a,e),je(e);break;case 13:Ne(a,e),je(e),r=e.child,r.flags&8192&&(o=r.memoizedState!==null,r.stateNode.isHidden=o,!o||r.alternate!==null&&r.alternate.memoizedState!==null||(Ln=Z())),l&4&&ld(e);break;case 22:if(m=t!==null&&t.memoizedState!==null,e.mode&1?(de=(f=de)||m,Ne(a,e),de=f):Ne(a,e),je(e),l&8192){if(f=e.memoizedState!==null,(e.stateNode.isHidden=f)&&!m&&(e.mode&1)!==0)for(w=e,m=e.child;m!==null;){for(g=w=m;w!==null;){switch(L=w,S=L.child,L.tag){case 0:case 11:case 14:case 15:ll(4,L,L.return);break;case 1:mt(L,L.return);var y=L.stateNode;if(typeof y.componentWillUnmount=="function"){l=L,t=L.return;try{a=l,y.props=a.memoizedProps,y.state=a.memoizedState,y.componentWillUnmount()}catch(v){$(l,t,v)}}break;case 5:mt(L,L.return);break;case 22:if(L.memoizedState!==null){od(g);continue}}S!==null?(S.return=L,w=S):od(g)}m=m.sibling}e:for(m=null,g=e;;){if(g.tag===5){if(m===null){m=g;try{r=g.stateNode,f?(o=r.style,typeof o.setProperty=="function"?o.setProperty("display","none","important"):o.display="none"):(n=g.stateNode,s=g.memoizedProps.style,u=s!=null&&s.hasOwnProperty("display")?s.display:null,n.style.display=Sd("display",u))}catch(v){$(e,e.return,v)}}}else if(g.tag===6){if(m===null)try{g.stateNode.nodeValue=f?"":g.memoizedProps}catch(v){$(e,e.return,v)}}else if((g.tag!==22&&g.tag!==23||g.memoizedState===null||g===e)&&g.child!==null){g.child.return=g,g=g.child;continue}if(g===e)break e;for(;g.sibling===null;){if(g.return===null||g.return===e)break e;m===g&&(m=null),g=g.return}m===g&&(m=null),g.sibling.return=g.return,g=g.sibling}}break;case 19:Ne(a,e),je(e),l&4&&ld(e);break;case 21:break;default:Ne(a,e),je(e)}}function je(e){var a=e.flags;if(a&2){try{e:{for(var t=e.return;t!==null;){if(Qf(t)){var l=t;break e}t=t.return}throw Error(C(160))}switch(l.tag){case 5:var r=l.stateNode;l.flags&32&&(nl(r,""),l.flags&=-33);var o=td(e);Du(e,o,r);break;case 3:case 4:var u=l.stateNode.containerInfo,n=td(e);Mu(e,n,u);break;default:throw Error(C(161))}}catch(s){$(e,e.return,s)}e.flags&=-3}a&4096&&(e.flags&=-4097)}function Jp(e,a,t){w=e,bf(e,a,t)}function bf(e,a,t){for(var l=(e.mode&1)!==0;w!==null;){var r=w,o=r.child;if(r.tag===22&&l){var u=r.memoizedState!==null||tr;if(!u){var n=r.alternate,s=n!==null&&n.memoizedState!==null||de;n=tr;var f=de;if(tr=u,(de=s)&&!f)for(w=r;w!==null;)u=w,s=u.child,u.tag===22&&u.memoizedState!==null?ud(r):s!==null?(s.return=u,w=s):ud(r);for(;o!==null;)w=o,bf(o,a,t),o=o.sibling;w=r,tr=n,de=f}rd(e,a,t)}else(r.subtreeFlags&8772)!==0&&o!==null?(o.return=r,w=o):rd(e,a,t)}}function rd(e){for(;w!==null;){var a=w;if((a.flags&8772)!==0){var t=a.alternate;try{if((a.flags&8772)!==0)switch(a.tag){case 0:case 11:case 15:de||jr(5,a);break;case 1:var l=a.stateNode;if(a.flags&4&&!de)if(t===null)l.componentDidMount();else{var r=a.elementType===a.type?t.memoizedProps:He(a.type,t.memoizedProps);l.componentDidUpdate(r,t.memoizedState,l.__reactInternalSnapshotBeforeUpdate)}var o=a.updateQueue;o!==null&&Vs(a,o,l);break;case 3:var u=a.updateQueue;if(u!==null){if(t=null,a.child!==null)switch(a.child.tag){case 5:t=a.child.stateNode;break;case 1:t=a.child.stateNode}Vs(a,u,t)}break;case 5:var n=a.stateNode;if(t===null&&a.flags&4){t=n;var s=a.memoizedProps;switch(a.type){case"button":case"input":case"select":case"textarea":s.autoFocus&&t.focus();break;case"img":s.src&&(t.src=s.src)}}break;case 6:break;case 4:break;case 12:break;case 13:if(a.memoizedState===null){var f=a.alternate;if(f!==null){var m=f.memoizedState;if(m!==null){var g=m.dehydrated;g!==null&&il(g)}}}break;case 19:case 17:case 21:case 22:case 23:case 25:break;default:throw Error(C(163))}de||a.flags&512&&Pu(a)}catch(L){$(a,a.return,L)}}if(a===e){w=null;break}if(t=a.sibling,t!==null){t.return=a.return,w=t;break}w=a.return}}function od(e){for(;w!==null;){var a=w;if(a===e){w=null;break}var t=a.sibling;if(t!==null){t.return=a.return,w=t;break}w=a.return}}function ud(e){for(;w!==null;){var a=w;try{switch(a.tag){case 0:case 11:case 15:var t=a.return;try{jr(4,a)}catch(s){$(a,t,s)}break;case 1:var l=a.stateNode;if(typeof l.componentDidMount=="function"){var r=a.return;try{l.componentDidMount()}catch(s){$(a,r,s)}}var o=a.return;try{Pu(a)}catch(s){$(a,o,s)}break;case 5:var u=a.return;try{Pu(a)}catch(s){$(a,u,s)}}}catch(s){$(a,a.return,s)}if(a===e){w=null;break}var n=a.sibling;if(n!==null){n.return=a.return,w=n;break}w=a.return}}var Yp=Math.ceil,Rr=sa.ReactCurrentDispatcher,pn=sa.ReactCurrentOwner,Re=sa.ReactCurrentBatchConfig,U=0,ae=null,b=null,re=0,ve=0,Lt=Aa(0),Y=0,yl=null,ja=0,Kr=0,mn=0,rl=null,xe=null,Ln=0,Dt=1/0,Ye=null,Er=!1,Au=null,va=null,lr=!1,xa=null,Or=0,ol=0,Tu=null,ir=-1,cr=0;function Le(){return(U&6)!==0?Z():ir!==-1?ir:ir=Z()}function ka(e){return(e.mode&1)===0?1:(U&2)!==0&&re!==0?re&-re:Up.transition!==null?(cr===0&&(cr=Ed()),cr):(e=H,e!==0||(e=window.event,e=e===void 0?16:_d(e.type)),e)}function Ge(e,a,t,l){if(50<ol)throw ol=0,Tu=null,Error(C(185));vl(e,t,l),((U&2)===0||e!==ae)&&(e===ae&&((U&2)===0&&(Kr|=t),Y===4&&La(e,re)),Se(e,l),t===1&&U===0&&(a.mode&1)===0&&(Dt=Z()+500,Gr&&Ta()))}function Se(e,a){var t=e.callbackNode;Nc(e,a);var l=gr(e,e===ae?re:0);if(l===0)t!==null&&ms(t),e.callbackNode=null,e.callbackPriority=0;else if(a=l&-l,e.callbackPriority!==a){if(t!=null&&ms(t),a===1)e.tag===0?Op(nd.bind(null,e)):uf(nd.bind(null,e)),Fp(function(){(U&6)===0&&Ta()}),t=null;else{switch(Od(l)){case 1:t=zu;break;case 4:t=Bd;break;case 16:t=xr;break;case 536870912:t=Rd;break;default:t=xr}t=oi(t,Jf.bind(null,e))}e.callbackPriority=a,e.callbackNode=t}}function Jf(e,a){if(ir=-1,cr=0,(U&6)!==0)throw Error(C(327));var t=e.callbackNode;if(St()&&e.callbackNode!==t)return null;var l=gr(e,e===ae?re:0);if(l===0)return null;if((l&30)!==0||(l&e.expiredLanes)!==0||a)a=Ur(e,l);else{a=l;var r=U;U|=2;var o=ei();(ae!==e||re!==a)&&(Ye=null,Dt=Z()+500,_a(e,a));do try{tm();break}catch(n){Yf(e,n)}while(!0);Yu(),Rr.current=o,U=r,b!==null?a=0:(ae=null,re=0,a=Y)}if(a!==0){if(a===2&&(r=lu(e),r!==0&&(l=r,a=Fu(e,r))),a===1)throw t=yl,_a(e,0),La(e,l),Se(e,Z()),t;if(a===6)La(e,l);else{if(r=e.current.alternate,(l&30)===0&&!em(r)&&(a=Ur(e,l),a===2&&(o=lu(e),o!==0&&(l=o,a=Fu(e,o))),a===1))throw t=yl,_a(e,0),La(e,l),Se(e,Z()),t;switch(e.finishedWork=r,e.finishedLanes=l,a){case 0:case 1:throw Error(C(345));case 2:qa(e,xe,Ye);break;case 3:if(La(e,l),(l&130023424)===l&&(a=Ln+500-Z(),10<a)){if(gr(e,0)!==0)break;if(r=e.suspendedLanes,(r&l)!==l){Le(),e.pingedLanes|=e.suspendedLanes&r;break}e.timeoutHandle=iu(qa.bind(null,e,xe,Ye),a);break}qa(e,xe,Ye);break;case 4:if(La(e,l),(l&4194240)===l)break;for(a=e.eventTimes,r=-1;0<l;){var u=31-Ve(l);o=1<<u,u=a[u],u>r&&(r=u),l&=~o}if(l=r,l=Z()-l,l=(120>l?120:480>l?480:1080>l?1080:1920>l?1920:3e3>l?3e3:4320>l?4320:1960*Yp(l/1960))-l,10<l){e.timeoutHandle=iu(qa.bind(null,e,xe,Ye),l);break}qa(e,xe,Ye);break;case 5:qa(e,xe,Ye);break;default:throw Error(C(329))}}}return Se(e,Z()),e.callbackNode===t?Jf.bind(null,e):null}function Fu(e,a){var t=rl;return e.current.memoizedState.isDehydrated&&(_a(e,a).flags|=256),e=Ur(e,a),e!==2&&(a=xe,xe=t,a!==null&&Bu(a)),e}function Bu(e){xe===null?xe=e:xe.push.apply(xe,e)}function em(e){for(var a=e;;){if(a.flags&16384){var t=a.updateQueue;if(t!==null&&(t=t.stores,t!==null))for(var l=0;l<t.length;l++){var r=t[l],o=r.getSnapshot;r=r.value;try{if(!We(o(),r))return!1}catch(u){return!1}}}if(t=a.child,a.subtreeFlags&16384&&t!==null)t.return=a,a=t;else{if(a===e)break;for(;a.sibling===null;){if(a.return===null||a.return===e)return!0;a=a.return}a.sibling.return=a.return,a=a.sibling}}return!0}function La(e,a){for(a&=~mn,a&=~Kr,e.suspendedLanes|=a,e.pingedLanes&=~a,e=e.expirationTimes;0<a;){var t=31-Ve(a),l=1<<t;e[t]=-1,a&=~l}}function nd(e){if((U&6)!==0)throw Error(C(327));St();var a=gr(e,0);if((a&1)===0)return Se(e,Z()),null;var t=Ur(e,a);if(e.tag!==0&&t===2){var l=lu(e);l!==0&&(a=l,t=Fu(e,l))}if(t===1)throw t=yl,_a(e,0),La(e,a),Se(e,Z()),t;if(t===6)throw Error(C(345));return e.finishedWork=e.current.alternate,e.finishedLanes=a,qa(e,xe,Ye),Se(e,Z()),null}function hn(e,a){var t=U;U|=1;try{return e(a)}finally{U=t,U===0&&(Dt=Z()+500,Gr&&Ta())}}function Ka(e){xa!==null&&xa.tag===0&&(U&6)===0&&St();var a=U;U|=1;var t=Re.transition,l=H;try{if(Re.transition=null,H=1,e)return e()}finally{H=l,Re.transition=t,U=a,(U&6)===0&&Ta()}}function xn(){ve=Lt.current,W(Lt)}function _a(e,a){e.finishedWork=null,e.finishedLanes=0;var t=e.timeoutHandle;if(t!==-1&&(e.timeoutHandle=-1,Tp(t)),b!==null)for(t=b.return;t!==null;){var l=t;switch(Zu(l),l.tag){case 1:l=l.type.childContextTypes,l!=null&&vr();break;case 3:Pt(),W(Ie),W(fe),on();break;case 5:rn(l);break;case 4:Pt();break;case 13:W(j);break;case 19:W(j);break;case 10:en(l.type._context);break;case 22:case 23:xn()}t=t.return}if(ae=e,b=e=wa(e.current,null),re=ve=a,Y=0,yl=null,mn=Kr=ja=0,xe=rl=null,Ha!==null){for(a=0;a<Ha.length;a++)if(t=Ha[a],l=t.interleaved,l!==null){t.interleaved=null;var r=l.next,o=t.pending;if(o!==null){var u=o.next;o.next=r,l.next=u}t.pending=l}Ha=null}return e}function Yf(e,a){do{var t=b;try{if(Yu(),sr.current=Br,Fr){for(var l=K.memoizedState;l!==null;){var r=l.queue;r!==null&&(r.pending=null),l=l.next}Fr=!1}if(Xa=0,ee=J=K=null,tl=!1,Il=0,pn.current=null,t===null||t.return===null){Y=1,yl=a,b=null;break}e:{var o=e,u=t.return,n=t,s=a;if(a=re,n.flags|=32768,s!==null&&typeof s=="object"&&typeof s.then=="function"){var f=s,m=n,g=m.tag;if((m.mode&1)===0&&(g===0||g===11||g===15)){var L=m.alternate;L?(m.updateQueue=L.updateQueue,m.memoizedState=L.memoizedState,m.lanes=L.lanes):(m.updateQueue=null,m.memoizedState=null)}var S=Qs(u);if(S!==null){S.flags&=-257,$s(S,u,n,o,a),S.mode&1&&Ks(o,f,a),a=S,s=f;var y=a.updateQueue;if(y===null){var v=new Set;v.add(s),a.updateQueue=v}else y.add(s);break e}else{if((a&1)===0){Ks(o,f,a),gn();break e}s=Error(C(426))}}else if(X&&n.mode&1){var q=Qs(u);if(q!==null){(q.flags&65536)===0&&(q.flags|=256),$s(q,u,n,o,a),bu(Mt(s,n));break e}}o=s=Mt(s,n),Y!==4&&(Y=2),rl===null?rl=[o]:rl.push(o),o=u;do{switch(o.tag){case 3:o.flags|=65536,a&=-a,o.lanes|=a;var i=Uf(o,s,a);_s(o,i);break e;case 1:n=s;var d=o.type,c=o.stateNode;if((o.flags&128)===0&&(typeof d.getDerivedStateFromError=="function"||c!==null&&typeof c.componentDidCatch=="function"&&(va===null||!va.has(c)))){o.flags|=65536,a&=-a,o.lanes|=a;var I=qf(o,n,a);_s(o,I);break e}}o=o.return}while(o!==null)}ti(t)}catch(k){a=k,b===t&&t!==null&&(b=t=t.return);continue}break}while(!0)}function ei(){var e=Rr.current;return Rr.current=Br,e===null?Br:e}function gn(){(Y===0||Y===3||Y===2)&&(Y=4),ae===null||(ja&268435455)===0&&(Kr&268435455)===0||La(ae,re)}function Ur(e,a){var t=U;U|=2;var l=ei();(ae!==e||re!==a)&&(Ye=null,_a(e,a));do try{am();break}catch(r){Yf(e,r)}while(!0);if(Yu(),U=t,Rr.current=l,b!==null)throw Error(C(261));return ae=null,re=0,Y}function am(){for(;b!==null;)ai(b)}function tm(){for(;b!==null&&!Ac();)ai(b)}function ai(e){var a=ri(e.alternate,e,ve);e.memoizedProps=e.pendingProps,a===null?ti(e):b=a,pn.current=null}function ti(e){var a=e;do{var t=a.alternate;if(e=a.return,(a.flags&32768)===0){if(t=Qp(t,a,ve),t!==null){b=t;return}}else{if(t=$p(t,a),t!==null){t.flags&=32767,b=t;return}if(e!==null)e.flags|=32768,e.subtreeFlags=0,e.deletions=null;else{Y=6,b=null;return}}if(a=a.sibling,a!==null){b=a;return}b=a=e}while(a!==null);Y===0&&(Y=5)}function qa(e,a,t){var l=H,r=Re.transition;try{Re.transition=null,H=1,lm(e,a,t,l)}finally{Re.transition=r,H=l}return null}function lm(e,a,t,l){do St();while(xa!==null);if((U&6)!==0)throw Error(C(327));t=e.finishedWork;var r=e.finishedLanes;if(t===null)return null;if(e.finishedWork=null,e.finishedLanes=0,t===e.current)throw Error(C(177));e.callbackNode=null,e.callbackPriority=0;var o=t.lanes|t.childLanes;if(Hc(e,o),e===ae&&(b=ae=null,re=0),(t.subtreeFlags&2064)===0&&(t.flags&2064)===0||lr||(lr=!0,oi(xr,function(){return St(),null})),o=(t.flags&15990)!==0,(t.subtreeFlags&15990)!==0||o){o=Re.transition,Re.transition=null;var u=H;H=1;var n=U;U|=4,pn.current=null,bp(e,t),Zf(t,e),wp(du),Ir=!!su,du=su=null,e.current=t,Jp(t,e,r),Tc(),U=n,H=u,Re.transition=o}else e.current=t;if(lr&&(lr=!1,xa=e,Or=r),o=e.pendingLanes,o===0&&(va=null),Rc(t.stateNode,l),Se(e,Z()),a!==null)for(l=e.onRecoverableError,t=0;t<a.length;t++)r=a[t],l(r.value,{componentStack:r.stack,digest:r.digest});if(Er)throw Er=!1,e=Au,Au=null,e;return(Or&1)!==0&&e.tag!==0&&St(),o=e.pendingLanes,(o&1)!==0?e===Tu?ol++:(ol=0,Tu=e):ol=0,Ta(),null}function St(){if(xa!==null){var e=Od(Or),a=Re.transition,t=H;try{if(Re.transition=null,H=16>e?16:e,xa===null)var l=!1;else{if(e=xa,xa=null,Or=0,(U&6)!==0)throw Error(C(331));var r=U;for(U|=4,w=e.current;w!==null;){var o=w,u=o.child;if((w.flags&16)!==0){var n=o.deletions;if(n!==null){for(var s=0;s<n.length;s++){var f=n[s];for(w=f;w!==null;){var m=w;switch(m.tag){case 0:case 11:case 15:ll(8,m,o)}var g=m.child;if(g!==null)g.return=m,w=g;else for(;w!==null;){m=w;var L=m.sibling,S=m.return;if(Kf(m),m===f){w=null;break}if(L!==null){L.return=S,w=L;break}w=S}}}var y=o.alternate;if(y!==null){var v=y.child;if(v!==null){y.child=null;do{var q=v.sibling;v.sibling=null,v=q}while(v!==null)}}w=o}}if((o.subtreeFlags&2064)!==0&&u!==null)u.return=o,w=u;else e:for(;w!==null;){if(o=w,(o.flags&2048)!==0)switch(o.tag){case 0:case 11:case 15:ll(9,o,o.return)}var i=o.sibling;if(i!==null){i.return=o.return,w=i;break e}w=o.return}}var d=e.current;for(w=d;w!==null;){u=w;var c=u.child;if((u.subtreeFlags&2064)!==0&&c!==null)c.return=u,w=c;else e:for(u=d;w!==null;){if(n=w,(n.flags&2048)!==0)try{switch(n.tag){case 0:case 11:case 15:jr(9,n)}}catch(k){$(n,n.return,k)}if(n===u){w=null;break e}var I=n.sibling;if(I!==null){I.return=n.return,w=I;break e}w=n.return}}if(U=r,Ta(),$e&&typeof $e.onPostCommitFiberRoot=="function")try{$e.onPostCommitFiberRoot(Nr,e)}catch(k){}l=!0}return l}finally{H=t,Re.transition=a}}return!1}function sd(e,a,t){a=Mt(t,a),a=Uf(e,a,1),e=ya(e,a,1),a=Le(),e!==null&&(vl(e,1,a),Se(e,a))}function $(e,a,t){if(e.tag===3)sd(e,e,t);else for(;a!==null;){if(a.tag===3){sd(a,e,t);break}else if(a.tag===1){var l=a.stateNode;if(typeof a.type.getDerivedStateFromError=="function"||typeof l.componentDidCatch=="function"&&(va===null||!va.has(l))){e=Mt(t,e),e=qf(a,e,1),a=ya(a,e,1),e=Le(),a!==null&&(vl(a,1,e),Se(a,e));break}}a=a.return}}function rm(e,a,t){var l=e.pingCache;l!==null&&l.delete(a),a=Le(),e.pingedLanes|=e.suspendedLanes&t,ae===e&&(re&t)===t&&(Y===4||Y===3&&(re&130023424)===re&&500>Z()-Ln?_a(e,0):mn|=t),Se(e,a)}function li(e,a){a===0&&((e.mode&1)===0?a=1:(a=Gl,Gl<<=1,(Gl&130023424)===0&&(Gl=4194304)));var t=Le();e=ua(e,a),e!==null&&(vl(e,a,t),Se(e,t))}function om(e){var a=e.memoizedState,t=0;a!==null&&(t=a.retryLane),li(e,t)}function um(e,a){var t=0;switch(e.tag){case 13:var l=e.stateNode,r=e.memoizedState;r!==null&&(t=r.retryLane);break;case 19:l=e.stateNode;break;default:throw Error(C(314))}l!==null&&l.delete(a),li(e,t)}var ri;ri=function(e,a,t){if(e!==null)if(e.memoizedProps!==a.pendingProps||Ie.current)ge=!0;else{if((e.lanes&t)===0&&(a.flags&128)===0)return ge=!1,Kp(e,a,t);ge=(e.flags&131072)!==0}else ge=!1,X&&(a.flags&1048576)!==0&&nf(a,Pr,a.index);switch(a.lanes=0,a.tag){case 2:var l=a.type;fr(e,a),e=a.pendingProps;var r=vt(a,fe.current);Ct(a,t),r=nn(null,a,l,e,r,t);var o=sn();return a.flags|=1,typeof r=="object"&&r!==null&&typeof r.render=="function"&&r.$$typeof===void 0?(a.tag=1,a.memoizedState=null,a.updateQueue=null,Ce(l)?(o=!0,kr(a)):o=!1,a.memoizedState=r.state!==null&&r.state!==void 0?r.state:null,tn(a),r.updater=Xr,a.stateNode=r,r._reactInternals=a,gu(a,l,e,t),a=Su(null,a,l,!0,o,t)):(a.tag=0,X&&o&&$u(a),me(null,a,r,t),a=a.child),a;case 16:l=a.elementType;e:{switch(fr(e,a),e=a.pendingProps,r=l._init,l=r(l._payload),a.type=l,r=a.tag=sm(l),e=He(l,e),r){case 0:a=Cu(null,a,l,e,t);break e;case 1:a=Js(null,a,l,e,t);break e;case 11:a=Zs(null,a,l,e,t);break e;case 14:a=bs(null,a,l,He(l.type,e),t);break e}throw Error(C(306,l,""))}return a;case 0:return l=a.type,r=a.pendingProps,r=a.elementType===l?r:He(l,r),Cu(e,a,l,r,t);case 1:return l=a.type,r=a.pendingProps,r=a.elementType===l?r:He(l,r),Js(e,a,l,r,t);case 3:e:{if(_f(a),e===null)throw Error(C(387));l=a.pendingProps,o=a.memoizedState,r=o.element,mf(e,a),Ar(a,l,null,t);var u=a.memoizedState;if(l=u.element,o.isDehydrated)if(o={element:l,isDehydrated:!1,cache:u.cache,pendingSuspenseBoundaries:u.pendingSuspenseBoundaries,transitions:u.transitions},a.updateQueue.baseState=o,a.memoizedState=o,a.flags&256){r=Mt(Error(C(423)),a),a=Ys(e,a,l,t,r);break e}else if(l!==r){r=Mt(Error(C(424)),a),a=Ys(e,a,l,t,r);break e}else for(ke=Sa(a.stateNode.containerInfo.firstChild),we=a,X=!0,_e=null,t=cf(a,null,l,t),a.child=t;t;)t.flags=t.flags&-3|4096,t=t.sibling;else{if(kt(),l===r){a=na(e,a,t);break e}me(e,a,l,t)}a=a.child}return a;case 5:return Lf(a),e===null&&Lu(a),l=a.type,r=a.pendingProps,o=e!==null?e.memoizedProps:null,u=r.children,fu(l,r)?u=null:o!==null&&fu(l,o)&&(a.flags|=32),zf(e,a),me(e,a,u,t),a.child;case 6:return e===null&&Lu(a),null;case 13:return Vf(e,a,t);case 4:return ln(a,a.stateNode.containerInfo),l=a.pendingProps,e===null?a.child=wt(a,null,l,t):me(e,a,l,t),a.child;case 11:return l=a.type,r=a.pendingProps,r=a.elementType===l?r:He(l,r),Zs(e,a,l,r,t);case 7:return me(e,a,a.pendingProps,t),a.child;case 8:return me(e,a,a.pendingProps.children,t),a.child;case 12:return me(e,a,a.pendingProps.children,t),a.child;case 10:e:{if(l=a.type._context,r=a.pendingProps,o=a.memoizedProps,u=r.value,_(Mr,l._currentValue),l._currentValue=u,o!==null)if(We(o.value,u)){if(o.children===r.children&&!Ie.current){a=na(e,a,t);break e}}else for(o=a.child,o!==null&&(o.return=a);o!==null;){var n=o.dependencies;if(n!==null){u=o.child;for(var s=n.firstContext;s!==null;){if(s.context===l){if(o.tag===1){s=la(-1,t&-t),s.tag=2;var f=o.updateQueue;if(f!==null){f=f.shared;var m=f.pending;m===null?s.next=s:(s.next=m.next,m.next=s),f.pending=s}}o.lanes|=t,s=o.alternate,s!==null&&(s.lanes|=t),hu(o.return,t,a),n.lanes|=t;break}s=s.next}}else if(o.tag===10)u=o.type===a.type?null:o.child;else if(o.tag===18){if(u=o.return,u===null)throw Error(C(341));u.lanes|=t,n=u.alternate,n!==null&&(n.lanes|=t),hu(u,t,a),u=o.sibling}else u=o.child;if(u!==null)u.return=o;else for(u=o;u!==null;){if(u===a){u=null;break}if(o=u.sibling,o!==null){o.return=u.return,u=o;break}u=u.return}o=u}me(e,a,r.children,t),a=a.child}return a;case 9:return r=a.type,l=a.pendingProps.children,Ct(a,t),r=Ee(r),l=l(r),a.flags|=1,me(e,a,l,t),a.child;case 14:return l=a.type,r=He(l,a.pendingProps),r=He(l.type,r),bs(e,a,l,r,t);case 15:return Nf(e,a,a.type,a.pendingProps,t);case 17:return l=a.type,r=a.pendingProps,r=a.elementType===l?r:He(l,r),fr(e,a),a.tag=1,Ce(l)?(e=!0,kr(a)):e=!1,Ct(a,t),Of(a,l,r),gu(a,l,r,t),Su(null,a,l,!0,e,t);case 19:return Gf(e,a,t);case 22:return Hf(e,a,t)}throw Error(C(156,a.tag))};function oi(e,a){return Fd(e,a)}function nm(e,a,t,l){this.tag=e,this.key=t,this.sibling=this.child=this.return=this.stateNode=this.type=this.elementType=null,this.index=0,this.ref=null,this.pendingProps=a,this.dependencies=this.memoizedState=this.updateQueue=this.memoizedProps=null,this.mode=l,this.subtreeFlags=this.flags=0,this.deletions=null,this.childLanes=this.lanes=0,this.alternate=null}function Be(e,a,t,l){return new nm(e,a,t,l)}function In(e){return e=e.prototype,!(!e||!e.isReactComponent)}function sm(e){if(typeof e=="function")return In(e)?1:0;if(e!=null){if(e=e.$$typeof,e===qu)return 11;if(e===Nu)return 14}return 2}function wa(e,a){var t=e.alternate;return t===null?(t=Be(e.tag,a,e.key,e.mode),t.elementType=e.elementType,t.type=e.type,t.stateNode=e.stateNode,t.alternate=e,e.alternate=t):(t.pendingProps=a,t.type=e.type,t.flags=0,t.subtreeFlags=0,t.deletions=null),t.flags=e.flags&14680064,t.childLanes=e.childLanes,t.lanes=e.lanes,t.child=e.child,t.memoizedProps=e.memoizedProps,t.memoizedState=e.memoizedState,t.updateQueue=e.updateQueue,a=e.dependencies,t.dependencies=a===null?null:{lanes:a.lanes,firstContext:a.firstContext},t.sibling=e.sibling,t.index=e.index,t.ref=e.ref,t}function pr(e,a,t,l,r,o){var u=2;if(l=e,typeof e=="function")In(e)&&(u=1);else if(typeof e=="string")u=5;else e:switch(e){case ot:return Va(t.children,r,o,a);case Uu:u=8,r|=8;break;case Vo:return e=Be(12,t,a,r|2),e.elementType=Vo,e.lanes=o,e;case Go:return e=Be(13,t,a,r),e.elementType=Go,e.lanes=o,e;case Wo:return e=Be(19,t,a,r),e.elementType=Wo,e.lanes=o,e;case md:return Qr(t,r,o,a);default:if(typeof e=="object"&&e!==null)switch(e.$$typeof){case cd:u=10;break e;case pd:u=9;break e;case qu:u=11;break e;case Nu:u=14;break e;case ca:u=16,l=null;break e}throw Error(C(130,e==null?e:typeof e,""))}return a=Be(u,t,a,r),a.elementType=e,a.type=l,a.lanes=o,a}function Va(e,a,t,l){return e=Be(7,e,l,a),e.lanes=t,e}function Qr(e,a,t,l){return e=Be(22,e,l,a),e.elementType=md,e.lanes=t,e.stateNode={isHidden:!1},e}function Ho(e,a,t){return e=Be(6,e,null,a),e.lanes=t,e}function zo(e,a,t){return a=Be(4,e.children!==null?e.children:[],e.key,a),a.lanes=t,a.stateNode={containerInfo:e.containerInfo,pendingChildren:null,implementation:e.implementation},a}function dm(e,a,t,l,r){this.tag=a,this.containerInfo=e,this.finishedWork=this.pingCache=this.current=this.pendingChildren=null,this.timeoutHandle=-1,this.callbackNode=this.pendingContext=this.context=null,this.callbackPriority=0,this.eventTimes=vo(0),this.expirationTimes=vo(-1),this.entangledLanes=this.finishedLanes=this.mutableReadLanes=this.expiredLanes=this.pingedLanes=this.suspendedLanes=this.pendingLanes=0,this.entanglements=vo(0),this.identifierPrefix=l,this.onRecoverableError=r,this.mutableSourceEagerHydrationData=null}function Cn(e,a,t,l,r,o,u,n,s){return e=new dm(e,a,t,n,s),a===1?(a=1,o===!0&&(a|=8)):a=0,o=Be(3,null,null,a),e.current=o,o.stateNode=e,o.memoizedState={element:l,isDehydrated:t,cache:null,transitions:null,pendingSuspenseBoundaries:null},tn(o),e}function fm(e,a,t){var l=3<arguments.length&&arguments[3]!==void 0?arguments[3]:null;return{$$typeof:rt,key:l==null?null:""+l,children:e,containerInfo:a,implementation:t}}function ui(e){if(!e)return Ma;e=e._reactInternals;e:{if($a(e)!==e||e.tag!==1)throw Error(C(170));var a=e;do{switch(a.tag){case 3:a=a.stateNode.context;break e;case 1:if(Ce(a.type)){a=a.stateNode.__reactInternalMemoizedMergedChildContext;break e}}a=a.return}while(a!==null);throw Error(C(171))}if(e.tag===1){var t=e.type;if(Ce(t))return of(e,t,a)}return a}function ni(e,a,t,l,r,o,u,n,s){return e=Cn(t,l,!0,e,r,o,u,n,s),e.context=ui(null),t=e.current,l=Le(),r=ka(t),o=la(l,r),o.callback=a!=null?a:null,ya(t,o,r),e.current.lanes=r,vl(e,r,l),Se(e,l),e}function $r(e,a,t,l){var r=a.current,o=Le(),u=ka(r);return t=ui(t),a.context===null?a.context=t:a.pendingContext=t,a=la(o,u),a.payload={element:e},l=l===void 0?null:l,l!==null&&(a.callback=l),e=ya(r,a,u),e!==null&&(Ge(e,r,u,o),nr(e,r,u)),u}function qr(e){return e=e.current,e.child?(e.child.tag===5,e.child.stateNode):null}function dd(e,a){if(e=e.memoizedState,e!==null&&e.dehydrated!==null){var t=e.retryLane;e.retryLane=t!==0&&t<a?t:a}}function Sn(e,a){dd(e,a),(e=e.alternate)&&dd(e,a)}function im(){return null}var si=typeof reportError=="function"?reportError:function(e){console.error(e)};function yn(e){this._internalRoot=e}Zr.prototype.render=yn.prototype.render=function(e){var a=this._internalRoot;if(a===null)throw Error(C(409));$r(e,a,null,null)};Zr.prototype.unmount=yn.prototype.unmount=function(){var e=this._internalRoot;if(e!==null){this._internalRoot=null;var a=e.containerInfo;Ka(function(){$r(null,e,null,null)}),a[oa]=null}};function Zr(e){this._internalRoot=e}Zr.prototype.unstable_scheduleHydration=function(e){if(e){var a=Nd();e={blockedOn:null,target:e,priority:a};for(var t=0;t<ma.length&&a!==0&&a<ma[t].priority;t++);ma.splice(t,0,e),t===0&&zd(e)}};function vn(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11)}function br(e){return!(!e||e.nodeType!==1&&e.nodeType!==9&&e.nodeType!==11&&(e.nodeType!==8||e.nodeValue!==" react-mount-point-unstable "))}function fd(){}function cm(e,a,t,l,r){if(r){if(typeof l=="function"){var o=l;l=function(){var f=qr(u);o.call(f)}}var u=ni(a,l,e,0,null,!1,!1,"",fd);return e._reactRootContainer=u,e[oa]=u.current,ml(e.nodeType===8?e.parentNode:e),Ka(),u}for(;r=e.lastChild;)e.removeChild(r);if(typeof l=="function"){var n=l;l=function(){var f=qr(s);n.call(f)}}var s=Cn(e,0,!1,null,null,!1,!1,"",fd);return e._reactRootContainer=s,e[oa]=s.current,ml(e.nodeType===8?e.parentNode:e),Ka(function(){$r(a,s,t,l)}),s}function Jr(e,a,t,l,r){var o=t._reactRootContainer;if(o){var u=o;if(typeof r=="function"){var n=r;r=function(){var s=qr(u);n.call(s)}}$r(a,u,e,r)}else u=cm(t,a,e,r,l);return qr(u)}Ud=function(e){switch(e.tag){case 3:var a=e.stateNode;if(a.current.memoizedState.isDehydrated){var t=$t(a.pendingLanes);t!==0&&(_u(a,t|1),Se(a,Z()),(U&6)===0&&(Dt=Z()+500,Ta()))}break;case 13:Ka(function(){var l=ua(e,1);if(l!==null){var r=Le();Ge(l,e,1,r)}}),Sn(e,1)}};Vu=function(e){if(e.tag===13){var a=ua(e,134217728);if(a!==null){var t=Le();Ge(a,e,134217728,t)}Sn(e,134217728)}};qd=function(e){if(e.tag===13){var a=ka(e),t=ua(e,a);if(t!==null){var l=Le();Ge(t,e,a,l)}Sn(e,a)}};Nd=function(){return H};Hd=function(e,a){var t=H;try{return H=e,a()}finally{H=t}};eu=function(e,a,t){switch(a){case"input":if(Ko(e,t),a=t.name,t.type==="radio"&&a!=null){for(t=e;t.parentNode;)t=t.parentNode;for(t=t.querySelectorAll("input[name="+JSON.stringify(""+a)+'][type="radio"]'),a=0;a<t.length;a++){var l=t[a];if(l!==e&&l.form===e.form){var r=Vr(l);if(!r)throw Error(C(90));hd(l),Ko(l,r)}}}break;case"textarea":gd(e,t);break;case"select":a=t.value,a!=null&&ht(e,!!t.multiple,a,!1)}};wd=hn;Pd=Ka;var pm={usingClientEntryPoint:!1,Events:[wl,dt,Vr,vd,kd,hn]},Xt={findFiberByHostInstance:Na,bundleType:0,version:"18.3.1",rendererPackageName:"react-dom"},mm={bundleType:Xt.bundleType,version:Xt.version,rendererPackageName:Xt.rendererPackageName,rendererConfig:Xt.rendererConfig,overrideHookState:null,overrideHookStateDeletePath:null,overrideHookStateRenamePath:null,overrideProps:null,overridePropsDeletePath:null,overridePropsRenamePath:null,setErrorHandler:null,setSuspenseHandler:null,scheduleUpdate:null,currentDispatcherRef:sa.ReactCurrentDispatcher,findHostInstanceByFiber:function(e){return e=Ad(e),e===null?null:e.stateNode},findFiberByHostInstance:Xt.findFiberByHostInstance||im,findHostInstancesForRefresh:null,scheduleRefresh:null,scheduleRoot:null,setRefreshHandler:null,getCurrentFiber:null,reconcilerVersion:"18.3.1-next-f1338f8080-20240426"};if(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__!="undefined"&&(jt=__REACT_DEVTOOLS_GLOBAL_HOOK__,!jt.isDisabled&&jt.supportsFiber))try{Nr=jt.inject(mm),$e=jt}catch(e){}var jt;De.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED=pm;De.createPortal=function(e,a){var t=2<arguments.length&&arguments[2]!==void 0?arguments[2]:null;if(!vn(a))throw Error(C(200));return fm(e,a,null,t)};De.createRoot=function(e,a){if(!vn(e))throw Error(C(299));var t=!1,l="",r=si;return a!=null&&(a.unstable_strictMode===!0&&(t=!0),a.identifierPrefix!==void 0&&(l=a.identifierPrefix),a.onRecoverableError!==void 0&&(r=a.onRecoverableError)),a=Cn(e,1,!1,null,null,t,!1,l,r),e[oa]=a.current,ml(e.nodeType===8?e.parentNode:e),new yn(a)};De.findDOMNode=function(e){if(e==null)return null;if(e.nodeType===1)return e;var a=e._reactInternals;if(a===void 0)throw typeof e.render=="function"?Error(C(188)):(e=Object.keys(e).join(","),Error(C(268,e)));return e=Ad(a),e=e===null?null:e.stateNode,e};De.flushSync=function(e){return Ka(e)};De.hydrate=function(e,a,t){if(!br(a))throw Error(C(200));return Jr(null,e,a,!0,t)};De.hydrateRoot=function(e,a,t){if(!vn(e))throw Error(C(405));var l=t!=null&&t.hydratedSources||null,r=!1,o="",u=si;if(t!=null&&(t.unstable_strictMode===!0&&(r=!0),t.identifierPrefix!==void 0&&(o=t.identifierPrefix),t.onRecoverableError!==void 0&&(u=t.onRecoverableError)),a=ni(a,null,e,1,t!=null?t:null,r,!1,o,u),e[oa]=a.current,ml(e),l)for(e=0;e<l.length;e++)t=l[e],r=t._getVersion,r=r(t._source),a.mutableSourceEagerHydrationData==null?a.mutableSourceEagerHydrationData=[t,r]:a.mutableSourceEagerHydrationData.push(t,r);return new Zr(a)};De.render=function(e,a,t){if(!br(a))throw Error(C(200));return Jr(null,e,a,!1,t)};De.unmountComponentAtNode=function(e){if(!br(e))throw Error(C(40));return e._reactRootContainer?(Ka(function(){Jr(null,null,e,!1,function(){e._reactRootContainer=null,e[oa]=null})}),!0):!1};De.unstable_batchedUpdates=hn;De.unstable_renderSubtreeIntoContainer=function(e,a,t,l){if(!br(t))throw Error(C(200));if(e==null||e._reactInternals===void 0)throw Error(C(38));return Jr(e,a,t,!1,l)};De.version="18.3.1-next-f1338f8080-20240426"});var ci=Ra((Em,ii)=>{"use strict";function fi(){if(!(typeof __REACT_DEVTOOLS_GLOBAL_HOOK__=="undefined"||typeof __REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE!="function"))try{__REACT_DEVTOOLS_GLOBAL_HOOK__.checkDCE(fi)}catch(e){console.error(e)}}fi(),ii.exports=di()});var mi=Ra(kn=>{"use strict";var pi=ci();kn.createRoot=pi.createRoot,kn.hydrateRoot=pi.hydrateRoot;var Om});var Ei=et(Ea()),Oi=et(mi());var h=et(Ea());var Yr=et(Ea(),1);var Li=e=>e==null?void 0:e.replace(/([a-z0-9])([A-Z])/g,"$1-$2").toLowerCase();function hi(e,a,t=[]){if(a==null)throw new Error("[lucide]: iconNode is required when icon name is used");return{name:Li(e),size:24,node:a,...t.length>0?{aliases:t}:{}}}var xi=e=>{let a="",t=!1;for(let l of e){if(l==="-"||l==="_"||l<=" "){t=a.length>0;continue}a.length===0?a+=l.toLowerCase():a+=t?l.toUpperCase():l,t=!1}return a};var gi=e=>{let a=xi(e);return a.charAt(0).toUpperCase()+a.slice(1)};var Dl=et(Ea(),1);var Ml=(...e)=>e.filter((a,t,l)=>!!a&&a.trim()!==""&&l.indexOf(a)===t).join(" ").trim();var Fa={xmlns:"http://www.w3.org/2000/svg",width:24,height:24,viewBox:"0 0 24 24",fill:"none",stroke:"currentColor","stroke-width":2,"stroke-linecap":"round","stroke-linejoin":"round"};function wn(e){return e!=null}function Ii(e,a={}){var L,S,y,v,q,i,d,c,I,k,M,P,A,N,T;let t=(L=a.attributeNames)!=null?L:{},l=V=>{var Ue;return(Ue=t[V])!=null?Ue:V},r=(y=(S=e.size)!=null?S:e.width)!=null?y:Fa.width,o=(q=(v=e.size)!=null?v:e.height)!=null?q:Fa.height,u=(d=(i=e.aliases)==null?void 0:i.filter(V=>typeof V=="string"&&V.trim()!=="").map(V=>`lucide-${V}`))!=null?d:[],n=[...e.name?[`lucide-${e.name}`]:[],...u],s=(I=(c=a.className)==null?void 0:c.split(" ").filter(Boolean))!=null?I:[],f=a.includeDefaultClasses===!1?Ml(...s):Ml("lucide",...n,...s),m=a.absoluteStrokeWidth?Number((k=a.strokeWidth)!=null?k:Fa["stroke-width"])*Number((P=(M=e.size)!=null?M:e.width)!=null?P:Fa.width)/Number((N=(A=a.size)!=null?A:a.width)!=null?N:Fa.width):(T=a.strokeWidth)!=null?T:Fa["stroke-width"];return["svg",{...Object.entries(Fa).reduce((V,[Ue,Ja])=>(V[l(Ue)]=Ja,V),{}),..."color"in a&&a.color&&{[l("stroke")]:a.color},..."size"in a&&wn(a.size)&&{[l("width")]:a.size,[l("height")]:a.size},..."width"in a&&wn(a.width)&&{[l("width")]:a.width},..."height"in a&&wn(a.height)&&{[l("height")]:a.height},[l("stroke-width")]:m,...f&&{[l("class")]:f},[l("viewBox")]:`0 0 ${r} ${o}`,...a.hasA11yProp===!1?{[l("aria-hidden")]:"true"}:{},..."attributes"in a&&a.attributes},e.node.map(V=>{let[Ue,Ja,Rt]=V,Et=a.nonScalingStroke?{[l("vector-effect")]:"non-scaling-stroke",...Ja}:Ja;return Rt?[Ue,Et,Rt]:[Ue,Et]})]}function Ci(e,a={}){return Ii(e,{...a,attributeNames:{...a.attributeNames,class:"className","stroke-width":"strokeWidth","stroke-linecap":"strokeLinecap","stroke-linejoin":"strokeLinejoin","vector-effect":"vectorEffect"}})}var Si=e=>{for(let a in e)if(a.startsWith("aria-")||a==="role"||a==="title")return!0;return!1};var Ft=et(Ea(),1);var Lm=(0,Ft.createContext)({});var yi=()=>(0,Ft.useContext)(Lm);var vi=(0,Dl.forwardRef)(({color:e,size:a,width:t,height:l,strokeWidth:r,absoluteStrokeWidth:o,nonScalingStroke:u,className:n="",children:s,iconNode:f=[],icon:m={node:f,aliases:[],size:24},...g},L)=>{var P,A,N;let{size:S=24,strokeWidth:y=2,absoluteStrokeWidth:v=!1,nonScalingStroke:q=!1,color:i="currentColor",className:d=""}=(P=yi())!=null?P:{},c=!!s||Si(g),[I,k,M=[]]=Ci(m,{color:e!=null?e:i,width:(A=t!=null?t:a)!=null?A:S,height:(N=l!=null?l:a)!=null?N:S,strokeWidth:r!=null?r:y,absoluteStrokeWidth:o!=null?o:v,nonScalingStroke:u!=null?u:q,className:Ml(d,n),hasA11yProp:c,attributes:g});return(0,Dl.createElement)(I,{ref:L,...k},[...M.map(([T,V])=>(0,Dl.createElement)(T,V)),...Array.isArray(s)?s:[s]])});function be(e,a=[],t=[]){let l=typeof e=="string"?hi(e,a,t):e,r=(0,Yr.forwardRef)(({className:o,...u},n)=>(0,Yr.createElement)(vi,{ref:n,icon:l,className:o,...u}));return l.name&&(r.displayName=gi(l.name)),r}var ki={name:"award",size:24,node:[["path",{d:"m15.477 12.89 1.515 8.526a.5.5 0 0 1-.81.47l-3.58-2.687a1 1 0 0 0-1.197 0l-3.586 2.686a.5.5 0 0 1-.81-.469l1.514-8.526",key:"1yiouv"}],["circle",{cx:"12",cy:"8",r:"6",key:"1vp47v"}]]};ki.node;var Ba=be(ki);var wi={name:"clock",size:24,node:[["circle",{cx:"12",cy:"12",r:"10",key:"1mglay"}],["path",{d:"M12 6v6l4 2",key:"mmk7yg"}]]};wi.node;var Je=be(wi);var Pi={name:"heart",size:24,node:[["path",{d:"M2 9.5a5.5 5.5 0 0 1 9.591-3.676.56.56 0 0 0 .818 0A5.49 5.49 0 0 1 22 9.5c0 2.29-1.5 4-3 5.5l-5.492 5.313a2 2 0 0 1-3 .019L5 15c-1.5-1.5-3-3.2-3-5.5",key:"mvr1a0"}]]};Pi.node;var Bt=be(Pi);var Mi={name:"target",size:24,node:[["circle",{cx:"12",cy:"12",r:"10",key:"1mglay"}],["circle",{cx:"12",cy:"12",r:"6",key:"1vlfrh"}],["circle",{cx:"12",cy:"12",r:"2",key:"1c9p78"}]]};Mi.node;var ie=be(Mi);var Di={name:"trending-up",size:24,node:[["path",{d:"M16 7h6v6",key:"box55l"}],["path",{d:"m22 7-8.5 8.5-5-5L2 17",key:"1t1m79"}]]};Di.node;var Za=be(Di);var hm=10,xm=10,gm=3,Fi="aim_trainer_settings",Bi={lives:{label:"Lives",min:1,max:10,step:1,unit:""},duration:{label:"Duration",min:10,max:300,step:5,unit:"s"},spawnInterval:{label:"Spawn Interval",min:300,max:4e3,step:100,unit:"ms"},targetSize:{label:"Target Size",min:12,max:150,step:2,unit:"px"},shrinkSpeed:{label:"Shrink Speed",min:3,max:120,step:3,unit:"px/s"},targetCount:{label:"Targets",min:5,max:200,step:5,unit:""},speed:{label:"Target Speed",min:50,max:800,step:25,unit:"px/s"}},ba={survival:{label:"Survival",description:"Targets shrink away and spawn faster as you score. Let too many vanish and the game ends.",howTo:["Click targets before they shrink completely","Every target that vanishes costs a life","Multiple targets spawn continuously","Difficulty increases every 5 hits"],defaults:{lives:3,spawnInterval:1500,targetSize:100,shrinkSpeed:18}},timed:{label:"Timed",description:"Hit as many shrinking targets as you can before the clock runs out. No lives.",howTo:["Targets spawn at a steady rate","Each hit scores a point","Targets that vanish are counted but cost nothing","The game ends when the timer reaches zero"],defaults:{duration:60,spawnInterval:700,targetSize:80,shrinkSpeed:21}},fixed:{label:"Fixed Count",description:"Clear a set number of targets, one at a time, as fast as you can.",howTo:["One target is on screen at a time","The next target appears as soon as you hit the current one","Targets do not shrink","Your score is the time taken to clear them all"],defaults:{targetCount:30,targetSize:60}},tracking:{label:"Tracking",description:"Keep the cursor on a target that glides around the arena.",howTo:["No clicking: just follow the target","The target turns green while the cursor is on it","It bounces off the edges at a constant speed","Your score is the share of time spent on target"],defaults:{duration:30,targetSize:70,speed:200}},precision:{label:"Precision",description:"Small static targets, one at a time. Clicks closer to the center score more.",howTo:["One small target is on screen at a time","Targets do not shrink, so take your time","A dead-center hit scores 100 points, an edge hit close to 0","The game ends after the last target"],defaults:{targetCount:20,targetSize:24}}},Ri=(e,a)=>{let t=Bi[e];return Math.min(t.max,Math.max(t.min,a))},Im=()=>({mode:"survival",params:Object.fromEntries(Object.entries(ba).map(([e,a])=>[e,{...a.defaults}]))}),Cm=()=>{let e=Im();try{let a=JSON.parse(window.localStorage.getItem(Fi));if(!a)return e;ba[a.mode]&&(e.mode=a.mode),Object.keys(e.params).forEach(t=>{Object.keys(e.params[t]).forEach(l=>{var o,u;let r=Number((u=(o=a.params)==null?void 0:o[t])==null?void 0:u[l]);Number.isFinite(r)&&(e.params[t][l]=Ri(l,r))})})}catch(a){console.warn("Unable to read aim trainer settings",a)}return e},Sm=e=>{try{window.localStorage.setItem(Fi,JSON.stringify(e))}catch(a){console.warn("Unable to save aim trainer settings",a)}},ym=(e,a)=>Math.max(0,Math.round(100*(1-e/(a/2)))),vm=(e,a)=>Math.max(0,e.initialSize-e.shrinkSpeed*(a-e.spawnTime)/1e3),Ai=(e,a)=>{let t=a.currentSize/a.initialSize*100,l=a.onTarget===void 0?Math.max(0,Math.min(120,t*1.2)):a.onTarget?120:0;e.style.left=`${a.x}px`,e.style.top=`${a.y}px`,e.style.width=`${a.currentSize}px`,e.style.height=`${a.currentSize}px`,e.style.backgroundColor=`hsl(${l}, 80%, 50%)`},km=(e,a,t,l)=>{let{x:r,y:o,vx:u,vy:n}=e;r+=u*a/1e3,o+=n*a/1e3;let s=t-e.currentSize,f=l-e.currentSize;return(r<0||r>s)&&(u=-u,r=Math.min(s,Math.max(0,r))),(o<0||o>f)&&(n=-n,o=Math.min(f,Math.max(0,o))),{x:r,y:o,vx:u,vy:n}},wm=(e,a)=>Math.log2(e/a+1),Pm=(e,a)=>{let t=null;for(let l of e){if(l.t>a)break;t=l}return t},Mm=e=>e.reduce((a,t,l)=>l===0?0:a+Math.hypot(t.x-e[l-1].x,t.y-e[l-1].y),0),Ti=e=>{let a=e.filter(f=>f.indexOfDifficulty!==null&&f.movementTime>0);if(a.length<3)return null;let t=a.length,l=a.reduce((f,m)=>f+m.indexOfDifficulty,0)/t,r=a.reduce((f,m)=>f+m.movementTime,0)/t,o=a.reduce((f,m)=>f+(m.indexOfDifficulty-l)**2,0),u=a.reduce((f,m)=>f+(m.indexOfDifficulty-l)*(m.movementTime-r),0),n=a.reduce((f,m)=>f+(m.movementTime-r)**2,0);if(o===0)return null;let s=u/o;return{n:t,slope:s,intercept:r-s*l,r2:n===0?0:u*u/(o*n),throughput:a.reduce((f,m)=>f+m.indexOfDifficulty/(m.movementTime/1e3),0)/t}};function Pn(){let[e,a]=(0,h.useState)("menu"),[t,l]=(0,h.useState)(Cm),[r,o]=(0,h.useState)([]),[u,n]=(0,h.useState)(0),[s,f]=(0,h.useState)(3),[m,g]=(0,h.useState)([]),[L,S]=(0,h.useState)(0),[y,v]=(0,h.useState)(1),[q,i]=(0,h.useState)(0),[d,c]=(0,h.useState)(0),I=(0,h.useRef)(null),k=(0,h.useRef)(null),M=(0,h.useRef)(new Map),P=(0,h.useRef)([]),A=(0,h.useRef)(null),N=(0,h.useRef)(null),T=(0,h.useRef)({mode:t.mode,params:t.params[t.mode],targets:[]});(0,h.useEffect)(()=>{Sm(t)},[t]);let V=x=>{l(p=>({...p,mode:x}))},Ue=(x,p)=>{l(D=>({...D,params:{...D.params,[D.mode]:{...D.params[D.mode],[x]:Ri(x,Number(p))}}}))},Ja=()=>{l(x=>({...x,params:{...x.params,[x.mode]:{...ba[x.mode].defaults}}}))},Rt=()=>{let x=t.params[t.mode];T.current={mode:t.mode,params:x,targets:[],targetsChanged:!1,score:0,hits:0,lives:x.lives||0,expired:0,difficulty:1,spawnInterval:x.spawnInterval||null,nextSpawnAt:null,startTime:null,endTime:null,lastFrame:null,tracking:{onTarget:0,total:0,streak:0,bestStreak:0,offsetSum:0,samples:0}},a("playing"),n(0),f(x.lives||0),g([]),i(0),c(0),P.current=[],A.current=null,N.current=null,o([]),S(0),v(1)},Et=x=>{if(!I.current)return;let p=T.current,{mode:D,params:F}=p,B=I.current.getBoundingClientRect(),R=D==="survival"?Math.max(F.targetSize/2,F.targetSize-p.difficulty*5):F.targetSize,O={id:x+Math.random(),x:Math.random()*(B.width-R),y:Math.random()*(B.height-R),initialSize:R,currentSize:R,spawnTime:x,shrinkSpeed:0,vx:0,vy:0};if(D==="survival")O.shrinkSpeed=F.shrinkSpeed+p.difficulty*gm;else if(D==="timed")O.shrinkSpeed=F.shrinkSpeed;else if(D==="tracking"){let ce=Math.random()*Math.PI*2;O.x=(B.width-R)/2,O.y=(B.height-R)/2,O.vx=Math.cos(ce)*F.speed,O.vy=Math.sin(ce)*F.speed,O.onTarget=!1}p.targets.push(O),p.targetsChanged=!0},Ui=x=>p=>{p?(M.current.set(x.id,p),Ai(p,x)):M.current.delete(x.id)},eo=x=>{let p=I.current.getBoundingClientRect();return{x:x.clientX-p.left,y:x.clientY-p.top}},qi=x=>{if(e!=="playing"||!I.current)return;let p=performance.now(),D=eo(x);A.current=D;let F=P.current;F.length&&p-F[F.length-1].t<hm||F.push({...D,t:p})},Ni=()=>{A.current=null},Mn=(x,p,D,F)=>{let B={type:x,targetId:p?p.id:null,timestamp:F,clickX:D.x,clickY:D.y,reactionTime:p?F-p.spawnTime:null,spawnX:p?p.x+p.initialSize/2:null,spawnY:p?p.y+p.initialSize/2:null,targetX:null,targetY:null,targetSize:p?p.currentSize:null,initialSize:p?p.initialSize:null,distance:null,movementTime:null,movementDistance:null,indexOfDifficulty:null};if(!p)return B;B.targetX=p.x+p.currentSize/2,B.targetY=p.y+p.currentSize/2,B.distance=Math.hypot(D.x-B.targetX,D.y-B.targetY);let R=N.current,O=R&&R.t>p.spawnTime?R:Pm(P.current,p.spawnTime);return O&&(B.movementTime=F-Math.max(O.t,p.spawnTime),B.movementDistance=Math.hypot(B.targetX-O.x,B.targetY-O.y),B.indexOfDifficulty=wm(B.movementDistance,p.currentSize)),B},Hi=x=>{if(e!=="playing"||T.current.mode==="tracking")return;let p=performance.now(),D=eo(x),F=T.current.targets.reduce((R,O)=>{let ce=Math.hypot(D.x-(O.x+O.currentSize/2),D.y-(O.y+O.currentSize/2));return!R||ce<R.d?{target:O,d:ce}:R},null),B=Mn("miss",F?F.target:null,D,p);g(R=>[...R,B]),N.current={...D,t:p}},zi=(x,p)=>{if(p.stopPropagation(),e!=="playing")return;let D=T.current,{mode:F,params:B}=D;if(F==="tracking"||!D.targets.includes(x))return;let R=performance.now(),O=eo(p),ce=Mn("hit",x,O,R);g(lo=>[...lo,ce]),N.current={...O,t:R},D.targets=D.targets.filter(lo=>lo!==x),D.targetsChanged=!0,D.hits+=1,D.score+=F==="precision"?ym(ce.distance,ce.targetSize):1,F==="survival"&&D.score%5===0&&(D.difficulty+=1,D.spawnInterval=Math.max(500,B.spawnInterval-D.difficulty*150),D.nextSpawnAt=R+D.spawnInterval),(F==="fixed"||F==="precision")&&(D.hits>=B.targetCount?D.endTime=R:Et(R))},_i=(x,p,D)=>{Object.assign(x,km(x,p,D.width,D.height));let F=A.current,B=F?Math.hypot(F.x-(x.x+x.currentSize/2),F.y-(x.y+x.currentSize/2)):null;x.onTarget=B!==null&&B<=x.currentSize/2;let R=T.current.tracking;R.total+=p,x.onTarget?(R.onTarget+=p,R.streak+=p,R.bestStreak=Math.max(R.bestStreak,R.streak)):R.streak=0,B!==null&&(R.offsetSum+=B,R.samples+=1)},Dn=x=>{let p=T.current,{mode:D,params:F}=p,B=p.lastFrame===null?0:x-p.lastFrame;p.lastFrame=x,p.startTime===null&&(p.startTime=x,p.nextSpawnAt=x),p.nextSpawnAt!==null&&x>=p.nextSpawnAt&&(Et(x),p.nextSpawnAt=p.spawnInterval?x+p.spawnInterval:null);let R=I.current.getBoundingClientRect();if(p.targets=p.targets.filter(O=>D==="tracking"?(_i(O,B,R),!0):(O.currentSize=vm(O,x),O.currentSize>xm?!0:(D==="survival"?p.lives=Math.max(0,p.lives-1):p.expired+=1,p.targetsChanged=!0,!1))),p.targets.forEach(O=>{let ce=M.current.get(O.id);ce&&Ai(ce,O)}),p.targetsChanged&&(p.targetsChanged=!1,o([...p.targets])),n(p.score),f(p.lives),i(p.expired),v(p.difficulty),S(Math.floor((x-p.startTime)/1e3)),D==="tracking"&&p.tracking.total>0&&c(Math.round(p.tracking.onTarget/p.tracking.total*100)),p.endTime===null&&(D==="survival"&&p.lives<=0||F.duration&&x-p.startTime>=F.duration*1e3)&&(p.endTime=x),p.endTime!==null){p.targets=[],o([]),a("gameover");return}k.current=requestAnimationFrame(Dn)};(0,h.useEffect)(()=>{if(e==="playing")return k.current=requestAnimationFrame(Dn),()=>cancelAnimationFrame(k.current)},[e]);let te=m.filter(x=>x.type==="hit"),Al=m.filter(x=>x.type==="miss"),An=()=>te.length===0?0:Math.round(te.reduce((x,p)=>x+p.reactionTime,0)/te.length),Tn=()=>m.length===0?0:Math.round(te.length/m.length*100),Vi=()=>{let x=Al.filter(p=>p.distance!==null);return x.length===0?null:Math.round(x.reduce((p,D)=>p+D.distance,0)/x.length)},ao=()=>{if(T.current.mode==="tracking"){let x=T.current.tracking;return x.samples?Math.round(x.offsetSum/x.samples):null}return te.length===0?null:Math.round(te.reduce((x,p)=>x+p.distance,0)/te.length)},to=()=>{let{startTime:x,endTime:p}=T.current;return x===null||p===null?0:(p-x)/1e3},Gi=()=>{let{mode:x,params:p,tracking:D}=T.current,F={label:"Avg Reaction",value:`${An()}ms`,icon:Za,color:"text-green-400"},B={label:"Accuracy",value:`${Tn()}%`,icon:Ba,color:"text-purple-400"},R=ao(),O=R===null?"\u2014":`${R}px`;switch(x){case"timed":return{headline:[{label:"Targets Hit",value:u,icon:ie,color:"text-yellow-400"},{label:"Hits per Minute",value:Math.round(u/p.duration*60),icon:Je,color:"text-blue-400"}],details:[F,B,{label:"Expired",value:q,icon:ie,color:"text-orange-400"}]};case"fixed":{let ce=to();return{headline:[{label:"Completion Time",value:`${ce.toFixed(2)}s`,icon:Je,color:"text-blue-400"},{label:"Per Target",value:`${te.length?Math.round(ce*1e3/te.length):0}ms`,icon:ie,color:"text-yellow-400"}],details:[F,B,{label:"Misses",value:Al.length,icon:ie,color:"text-orange-400"}]}}case"precision":return{headline:[{label:"Precision Score",value:u,icon:ie,color:"text-yellow-400"},{label:"Points per Target",value:te.length?Math.round(u/te.length):0,icon:Ba,color:"text-blue-400"}],details:[{label:"Avg Offset",value:O,icon:ie,color:"text-orange-400"},B,{label:"Completion Time",value:`${to().toFixed(1)}s`,icon:Je,color:"text-green-400"}]};case"tracking":return{headline:[{label:"Time on Target",value:`${d}%`,icon:ie,color:"text-yellow-400"},{label:"Longest Streak",value:`${(D.bestStreak/1e3).toFixed(1)}s`,icon:Je,color:"text-blue-400"}],details:[{label:"Avg Offset",value:O,icon:ie,color:"text-orange-400"},{label:"On Target",value:`${(D.onTarget/1e3).toFixed(1)}s`,icon:Ba,color:"text-purple-400"},{label:"Target Speed",value:`${p.speed}px/s`,icon:Za,color:"text-green-400"}]};default:return{headline:[{label:"Final Score",value:u,icon:ie,color:"text-yellow-400"},{label:"Time Survived",value:`${L}s`,icon:Je,color:"text-blue-400"}],details:[F,B,{label:"Max Level",value:y,icon:ie,color:"text-orange-400"}]}}},Wi=()=>{let{mode:x,params:p,tracking:D}=T.current;if(x==="tracking")return{timeOnTarget:d,longestStreak:D.bestStreak/1e3,averageOffset:ao(),duration:p.duration};let F=Ti(te),B={score:u,hits:te.length,misses:Al.length,accuracy:Tn(),averageReaction:te.length?An():null,throughput:F?F.throughput:null};return x==="survival"?{...B,duration:L,maxLevel:y}:x==="timed"?{...B,hitsPerMinute:u/p.duration*60,expired:q}:{...B,completionTime:to(),averageOffset:ao()}};(0,h.useEffect)(()=>{e==="gameover"&&window.LabResults.record({game:"aim-trainer",mode:T.current.mode,metrics:Wi()})},[e]);let ye=e==="menu"?t.mode:T.current.mode,da=e==="menu"?t.params[t.mode]:T.current.params,Tl=ye!=="tracking",Xi=Tl&&ye!=="fixed"&&ye!=="precision",Fn=e==="gameover"?Gi():null,Ya=e==="gameover"&&Tl?Ti(te):null,Bn=Vi();return h.default.createElement("div",{className:"min-h-screen bg-gradient-to-br from-purple-900 via-blue-900 to-indigo-900 flex flex-col items-center justify-center p-4"},e==="menu"&&h.default.createElement("div",{className:"text-center"},h.default.createElement("div",{className:"mb-8"},h.default.createElement(ie,{className:"text-yellow-400 mx-auto mb-4",size:80}),h.default.createElement("h1",{className:"text-6xl font-bold text-white mb-4"},"Clicking Game"),h.default.createElement("p",{className:"text-xl text-gray-300 mb-2"},"Test your reaction time and hand-eye coordination!"),h.default.createElement("p",{className:"text-lg text-gray-400"},ba[ye].description)),h.default.createElement("div",{className:"flex flex-wrap justify-center gap-2 mb-6",role:"radiogroup","aria-label":"Game mode"},Object.entries(ba).map(([x,p])=>h.default.createElement("button",{key:x,role:"radio","aria-checked":x===ye,onClick:()=>V(x),className:`px-5 py-2 rounded-lg font-bold transition ${x===ye?"bg-yellow-400 text-gray-900":"bg-gray-800 bg-opacity-70 text-gray-300 hover:bg-gray-700"}`},p.label))),h.default.createElement("div",{className:"bg-gray-800 bg-opacity-50 rounded-lg p-6 max-w-md mx-auto mb-8 text-left"},h.default.createElement("div",{className:"flex justify-between items-center mb-3"},h.default.createElement("h3",{className:"text-white text-xl font-bold"},"Settings"),h.default.createElement("button",{onClick:Ja,className:"text-sm text-gray-400 hover:text-white underline"},"Reset to defaults")),h.default.createElement("div",{className:"space-y-3"},Object.keys(da).map(x=>{let p=Bi[x];return h.default.createElement("label",{key:x,className:"block text-gray-300"},h.default.createElement("span",{className:"flex justify-between text-sm mb-1"},h.default.createElement("span",null,p.label),h.default.createElement("span",{className:"text-white font-bold"},da[x],p.unit?` ${p.unit}`:"")),h.default.createElement("input",{type:"range",min:p.min,max:p.max,step:p.step,value:da[x],onChange:D=>Ue(x,D.target.value),className:"w-full"}))}))),h.default.createElement("button",{onClick:Rt,className:"bg-gradient-to-r from-green-500 to-emerald-600 text-white px-12 py-4 rounded-xl text-2xl font-bold hover:scale-105 transform transition shadow-2xl"},"Start Game"),h.default.createElement("div",{className:"mt-8 bg-gray-800 bg-opacity-50 rounded-lg p-6 max-w-md mx-auto"},h.default.createElement("h3",{className:"text-white text-xl font-bold mb-3"},"How to Play"),h.default.createElement("ul",{className:"text-gray-300 text-left space-y-2"},ba[ye].howTo.map(x=>h.default.createElement("li",{key:x},"\u2022 ",x))))),e==="playing"&&h.default.createElement("div",{className:"w-full max-w-6xl"},h.default.createElement("div",{className:"flex justify-between items-center mb-4 bg-gray-800 bg-opacity-70 rounded-lg p-4"},h.default.createElement("div",{className:"flex items-center gap-6"},h.default.createElement("div",{className:"flex items-center gap-2"},h.default.createElement(ie,{className:"text-yellow-400",size:24}),h.default.createElement("span",{className:"text-white text-2xl font-bold"},ye==="tracking"?`On Target: ${d}%`:`Score: ${u}`)),(ye==="fixed"||ye==="precision")&&h.default.createElement("div",{className:"text-white text-xl font-bold"},te.length,"/",da.targetCount),ye==="survival"&&h.default.createElement("div",{className:"flex items-center gap-2"},h.default.createElement(Bt,{className:"text-red-500",size:24}),h.default.createElement("div",{className:"flex gap-1"},[...Array(da.lives)].map((x,p)=>h.default.createElement(Bt,{key:p,size:24,className:p<s?"text-red-500 fill-red-500":"text-gray-600"}))))),h.default.createElement("div",{className:"flex items-center gap-4"},ye==="survival"&&h.default.createElement("div",{className:"text-right"},h.default.createElement("div",{className:"text-gray-400 text-sm"},"Difficulty"),h.default.createElement("div",{className:"text-white text-xl font-bold"},y)),h.default.createElement("div",{className:"text-right"},h.default.createElement("div",{className:"text-gray-400 text-sm"},da.duration?"Time Left":"Time"),h.default.createElement("div",{className:"text-white text-xl font-bold flex items-center gap-1"},h.default.createElement(Je,{size:20}),da.duration?Math.max(0,da.duration-L):L,"s")))),h.default.createElement("div",{ref:I,onClick:Hi,onPointerMove:qi,onPointerLeave:Ni,className:"relative bg-gray-900 bg-opacity-50 rounded-xl overflow-hidden border-4 border-gray-700 cursor-crosshair",style:{height:"600px"}},r.map(x=>h.default.createElement("div",{key:x.id,ref:Ui(x),onClick:p=>zi(x,p),className:`absolute rounded-full transform shadow-2xl border-4 border-white ${Tl?`cursor-pointer ${Xi?"hover:scale-110 transition-transform":""}`:""}`},h.default.createElement("div",{className:"absolute inset-0 flex items-center justify-center"},h.default.createElement("div",{className:"w-2 h-2 bg-white rounded-full"})))))),e==="gameover"&&h.default.createElement("div",{className:"text-center"},h.default.createElement(Ba,{className:"text-yellow-400 mx-auto mb-4",size:80}),h.default.createElement("h1",{className:"text-5xl font-bold text-white mb-2"},"Game Over!"),h.default.createElement("p",{className:"text-xl text-gray-300 mb-8"},ba[ye].label),h.default.createElement("div",{className:"bg-gray-800 bg-opacity-70 rounded-2xl p-8 mb-8 max-w-2xl"},h.default.createElement("div",{className:"grid grid-cols-2 gap-6 mb-6"},Fn.headline.map(({label:x,value:p,icon:D,color:F})=>h.default.createElement("div",{key:x,className:"bg-gray-700 rounded-lg p-6"},h.default.createElement(D,{className:`${F} mx-auto mb-2`,size:32}),h.default.createElement("p",{className:"text-gray-400 text-sm mb-1"},x),h.default.createElement("p",{className:"text-5xl font-bold text-white"},p)))),h.default.createElement("div",{className:"grid grid-cols-3 gap-4"},Fn.details.map(({label:x,value:p,icon:D,color:F})=>h.default.createElement("div",{key:x,className:"bg-gray-700 rounded-lg p-4"},h.default.createElement(D,{className:`${F} mx-auto mb-2`,size:24}),h.default.createElement("p",{className:"text-gray-400 text-sm mb-1"},x),h.default.createElement("p",{className:`text-2xl font-bold ${F}`},p)))),Tl&&h.default.createElement(h.default.Fragment,null,h.default.createElement("div",{className:"grid grid-cols-3 gap-4 mt-4"},h.default.createElement("div",{className:"bg-gray-700 rounded-lg p-4"},h.default.createElement("p",{className:"text-gray-400 text-sm mb-1"},"Clicks"),h.default.createElement("p",{className:"text-2xl font-bold text-white"},te.length," hit / ",Al.length," miss")),h.default.createElement("div",{className:"bg-gray-700 rounded-lg p-4"},h.default.createElement("p",{className:"text-gray-400 text-sm mb-1"},"Avg Miss Distance"),h.default.createElement("p",{className:"text-2xl font-bold text-white"},Bn===null?"\u2014":`${Bn}px`)),h.default.createElement("div",{className:"bg-gray-700 rounded-lg p-4"},h.default.createElement("p",{className:"text-gray-400 text-sm mb-1"},"Cursor Travel"),h.default.createElement("p",{className:"text-2xl font-bold text-white"},Math.round(Mm(P.current)),"px"))),h.default.createElement("div",{className:"bg-gray-700 rounded-lg p-4 mt-4 text-left"},h.default.createElement("div",{className:"flex items-center gap-2 mb-2"},h.default.createElement(Za,{className:"text-blue-400",size:24}),h.default.createElement("h3",{className:"text-white text-xl font-bold"},"Fitts' Law")),Ya?h.default.createElement("div",{className:"text-gray-300 space-y-1"},h.default.createElement("p",null,"Throughput: ",h.default.createElement("span",{className:"text-2xl font-bold text-blue-400"},Ya.throughput.toFixed(2)," bits/s")),h.default.createElement("p",null,"MT = ",Math.round(Ya.intercept)," ms + ",Math.round(Ya.slope)," ms/bit \xD7 ID (R\xB2 = ",Ya.r2.toFixed(2),", ",Ya.n," hits)"),h.default.createElement("p",{className:"text-gray-400 text-sm"},"ID = log\u2082(D / W + 1), using the cursor's distance to the target center and the target's size at the click.")):h.default.createElement("p",{className:"text-gray-400"},"Hit at least three targets while moving the cursor to fit movement time against difficulty.")))),h.default.createElement("button",{onClick:Rt,className:"bg-gradient-to-r from-green-500 to-emerald-600 text-white px-12 py-4 rounded-xl text-2xl font-bold hover:scale-105 transform transition shadow-2xl"},"Play Again"),h.default.createElement("button",{onClick:()=>a("menu"),className:"ml-4 bg-gray-700 text-white px-8 py-4 rounded-xl text-2xl font-bold hover:bg-gray-600 transition shadow-2xl"},"Change Mode")))}(0,Oi.createRoot)(document.getElementById("root")).render(Ei.default.createElement(Pn,null));})();
+/*! Bundled license information:
+
+react/cjs/react.production.min.js:
+  (**
+   * @license React
+   * react.production.min.js
+   *
+   * Copyright (c) Facebook, Inc. and its affiliates.
+   *
+   * This source code is licensed under the MIT license found in the
+   * LICENSE file in the root directory of this source tree.
+   *)
+
+scheduler/cjs/scheduler.production.min.js:
+  (**
+   * @license React
+   * scheduler.production.min.js
+   *
+   * Copyright (c) Facebook, Inc. and its affiliates.
+   *
+   * This source code is licensed under the MIT license found in the
+   * LICENSE file in the root directory of this source tree.
+   *)
+
+react-dom/cjs/react-dom.production.min.js:
+  (**
+   * @license React
+   * react-dom.production.min.js
+   *
+   * Copyright (c) Facebook, Inc. and its affiliates.
+   *
+   * This source code is licensed under the MIT license found in the
+   * LICENSE file in the root directory of this source tree.
+   *)
+
+lucide-react/dist/esm/shared/src/utils/toKebabCase.mjs:
+lucide-react/dist/esm/shared/src/utils/toLucideIconData.mjs:
+lucide-react/dist/esm/shared/src/utils/toCamelCase.mjs:
+lucide-react/dist/esm/shared/src/utils/toPascalCase.mjs:
+lucide-react/dist/esm/shared/src/utils/mergeClasses.mjs:
+lucide-react/dist/esm/shared/src/build/defaultAttributes.mjs:
+lucide-react/dist/esm/shared/src/build/buildLucideIconNode.mjs:
+lucide-react/dist/esm/shared/src/build/buildLucideIconForReact.mjs:
+lucide-react/dist/esm/shared/src/utils/hasA11yProp.mjs:
+lucide-react/dist/esm/context.mjs:
+lucide-react/dist/esm/Icon.mjs:
+lucide-react/dist/esm/createLucideIcon.mjs:
+lucide-react/dist/esm/icons/award.mjs:
+lucide-react/dist/esm/icons/clock.mjs:
+lucide-react/dist/esm/icons/heart.mjs:
+lucide-react/dist/esm/icons/target.mjs:
+lucide-react/dist/esm/icons/trending-up.mjs:
+lucide-react/dist/esm/lucide-react.mjs:
+  (**
+   * @license lucide-react v1.52.0 - ISC
+   *
+   * This source code is licensed under the ISC license.
+   * See the LICENSE file in the root directory of this source tree.
+   *)
+*/
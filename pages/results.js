@@ -0,0 +1,203 @@
+// Cross-game results store shared by the Cognitive Lab, the Stroop clicker, the aim trainer,
+// the dashboard, and the projects page. Every finished session becomes one record with the same shape:
+//   { id, game, mode, timestamp, player, metrics: { name: number } }
+// Records copied from history that carried no date are placed by order instead and have `estimated: true`.
+// Records live in localStorage together with a small player profile, and the whole profile
+// can be exported and imported as one JSON file.
+window.LabResults = (() => {
+  const STORAGE_KEY = "lab_results_profile";
+  const EXPORT_FORMAT = "lab-results-profile";
+  const EXPORT_VERSION = 1;
+
+  // Games that write records; pages are relative to the site root.
+  const GAMES = {
+    "cognitive-lab": { label: "Cognitive Lab", page: "pages/cognitive-lab.html" },
+    stroop: { label: "Stroop Speed Clicker", page: "pages/stroop_speed_clicker.html" },
+    "aim-trainer": { label: "Aim Trainer", page: "pages/aim-trainer.html" },
+  };
+
+  // Per-device best-score boards. `better` says which direction ranks first.
+  const LEADERBOARDS = [
+    { id: "stroop-accuracy", label: "Stroop accuracy", game: "stroop", metric: "accuracy", better: "higher", unit: "%" },
+    { id: "stroop-cost", label: "Stroop cost", game: "stroop", metric: "interferenceGap", better: "lower", unit: "%" },
+    { id: "digit-span", label: "Digit span", game: "cognitive-lab", mode: "digit-span", metric: "span", better: "higher", unit: " digits" },
+    { id: "aim-survival", label: "Aim Trainer · Survival", game: "aim-trainer", mode: "survival", metric: "score", better: "higher", unit: " pts" },
+    { id: "aim-timed", label: "Aim Trainer · Timed", game: "aim-trainer", mode: "timed", metric: "score", better: "higher", unit: " hits" },
+    { id: "aim-fixed", label: "Aim Trainer · Fixed Count", game: "aim-trainer", mode: "fixed", metric: "completionTime", better: "lower", unit: " s" },
+    { id: "aim-precision", label: "Aim Trainer · Precision", game: "aim-trainer", mode: "precision", metric: "score", better: "higher", unit: " pts" },
+    { id: "aim-tracking", label: "Aim Trainer · Tracking", game: "aim-trainer", mode: "tracking", metric: "timeOnTarget", better: "higher", unit: "%" },
+  ];
+
+  const emptyStore = () => ({ profile: { name: "", createdAt: Date.now() }, records: [], legacyImported: [] });
+
+  // Keeps only finite numbers, so every metric can be charted.
+  const cleanMetrics = (metrics) =>
+    Object.fromEntries(
+      Object.entries(metrics ?? {}).filter(([, value]) => typeof value === "number" && Number.isFinite(value))
+    );
+
+  const isValidRecord = (record) =>
+    Boolean(record) &&
+    typeof record.id === "string" &&
+    Object.hasOwn(GAMES, record.game) &&
+    typeof record.mode === "string" &&
+    Number.isFinite(record.timestamp) &&
+    Boolean(record.metrics) &&
+    typeof record.metrics === "object";
+
+  const readStore = () => {
+    try {
+      const raw = window.localStorage.getItem(STORAGE_KEY);
+      const stored = raw ? JSON.parse(raw) : null;
+      if (!stored || !Array.isArray(stored.records)) {
+        return emptyStore();
+      }
+      return {
+        profile: { ...emptyStore().profile, ...stored.profile },
+        records: stored.records.filter(isValidRecord),
+        legacyImported: Array.isArray(stored.legacyImported) ? stored.legacyImported : [],
+      };
+    } catch (error) {
+      console.warn("Unable to read saved results", error);
+      return emptyStore();
+    }
+  };
+
+  const writeStore = (store) => {
+    try {
+      window.localStorage.setItem(STORAGE_KEY, JSON.stringify(store));
+    } catch (error) {
+      console.warn("Unable to save results", error);
+    }
+  };
+
+  // Adds records whose IDs are not stored yet and returns how many were new. Games pass
+  // IDs derived from their own history, so re-recording a session is harmless.
+  const addRecords = (records) => {
+    const store = readStore();
+    const knownIds = new Set(store.records.map((record) => record.id));
+    const added = records.filter((record) => {
+      if (!isValidRecord(record) || knownIds.has(record.id)) {
+        return false;
+      }
+      knownIds.add(record.id);
+      return true;
+    });
+    if (added.length) {
+      store.records.push(...added);
+      store.records.sort((a, b) => a.timestamp - b.timestamp);
+      writeStore(store);
+    }
+    return added.length;
+  };
+
+  // The player is the profile name when the record is made, so the leaderboard keeps
+  // names apart when several people share a device or profiles are imported.
+  const createRecord = ({ id, game, mode, timestamp = Date.now(), player = readStore().profile.name, metrics, estimated }) => ({
+    id: id ?? `${game}-${timestamp}`,
+    game,
+    mode: mode || "default",
+    timestamp,
+    player,
+    metrics: cleanMetrics(metrics),
+    ...(estimated === true ? { estimated } : {}),
+  });
+
+  const record = (entry) => {
+    const created = createRecord(entry);
+    addRecords([created]);
+    return created;
+  };
+
+  const recordMany = (entries) => addRecords(entries.map(createRecord));
+
+  // Copies a game's history from before this store existed, once per browser, so clearing
+  // the results does not bring the old sessions back on the next visit.
+  const importLegacy = (game, entries) => {
+    if (readStore().legacyImported.includes(game)) {
+      return 0;
+    }
+    const added = recordMany(entries);
+    const store = readStore();
+    store.legacyImported.push(game);
+    writeStore(store);
+    return added;
+  };
+
+  // Oldest first, optionally limited to one game.
+  const getRecords = (game = null) => readStore().records.filter((entry) => !game || entry.game === game);
+
+  // Top records for one board, best first.
+  const getLeaderboard = (board, limit = 5) => {
+    const sign = board.better === "lower" ? 1 : -1;
+    return getRecords(board.game)
+      .filter((entry) => (!board.mode || entry.mode === board.mode) && board.metric in entry.metrics)
+      .sort((a, b) => sign * (a.metrics[board.metric] - b.metrics[board.metric]) || a.timestamp - b.timestamp)
+      .slice(0, limit)
+      .map((entry) => ({
+        value: entry.metrics[board.metric],
+        player: entry.player || "",
+        mode: entry.mode,
+        timestamp: entry.timestamp,
+      }));
+  };
+
+  const getProfile = () => readStore().profile;
+
+  const setProfileName = (name) => {
+    const store = readStore();
+    store.profile.name = String(name ?? "").trim().slice(0, 40);
+    writeStore(store);
+    return store.profile;
+  };
+
+  const exportProfile = () => {
+    const store = readStore();
+    return {
+      format: EXPORT_FORMAT,
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      profile: store.profile,
+      records: store.records,
+    };
+  };
+
+  // Merges an exported profile into this browser. The stored name wins unless it is empty.
+  // Imported records go through createRecord like new ones, keeping the player they were made by.
+  const importProfile = (data) => {
+    if (data?.format !== EXPORT_FORMAT || !Array.isArray(data.records)) {
+      throw new Error("This file is not an exported results profile.");
+    }
+    const added = addRecords(
+      data.records
+        .filter(isValidRecord)
+        .map((entry) => createRecord({ ...entry, player: typeof entry.player === "string" ? entry.player : "" }))
+    );
+    const store = readStore();
+    if (!store.profile.name && typeof data.profile?.name === "string") {
+      store.profile.name = data.profile.name.trim().slice(0, 40);
+      writeStore(store);
+    }
+    return added;
+  };
+
+  const clear = () => {
+    const { profile, legacyImported } = readStore();
+    writeStore({ profile, records: [], legacyImported });
+  };
+
+  return {
+    GAMES,
+    LEADERBOARDS,
+    record,
+    recordMany,
+    importLegacy,
+    getRecords,
+    getLeaderboard,
+    getProfile,
+    setProfileName,
+    exportProfile,
+    importProfile,
+    clear,
+  };
+})();
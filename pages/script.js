@@ -7,32 +7,35 @@ const tasks = {
       "Digits display for 3 seconds before the response window opens.",
       "Three errors end the current phase; perfect streaks extend indefinitely.",
       "Live scoreboard compares baseline accuracy against chunked recall.",
+      "Presentation can be the whole string, one digit at a time, or spoken aloud, with forward or backward recall.",
+      "Configure Options adjusts timing, error limit, starting length, and chunk markers.",
     ],
     stagePlaceholder:
       "Digits will render here. Once three errors occur, the task switches to chunked recall automatically.",
   },
   "pattern-recall": {
     name: "Corsi Pattern Recall",
-    summary: "Visuospatial span task using sequenced block taps (Corsi board).",
+    summary:
+      "Visuospatial span task on a 9-block Corsi board. Sequences start at 2 blocks and grow by one after every perfect recall; two failures at the same length end the phase.",
     highlights: [
-      "Adaptive block patterns tap into forward/backward visuospatial span.",
-      "Timing windows can add interference or rehearsal delays.",
-      "Performance summary captures longest span and average accuracy.",
+      "Blocks light up one at a time; tap them back in order once the board unlocks.",
+      "Forward recall runs first, then the same staircase repeats for backward recall.",
+      "Performance summary captures forward/backward span, per-trial accuracy, and tap latencies.",
     ],
     stagePlaceholder:
-      "Corsi block patterns will appear here. Configure block count and presentation timing before launching.",
+      "Corsi block patterns will appear here. Launch a session to light up the first sequence.",
   },
   "story-chain": {
     name: "Story Chain",
     summary:
-      "Narrative retention task where participants extend and recall story elements.",
+      "Narrative retention task where participants extend a story segment by segment, then retell the whole chain after a short delay.",
     highlights: [
-      "Rotates prompts to balance semantic load and novelty.",
-      "Supports collaborative or solo recall phases.",
-      "Scores based on fidelity, continuity, and added details.",
+      "Rotates prompt sets between sessions to balance semantic load and novelty.",
+      "Solo mode keeps one author; collaborative mode alternates partners on each continuation.",
+      "Scores fidelity (token overlap), continuity (ordered key elements), and added details.",
     ],
     stagePlaceholder:
-      "Story prompts will appear here. Adjust narrative complexity and recall cadence in settings.",
+      "Story prompts will appear here. Launch a session to receive the opening segment.",
   },
 };
 
@@ -42,16 +45,108 @@ const settingsButton = document.getElementById("task-settings");
 const taskStage = document.getElementById("task-stage");
 const taskDetailsSection = document.getElementById("task-details");
 const taskHighlightsList = document.getElementById("task-highlights");
+const studyProtocol = window.LabStudy?.getProtocolForPage("cognitive-lab.html") ?? null;
 
 const DIGIT_SPAN_TASK_KEY = "digit-span";
-const DIGIT_SPAN_ERROR_LIMIT = 3;
-const DIGIT_SPAN_DISPLAY_MS = 3000;
-const DIGIT_SPAN_MIN_LENGTH = 5;
+const DIGIT_SPAN_SETTINGS_STORAGE_KEY = "cognitive_lab_digit_span_settings";
+const DIGIT_SPAN_DEFAULT_SETTINGS = {
+  displayMs: 3000,
+  errorLimit: 3,
+  minLength: 5,
+  interRoundDelayMs: 1200,
+  delimiter: "•",
+  chunkPattern: "3",
+  presentation: "whole",
+  direction: "forward",
+  digitIntervalMs: 1000,
+};
+// Inclusive bounds enforced by the settings form and when loading stored values.
+const DIGIT_SPAN_SETTING_LIMITS = {
+  displayMs: { min: 500, max: 10000, label: "Display duration (ms)" },
+  errorLimit: { min: 1, max: 10, label: "Errors per phase" },
+  minLength: { min: 2, max: 12, label: "Starting length" },
+  interRoundDelayMs: { min: 0, max: 10000, label: "Inter-round delay (ms)" },
+  digitIntervalMs: { min: 400, max: 3000, label: "Digit interval (ms)" },
+};
+const DIGIT_SPAN_PRESENTATIONS = {
+  whole: "Visual · Whole string",
+  sequential: "Visual · One digit at a time",
+  auditory: "Auditory · Spoken digits",
+};
+const DIGIT_SPAN_DIRECTIONS = {
+  forward: "Forward recall",
+  backward: "Backward recall",
+};
+// Share of each digit interval the digit stays visible, so repeated digits read as separate events.
+const DIGIT_SPAN_SEQUENTIAL_ON_RATIO = 0.75;
+const DIGIT_SPAN_MAX_CHUNK_SIZE = 6;
+
+const CORSI_TASK_KEY = "pattern-recall";
+const CORSI_MIN_LENGTH = 2;
+const CORSI_FAILURE_LIMIT = 2;
+const CORSI_FLASH_MS = 700;
+const CORSI_GAP_MS = 300;
+const CORSI_TAP_FLASH_MS = 180;
+// Irregular block layout (percent offsets within the board), after the classic Corsi apparatus.
+const CORSI_BLOCK_LAYOUT = [
+  { x: 8, y: 62 },
+  { x: 30, y: 78 },
+  { x: 62, y: 74 },
+  { x: 4, y: 30 },
+  { x: 36, y: 46 },
+  { x: 58, y: 34 },
+  { x: 82, y: 50 },
+  { x: 22, y: 6 },
+  { x: 70, y: 4 },
+];
+const CORSI_BLOCK_COUNT = CORSI_BLOCK_LAYOUT.length;
+
+const STORY_TASK_KEY = "story-chain";
+const STORY_RECALL_DELAY_MS = 15000;
+const STORY_MIN_CONTINUATION_WORDS = 5;
+const STORY_KEY_ELEMENTS_PER_SEGMENT = 3;
+// Each set opens the story and injects a twist before every later continuation.
+const STORY_PROMPT_SETS = [
+  {
+    title: "The Lighthouse Keeper",
+    segments: [
+      "Every night the old lighthouse keeper climbed ninety steps to polish the brass lantern, until one evening she found a wet envelope sealed with green wax on the top stair.",
+      "A fishing trawler without lights drifted toward the northern rocks, and someone aboard kept flashing a mirror in short, deliberate bursts.",
+      "By dawn the tide had carried a wooden crate onto the beach, stamped with the same green seal and humming faintly.",
+    ],
+  },
+  {
+    title: "The Night Market",
+    segments: [
+      "At the night market a quiet boy sold paper lanterns that glowed without candles, and every buyer swore their lantern whispered a different name.",
+      "A woman in a silver raincoat bought every remaining lantern and asked the boy where he found the glowing paper.",
+      "When the market closed, the lanterns rose from her cart and floated together toward the abandoned observatory.",
+    ],
+  },
+  {
+    title: "The Orchard Robot",
+    segments: [
+      "The farm robot named Pepper was built to pick apples, but this autumn it started leaving the ripest ones beside the old stone well.",
+      "The farmer's daughter installed a camera and discovered a limping fox visiting the well every midnight.",
+      "A storm knocked out the power, and Pepper rolled off alone into the orchard carrying a bundle of blankets.",
+    ],
+  },
+];
+const STORY_STOPWORDS = new Set(
+  "a about after again all an and any are as at be been before but by can could did do does each every for from had has have he her him his how i if in into is it its just me more my no not of on one or our out over she so some than that the their them then there these they this to too up was we were what when where which while who will with would you your".split(
+    " "
+  )
+);
 
 let activeTaskKey = null;
 let chunkingState = null;
 let chunkingUI = null;
-const chunkingHistory = [];
+let digitSpanSettings = { ...DIGIT_SPAN_DEFAULT_SETTINGS };
+let corsiState = null;
+let corsiUI = null;
+let storyState = null;
+let storyUI = null;
+let storyPromptCursor = 0;
 
 const body = document.body;
 
@@ -152,21 +247,173 @@ const stopChunkingTimer = () => {
 const createDigitSequence = (length) =>
   Array.from({ length }, () => Math.floor(Math.random() * 10)).join("");
 
-const formatWithDelimiters = (sequence) => {
-  if (!sequence) {
-    return "";
-  }
+const parseChunkPattern = (pattern) =>
+  String(pattern)
+    .split("-")
+    .map((size) => Number.parseInt(size, 10));
+
+// Group sizes apply left to right and the last size repeats; a trailing single digit
+// joins the previous group so "3" chunks 7 digits as 3-4 rather than 3-3-1.
+const chunkSequence = (sequence, settings = digitSpanSettings) => {
+  const sizes = parseChunkPattern(settings.chunkPattern);
   const groups = [];
   let index = 0;
   while (index < sequence.length) {
-    const remaining = sequence.length - index;
-    const groupSize = remaining > 4 ? 3 : remaining;
+    const groupSize = sizes[Math.min(groups.length, sizes.length - 1)];
     groups.push(sequence.slice(index, index + groupSize));
     index += groupSize;
   }
-  return groups.join(" • ");
+  if (groups.length > 1 && groups[groups.length - 1].length === 1) {
+    const tail = groups.pop();
+    groups[groups.length - 1] += tail;
+  }
+  return groups;
+};
+
+const formatWithDelimiters = (sequence, settings = digitSpanSettings) => {
+  if (!sequence) {
+    return "";
+  }
+  return chunkSequence(sequence, settings).join(` ${settings.delimiter} `);
+};
+
+const digitSpanModeKey = ({ presentation, direction }) => `${presentation}-${direction}`;
+
+const describeDigitSpanMode = (modeKey) => {
+  const [presentation, direction] = modeKey.split("-");
+  return `${DIGIT_SPAN_PRESENTATIONS[presentation] ?? presentation} · ${
+    DIGIT_SPAN_DIRECTIONS[direction] ?? direction
+  }`;
+};
+
+const supportsSpeech = () =>
+  "speechSynthesis" in window && typeof window.SpeechSynthesisUtterance === "function";
+
+// Longest perfectly recalled length for each presentation/direction mode. Rounds without their own
+// mode (CSV imports carry it per session) count toward `sessionMode`.
+const spansByMode = (rounds, sessionMode = "whole-forward") =>
+  rounds.reduce((spans, round) => {
+    const mode = round.mode ?? sessionMode;
+    spans[mode] = Math.max(spans[mode] ?? 0, round.errors === 0 ? round.length : 0);
+    return spans;
+  }, {});
+
+// Onset offsets for one-at-a-time presentation. Chunk boundaries add half an interval,
+// during which visual mode shows the delimiter glyph.
+const buildDigitSchedule = (sequence, withDelimiters, settings) => {
+  const groups = withDelimiters ? chunkSequence(sequence, settings) : [sequence];
+  const steps = [];
+  let atMs = 0;
+  groups.forEach((group, groupIndex) => {
+    if (groupIndex > 0) {
+      steps.push({ atMs, delimiter: settings.delimiter });
+      atMs += settings.digitIntervalMs / 2;
+    }
+    group.split("").forEach((digit) => {
+      steps.push({ atMs, digit });
+      atMs += settings.digitIntervalMs;
+    });
+  });
+  return { steps, totalMs: atMs };
+};
+
+// Speech output has no frame to lock to, so the utterance's own start event stamps the onset.
+const speakDigit = (digit, onStart) => {
+  const utterance = new window.SpeechSynthesisUtterance(digit);
+  utterance.rate = 1.1;
+  utterance.addEventListener?.("start", (event) => onStart(window.LabTiming.eventTime(event)));
+  window.speechSynthesis.speak(utterance);
+};
+
+const clearDigitPresentation = () => {
+  if (!chunkingState) {
+    return;
+  }
+  chunkingState.presentation?.cancel();
+  chunkingState.presentation = null;
+  if (chunkingState.settings.presentation === "auditory" && supportsSpeech()) {
+    window.speechSynthesis.cancel();
+  }
 };
 
+const roundTimingMs = (value) => (Number.isFinite(value) ? Math.round(value * 10) / 10 : null);
+
+// Only the settings form passes `requireSpeech`: saved settings keep "auditory" in browsers without
+// speech synthesis, and startChunkingSession falls back to sequential presentation for that session.
+function validateDigitSpanSettings(raw, { requireSpeech = false } = {}) {
+  const errors = {};
+  const settings = {};
+
+  Object.entries(DIGIT_SPAN_SETTING_LIMITS).forEach(([key, { min, max, label }]) => {
+    const value = Number(raw[key]);
+    if (!Number.isInteger(value) || value < min || value > max) {
+      errors[key] = `${label} must be a whole number from ${min} to ${max}.`;
+      return;
+    }
+    settings[key] = value;
+  });
+
+  if (!Object.hasOwn(DIGIT_SPAN_PRESENTATIONS, raw.presentation)) {
+    errors.presentation = "Choose a presentation mode.";
+  } else if (requireSpeech && raw.presentation === "auditory" && !supportsSpeech()) {
+    errors.presentation = "Auditory presentation needs speech synthesis, which this browser does not provide.";
+  } else {
+    settings.presentation = raw.presentation;
+  }
+
+  if (!Object.hasOwn(DIGIT_SPAN_DIRECTIONS, raw.direction)) {
+    errors.direction = "Choose a recall direction.";
+  } else {
+    settings.direction = raw.direction;
+  }
+
+  const delimiter = String(raw.delimiter ?? "").trim();
+  if (!delimiter || delimiter.length > 3 || /\d/.test(delimiter)) {
+    errors.delimiter = "Delimiter must be 1–3 characters and cannot contain digits.";
+  } else {
+    settings.delimiter = delimiter;
+  }
+
+  const chunkPattern = String(raw.chunkPattern ?? "").replace(/\s+/g, "");
+  const sizes = parseChunkPattern(chunkPattern);
+  if (
+    !/^\d+(-\d+)*$/.test(chunkPattern) ||
+    sizes.some((size) => size < 1 || size > DIGIT_SPAN_MAX_CHUNK_SIZE)
+  ) {
+    errors.chunkPattern = `Chunk pattern must be group sizes from 1 to ${DIGIT_SPAN_MAX_CHUNK_SIZE} joined by dashes, e.g. 3-3-4.`;
+  } else {
+    settings.chunkPattern = chunkPattern;
+  }
+
+  return { settings, errors, valid: Object.keys(errors).length === 0 };
+}
+
+function loadDigitSpanSettings() {
+  try {
+    const raw = window.localStorage.getItem(DIGIT_SPAN_SETTINGS_STORAGE_KEY);
+    if (!raw) {
+      return;
+    }
+    const { settings, valid } = validateDigitSpanSettings({
+      ...DIGIT_SPAN_DEFAULT_SETTINGS,
+      ...JSON.parse(raw),
+    });
+    if (valid) {
+      digitSpanSettings = settings;
+    }
+  } catch (error) {
+    console.warn("Unable to read Digit Span settings", error);
+  }
+}
+
+function saveDigitSpanSettings() {
+  try {
+    window.localStorage.setItem(DIGIT_SPAN_SETTINGS_STORAGE_KEY, JSON.stringify(digitSpanSettings));
+  } catch (error) {
+    console.warn("Unable to save Digit Span settings", error);
+  }
+}
+
 const averageAccuracy = (rounds) => {
   if (!rounds.length) {
     return null;
@@ -182,11 +429,15 @@ const formatPercent = (value) => {
   return `${Math.round(value * 100)}%`;
 };
 
+// Saved settings and imported sessions are user-supplied text, so escape them before they reach markup.
+const escapeHtml = (text) => String(text ?? "").replace(/[&<>"']/g, (char) => `&#${char.charCodeAt(0)};`);
+
 function updateChunkingSummary() {
   if (!chunkingUI?.summary) {
     return;
   }
 
+  const chunkingHistory = getTaskHistory(DIGIT_SPAN_TASK_KEY);
   const activeRounds = chunkingState?.rounds ?? [];
   const baselineRounds = activeRounds.filter((round) => !round.withDelimiters);
   const chunkedRounds = activeRounds.filter((round) => round.withDelimiters);
@@ -222,16 +473,41 @@ function updateChunkingSummary() {
   if (chunkingState?.inProgress) {
     const phaseLabel =
       chunkingState.phase === "chunked" ? "Chunked Recall · Delimiters" : "Baseline Recall · No Delimiters";
-    const nextLength = DIGIT_SPAN_MIN_LENGTH + chunkingState.phaseRoundCount;
+    const { minLength, errorLimit } = chunkingState.settings;
+    const nextLength = minLength + chunkingState.phaseRoundCount;
+    const recallsLabel = `${errorLimit} imperfect recall${errorLimit === 1 ? "" : "s"}`;
     progress += `<p><strong>Phase:</strong> ${phaseLabel}</p>`;
-    progress += `<p>Next sequence length: ${nextLength} digits · Errors this phase: ${chunkingState.errorsInPhase}/${DIGIT_SPAN_ERROR_LIMIT}</p>`;
+    progress += `<p><strong>Mode:</strong> ${describeDigitSpanMode(chunkingState.mode)}</p>`;
+    progress += `<p>Next sequence length: ${nextLength} digits · Errors this phase: ${chunkingState.errorsInPhase}/${errorLimit}</p>`;
     if (chunkingState.phase === "baseline") {
-      progress += "<p>Three imperfect recalls move you into the chunked condition.</p>";
+      progress += `<p>${recallsLabel} move you into the chunked condition.</p>`;
     } else {
-      progress += "<p>Chunked trials also end after three imperfect recalls.</p>";
+      progress += `<p>Chunked trials also end after ${recallsLabel}.</p>`;
     }
   }
 
+  const modeSpans = spansByMode([
+    ...chunkingHistory.flatMap((entry) => entry.rounds.map((round) => ({ mode: entry.mode, ...round }))),
+    ...activeRounds,
+  ]);
+  const modeSpanMarkup = Object.keys(modeSpans).length
+    ? `<div class="chunking-history">
+         <h3>Span by Mode</h3>
+         <ul>
+           ${Object.entries(modeSpans)
+             .map(
+               ([mode, span]) => `
+             <li>
+               <span>${describeDigitSpanMode(mode)}</span>
+               <strong>${span ? `${span} digits` : "—"}</strong>
+             </li>
+           `
+             )
+             .join("")}
+         </ul>
+       </div>`
+    : "";
+
   const historyMarkup = chunkingHistory.length
     ? `<div class="chunking-history">
          <h3>Recent Sessions</h3>
@@ -245,9 +521,9 @@ function updateChunkingSummary() {
                  hour: "2-digit",
                  minute: "2-digit",
                })}</span>
-               Baseline: ${formatPercent(entry.baselineScore)} · Chunked: ${formatPercent(
-                 entry.chunkedScore
-               )} · Overall: ${formatPercent(entry.overallScore)}
+               ${entry.mode ? `${describeDigitSpanMode(entry.mode)} · ` : ""}Baseline: ${formatPercent(
+                 entry.baselineScore
+               )} · Chunked: ${formatPercent(entry.chunkedScore)} · Overall: ${formatPercent(entry.overallScore)}
              </li>
            `
              )
@@ -256,7 +532,7 @@ function updateChunkingSummary() {
        </div>`
     : "";
 
-  chunkingUI.summary.innerHTML = `${scoreboard}${progress}${historyMarkup}`;
+  chunkingUI.summary.innerHTML = `${scoreboard}${progress}${modeSpanMarkup}${historyMarkup}`;
 }
 
 function resetChunkingSession({ aborted = false } = {}) {
@@ -267,10 +543,8 @@ function resetChunkingSession({ aborted = false } = {}) {
   lockChunkingInput(false);
   exitChunkingFullscreen();
   stopChunkingTimer();
+  clearDigitPresentation();
 
-  if (chunkingState.timeoutId) {
-    window.clearTimeout(chunkingState.timeoutId);
-  }
   if (chunkingState.pendingNextRoundId) {
     window.clearTimeout(chunkingState.pendingNextRoundId);
   }
@@ -294,29 +568,17 @@ function finishChunkingSession() {
     return;
   }
 
-  if (chunkingState.timeoutId) {
-    window.clearTimeout(chunkingState.timeoutId);
-    chunkingState.timeoutId = null;
-  }
   if (chunkingState.pendingNextRoundId) {
     window.clearTimeout(chunkingState.pendingNextRoundId);
     chunkingState.pendingNextRoundId = null;
   }
 
-  const rounds = [...chunkingState.rounds];
-  const baselineRounds = rounds.filter((round) => !round.withDelimiters);
-  const chunkedRounds = rounds.filter((round) => round.withDelimiters);
-
-  const baselineScore = averageAccuracy(baselineRounds) ?? 0;
-  const chunkedScore = averageAccuracy(chunkedRounds) ?? 0;
-  const overallScore = averageAccuracy(rounds) ?? 0;
+  clearDigitPresentation();
 
-  chunkingHistory.unshift({
-    id: Date.now(),
-    timestamp: Date.now(),
-    baselineScore,
-    chunkedScore,
-    overallScore,
+  recordLabSession({
+    task: DIGIT_SPAN_TASK_KEY,
+    rounds: [...chunkingState.rounds],
+    meta: { mode: chunkingState.mode, settings: chunkingState.settings },
   });
 
   chunkingUI.displayText.textContent =
@@ -343,12 +605,11 @@ function runChunkingRound() {
     return;
   }
 
-  if (chunkingState.timeoutId) {
-    window.clearTimeout(chunkingState.timeoutId);
-    chunkingState.timeoutId = null;
-  }
+  clearDigitPresentation();
+
+  const { settings } = chunkingState;
 
-  if (chunkingState.errorsInPhase >= DIGIT_SPAN_ERROR_LIMIT) {
+  if (chunkingState.errorsInPhase >= settings.errorLimit) {
     if (chunkingState.phase === "baseline") {
       transitionToChunkedPhase();
     } else {
@@ -359,48 +620,139 @@ function runChunkingRound() {
 
   const isChunkedPhase = chunkingState.phase === "chunked";
   const phaseLabel = isChunkedPhase ? "Chunked Recall · Delimiters" : "Baseline Recall · No Delimiters";
-  const sequenceLength = DIGIT_SPAN_MIN_LENGTH + chunkingState.phaseRoundCount;
+  const sequenceLength = settings.minLength + chunkingState.phaseRoundCount;
   const sequence = createDigitSequence(sequenceLength);
   const withDelimiters = isChunkedPhase;
-  const errorsRemaining = Math.max(DIGIT_SPAN_ERROR_LIMIT - chunkingState.errorsInPhase, 0);
+  const errorsRemaining = Math.max(settings.errorLimit - chunkingState.errorsInPhase, 0);
+
+  const isBackward = settings.direction === "backward";
 
   chunkingState.currentSequence = sequence;
   chunkingState.withDelimiters = withDelimiters;
   chunkingState.awaitingInput = false;
 
   chunkingUI.phase.textContent = phaseLabel;
-  chunkingUI.progress.textContent = `Round ${chunkingState.phaseRoundCount + 1} · ${sequenceLength} digits · Errors ${chunkingState.errorsInPhase}/${DIGIT_SPAN_ERROR_LIMIT}`;
+  chunkingUI.progress.textContent = `Round ${chunkingState.phaseRoundCount + 1} · ${sequenceLength} digits · Errors ${chunkingState.errorsInPhase}/${settings.errorLimit}`;
 
   lockChunkingInput(true);
 
-  chunkingUI.displayText.textContent = withDelimiters ? formatWithDelimiters(sequence) : sequence;
   chunkingUI.form.hidden = true;
   chunkingUI.input.value = "";
-  chunkingUI.input.placeholder = `Enter ${sequenceLength} digits`;
-  chunkingUI.feedback.textContent = `Memorize ${sequenceLength} digits${
-    withDelimiters ? " with chunk markers." : ""
+  chunkingUI.input.placeholder = `Enter ${sequenceLength} digits${isBackward ? " in reverse" : ""}`;
+  chunkingUI.feedback.textContent = `${settings.presentation === "auditory" ? "Listen to" : "Memorize"} ${sequenceLength} digits${
+    withDelimiters ? " with chunk markers" : ""
   }. Errors remaining this phase: ${errorsRemaining}.`;
 
-  restartChunkingTimer(DIGIT_SPAN_DISPLAY_MS);
-
-  chunkingState.timeoutId = window.setTimeout(() => {
-    chunkingState.timeoutId = null;
-    if (!chunkingState || !chunkingUI) {
-      return;
-    }
-
-    chunkingUI.displayText.textContent = "Re-enter the sequence.";
+  const openResponseWindow = () => {
+    chunkingUI.displayText.textContent = isBackward
+      ? "Re-enter the sequence in reverse order."
+      : "Re-enter the sequence.";
     chunkingUI.form.hidden = false;
     chunkingUI.input.focus({ preventScroll: true });
     lockChunkingInput(false);
     chunkingState.awaitingInput = true;
     chunkingUI.feedback.textContent = "Accuracy is per digit. Partial recall still counts.";
     stopChunkingTimer();
-  }, DIGIT_SPAN_DISPLAY_MS);
+  };
+
+  presentDigitSequence(sequence, withDelimiters, settings, openResponseWindow);
 
   updateChunkingSummary();
 }
 
+// Presents the sequence on frame boundaries in the session's mode. The final step opens the
+// response window, so its frame stamp is the stimulus offset that response latencies count from.
+function presentDigitSequence(sequence, withDelimiters, settings, openResponseWindow) {
+  const isAuditory = settings.presentation === "auditory";
+  const speechOnsets = [];
+  let steps;
+  let totalMs;
+
+  if (settings.presentation === "whole") {
+    totalMs = settings.displayMs;
+    steps = [
+      {
+        atMs: 0,
+        label: "onset",
+        render: () => {
+          chunkingUI.displayText.textContent = withDelimiters ? formatWithDelimiters(sequence, settings) : sequence;
+          restartChunkingTimer(totalMs);
+        },
+      },
+    ];
+  } else {
+    const schedule = buildDigitSchedule(sequence, withDelimiters, settings);
+    const visibleMs = settings.digitIntervalMs * DIGIT_SPAN_SEQUENTIAL_ON_RATIO;
+    totalMs = schedule.totalMs;
+    chunkingUI.displayText.textContent = isAuditory ? "Listen..." : "";
+    restartChunkingTimer(totalMs);
+
+    steps = schedule.steps.flatMap((step) => {
+      if (isAuditory) {
+        return step.digit
+          ? [
+              {
+                atMs: step.atMs,
+                label: "onset",
+                render: () => {
+                  const digitIndex = speechOnsets.length;
+                  speechOnsets.push(null);
+                  speakDigit(step.digit, (startedAt) => {
+                    speechOnsets[digitIndex] = startedAt;
+                  });
+                },
+              },
+            ]
+          : [];
+      }
+      const show = {
+        atMs: step.atMs,
+        label: step.digit ? "onset" : "delimiter",
+        render: () => {
+          chunkingUI.displayText.textContent = step.digit ?? step.delimiter;
+        },
+      };
+      if (!step.digit) {
+        return [show];
+      }
+      const hide = {
+        atMs: step.atMs + visibleMs,
+        label: "blank",
+        render: () => {
+          chunkingUI.displayText.textContent = "";
+        },
+      };
+      return [show, hide];
+    });
+  }
+
+  steps.push({ atMs: totalMs, label: "offset", render: openResponseWindow });
+
+  chunkingState.presentation = window.LabTiming.runSchedule(steps, {
+    onComplete: ({ stamps, frameDropped }) => {
+      const frameOnsets = stamps.filter((stamp) => stamp.label === "onset").map((stamp) => stamp.at);
+      const onsets = frameOnsets.map((at, index) => speechOnsets[index] ?? at);
+      const offset = stamps[stamps.length - 1].at;
+      chunkingState.presentation = null;
+      chunkingState.timing = {
+        onset: onsets[0],
+        offset,
+        digitOnsets: onsets,
+        frameDropped,
+        firstKeyAt: null,
+      };
+    },
+  });
+}
+
+function handleChunkingKeydown(event) {
+  const timing = chunkingState?.timing;
+  if (!chunkingState?.awaitingInput || !timing || timing.firstKeyAt !== null) {
+    return;
+  }
+  timing.firstKeyAt = window.LabTiming.eventTime(event);
+}
+
 const transitionToChunkedPhase = () => {
   if (!chunkingState || !chunkingUI) {
     return;
@@ -448,15 +800,23 @@ function startChunkingSession() {
     currentSequence: "",
     withDelimiters: false,
     awaitingInput: false,
-    timeoutId: null,
+    presentation: null,
+    timing: null,
     pendingNextRoundId: null,
     inProgress: true,
     phase: "baseline",
     errorsInPhase: 0,
     phaseRoundCount: 0,
     chunkedUnlocked: false,
+    settings: { ...digitSpanSettings },
+    mode: digitSpanModeKey(digitSpanSettings),
   };
 
+  if (chunkingState.settings.presentation === "auditory" && !supportsSpeech()) {
+    chunkingState.settings.presentation = "sequential";
+    chunkingState.mode = digitSpanModeKey(chunkingState.settings);
+  }
+
   enterChunkingFullscreen();
   lockChunkingInput(true);
 
@@ -465,8 +825,10 @@ function startChunkingSession() {
   settingsButton.disabled = true;
 
   chunkingUI.displayText.textContent = "Get ready...";
-  chunkingUI.feedback.textContent =
-    "Baseline digits display first. Three errors will unlock the chunked recall phase.";
+  const { errorLimit } = chunkingState.settings;
+  chunkingUI.feedback.textContent = `Baseline digits display first. ${errorLimit} error${
+    errorLimit === 1 ? "" : "s"
+  } will unlock the chunked recall phase.`;
   chunkingUI.form.hidden = true;
 
   updateChunkingSummary();
@@ -479,9 +841,12 @@ function handleChunkingSubmit(event) {
     return;
   }
 
+  const submittedAt = window.LabTiming.eventTime(event);
   const responseInput = chunkingUI.input.value.trim();
   const normalizedResponse = responseInput.replace(/\D/g, "");
-  const target = chunkingState.currentSequence;
+  const presented = chunkingState.currentSequence;
+  const isBackward = chunkingState.settings.direction === "backward";
+  const target = isBackward ? presented.split("").reverse().join("") : presented;
   const digitsRequired = target.length;
   const responseDigits = normalizedResponse.split("");
 
@@ -496,6 +861,7 @@ function handleChunkingSubmit(event) {
   const roundPerfect = normalizedResponse === target;
   const errorsThisRound = roundPerfect ? 0 : 1;
   const phaseRecorded = chunkingState.phase;
+  const { timing } = chunkingState;
   chunkingState.rounds.push({
     round: chunkingState.roundIndex + 1,
     withDelimiters: chunkingState.withDelimiters,
@@ -504,9 +870,21 @@ function handleChunkingSubmit(event) {
     accuracy,
     errors: errorsThisRound,
     phase: phaseRecorded,
+    mode: chunkingState.mode,
+    presentation: chunkingState.settings.presentation,
+    direction: chunkingState.settings.direction,
     response: normalizedResponse,
     target,
+    presented,
+    stimulusOnsetMs: roundTimingMs(timing?.onset),
+    stimulusOffsetMs: roundTimingMs(timing?.offset),
+    exposureMs: roundTimingMs(timing ? timing.offset - timing.onset : null),
+    digitOnsetsMs: timing ? timing.digitOnsets.map((at) => roundTimingMs(at - timing.onset)) : [],
+    firstKeyLatencyMs: roundTimingMs(timing?.firstKeyAt != null ? timing.firstKeyAt - timing.offset : null),
+    responseLatencyMs: roundTimingMs(timing ? submittedAt - timing.offset : null),
+    frameDropped: timing?.frameDropped ?? null,
   });
+  chunkingState.timing = null;
 
   chunkingUI.feedback.textContent = `Score: ${(
     accuracy * 100
@@ -514,7 +892,7 @@ function handleChunkingSubmit(event) {
   chunkingUI.form.hidden = true;
   chunkingUI.displayText.textContent = `Target: ${
     chunkingState.withDelimiters
-      ? formatWithDelimiters(target)
+      ? formatWithDelimiters(target, chunkingState.settings)
       : target
   }`;
 
@@ -531,7 +909,7 @@ function handleChunkingSubmit(event) {
   if (chunkingState.pendingNextRoundId) {
     window.clearTimeout(chunkingState.pendingNextRoundId);
   }
-  const reachedLimit = chunkingState.errorsInPhase >= DIGIT_SPAN_ERROR_LIMIT;
+  const reachedLimit = chunkingState.errorsInPhase >= chunkingState.settings.errorLimit;
 
   if (reachedLimit) {
     if (phaseRecorded === "baseline") {
@@ -552,7 +930,7 @@ function handleChunkingSubmit(event) {
   chunkingState.pendingNextRoundId = window.setTimeout(() => {
     chunkingState.pendingNextRoundId = null;
     runChunkingRound();
-  }, 1200);
+  }, chunkingState.settings.interRoundDelayMs);
 }
 
 function renderChunkingLanding() {
@@ -575,13 +953,13 @@ function renderChunkingLanding() {
           autocorrect="off"
           autocomplete="off"
           autocapitalize="none"
-          maxlength="16"
+          maxlength="32"
           placeholder="Type the digits in order"
         />
         <button type="submit">Submit</button>
       </form>
       <p class="chunking-feedback" id="chunking-feedback" aria-live="polite">
-        Each sequence will appear for 3 seconds.
+        Each sequence will appear for ${(digitSpanSettings.displayMs / 1000).toFixed(1)} seconds.
       </p>
       <div class="chunking-summary" id="chunking-summary">
         <p>Accuracy scores for baseline vs chunked recall will appear here.</p>
@@ -602,107 +980,1533 @@ function renderChunkingLanding() {
   };
 
   chunkingUI.form.addEventListener("submit", handleChunkingSubmit);
+  chunkingUI.input.addEventListener("keydown", handleChunkingKeydown);
   updateChunkingSummary();
 }
 
-const populateTaskDetails = (key) => {
-  const task = tasks[key];
-  if (!task) {
-    taskDetailsSection.hidden = true;
-    return;
-  }
+const DIGIT_SPAN_SETTING_FIELDS = [
+  { key: "presentation", type: "select", label: "Presentation", options: DIGIT_SPAN_PRESENTATIONS, hint: "Spoken digits use the browser's offline voices." },
+  { key: "direction", type: "select", label: "Recall direction", options: DIGIT_SPAN_DIRECTIONS, hint: "Backward recall scores against the reversed sequence." },
+  { key: "displayMs", type: "number", step: 100, hint: "How long a whole-string sequence stays on screen." },
+  { key: "errorLimit", type: "number", step: 1, hint: "Imperfect recalls that end a phase." },
+  { key: "minLength", type: "number", step: 1, hint: "Digits in the first round of each phase." },
+  { key: "digitIntervalMs", type: "number", step: 100, hint: "Onset-to-onset time for one-at-a-time and spoken digits." },
+  { key: "interRoundDelayMs", type: "number", step: 100, hint: "Pause between feedback and the next sequence." },
+  { key: "delimiter", type: "text", label: "Delimiter glyph", hint: "Shown between chunks, e.g. • or - or |." },
+  { key: "chunkPattern", type: "text", label: "Chunk size pattern", hint: "Dash-separated group sizes; the last repeats (3-3-4 phone style, 2-2-2 pairs)." },
+];
+
+function renderDigitSpanSettings() {
+  const fieldsMarkup = DIGIT_SPAN_SETTING_FIELDS.map(({ key, type, step, label, options, hint }) => {
+    const limits = DIGIT_SPAN_SETTING_LIMITS[key];
+    let control;
+    if (type === "select") {
+      const optionsMarkup = Object.entries(options)
+        .map(
+          ([value, optionLabel]) =>
+            `<option value="${value}"${value === digitSpanSettings[key] ? " selected" : ""}>${optionLabel}</option>`
+        )
+        .join("");
+      control = `<select id="digit-span-${key}" name="${key}">${optionsMarkup}</select>`;
+    } else {
+      const rangeAttributes = limits ? `min="${limits.min}" max="${limits.max}" step="${step}"` : 'maxlength="12"';
+      control = `<input id="digit-span-${key}" name="${key}" type="${type}" ${rangeAttributes} value="${escapeHtml(digitSpanSettings[key])}" />`;
+    }
+    return `
+        <div class="settings-field">
+          <label for="digit-span-${key}">${limits?.label ?? label}</label>
+          ${control}
+          <small id="digit-span-${key}-hint">${hint}</small>
+        </div>`;
+  }).join("");
 
-  taskHighlightsList.innerHTML = `
-    <li>${task.summary}</li>
-    ${task.highlights.map((item) => `<li>${item}</li>`).join("")}
+  taskStage.innerHTML = `
+    <form class="chunking-session settings-form" id="digit-span-settings" novalidate>
+      <div class="chunking-meta">
+        <span>Digit Span Settings</span>
+        <span>Saved in this browser</span>
+      </div>
+      <div class="settings-grid">${fieldsMarkup}
+      </div>
+      <p class="chunking-feedback" id="digit-span-settings-preview" aria-live="polite"></p>
+      <ul class="settings-errors" id="digit-span-settings-errors" aria-live="assertive" hidden></ul>
+      <div class="cta-group">
+        <button type="submit" class="primary">Save Settings</button>
+        <button type="button" class="secondary" id="digit-span-settings-defaults">Restore Defaults</button>
+        <button type="button" class="secondary" id="digit-span-settings-cancel">Back to Task</button>
+      </div>
+    </form>
   `;
-  taskDetailsSection.hidden = false;
 
-  if (key === DIGIT_SPAN_TASK_KEY) {
-    if (!chunkingUI) {
-      renderChunkingLanding();
+  chunkingUI = null;
+  const form = document.getElementById("digit-span-settings");
+  const preview = document.getElementById("digit-span-settings-preview");
+  const errorList = document.getElementById("digit-span-settings-errors");
+
+  const readForm = () => Object.fromEntries(new FormData(form).entries());
+
+  const showErrors = (errors) => {
+    DIGIT_SPAN_SETTING_FIELDS.forEach(({ key }) => {
+      const input = form.elements[key];
+      if (errors[key]) {
+        input.setAttribute("aria-invalid", "true");
+      } else {
+        input.removeAttribute("aria-invalid");
+      }
+    });
+    const messages = Object.values(errors);
+    errorList.innerHTML = messages.map((message) => `<li>${message}</li>`).join("");
+    errorList.hidden = messages.length === 0;
+  };
+
+  const refreshPreview = () => {
+    const { settings, errors, valid } = validateDigitSpanSettings(readForm(), { requireSpeech: true });
+    if (!valid) {
+      preview.textContent = "Fix the highlighted fields to preview chunking.";
+      return errors;
+    }
+    const sample = createDigitSequence(Math.max(settings.minLength, 10));
+    preview.textContent = `Preview: ${formatWithDelimiters(sample, settings)}`;
+    return errors;
+  };
+
+  form.addEventListener("input", () => {
+    if (!errorList.hidden) {
+      showErrors(refreshPreview());
     } else {
-      updateChunkingSummary();
+      refreshPreview();
     }
-  } else {
-    lockChunkingInput(false);
-    exitChunkingFullscreen();
-    stopChunkingTimer();
-    chunkingUI = null;
-    taskStage.innerHTML = `<p>${task.stagePlaceholder}</p>`;
-  }
+  });
+
+  form.addEventListener("submit", (event) => {
+    event.preventDefault();
+    const { settings, errors, valid } = validateDigitSpanSettings(readForm(), { requireSpeech: true });
+    showErrors(errors);
+    if (!valid) {
+      return;
+    }
+    digitSpanSettings = settings;
+    saveDigitSpanSettings();
+    renderChunkingLanding();
+    chunkingUI.feedback.textContent = "Settings saved. They apply from the next session you launch.";
+  });
+
+  document.getElementById("digit-span-settings-defaults").addEventListener("click", () => {
+    Object.entries(DIGIT_SPAN_DEFAULT_SETTINGS).forEach(([key, value]) => {
+      form.elements[key].value = value;
+    });
+    showErrors({});
+    refreshPreview();
+  });
+
+  document.getElementById("digit-span-settings-cancel").addEventListener("click", renderChunkingLanding);
+
+  refreshPreview();
+  form.elements.presentation.focus({ preventScroll: true });
+}
+
+const CORSI_PHASE_LABELS = {
+  forward: "Forward Recall · Same Order",
+  backward: "Backward Recall · Reverse Order",
 };
 
-const setActiveTask = (key) => {
-  if (activeTaskKey === key) {
-    return;
+const createCorsiSequence = (length) => {
+  const pool = Array.from({ length: CORSI_BLOCK_COUNT }, (_, index) => index);
+  for (let index = pool.length - 1; index > 0; index -= 1) {
+    const swapIndex = Math.floor(Math.random() * (index + 1));
+    [pool[index], pool[swapIndex]] = [pool[swapIndex], pool[index]];
   }
+  return pool.slice(0, Math.min(length, CORSI_BLOCK_COUNT));
+};
 
-  const previousKey = activeTaskKey;
-  if (previousKey === DIGIT_SPAN_TASK_KEY && chunkingState?.inProgress) {
-    resetChunkingSession({ aborted: true });
-  }
+const formatCorsiSequence = (sequence) => sequence.map((block) => block + 1).join(" ");
 
-  activeTaskKey = key;
+const averageLatency = (latencies) => {
+  if (!latencies.length) {
+    return null;
+  }
+  return latencies.reduce((sum, value) => sum + value, 0) / latencies.length;
+};
 
-  resetTaskCards();
-  const selectedCard = document.querySelector(`.task-card[data-task="${key}"]`);
-  if (selectedCard) {
-    selectedCard.classList.add("active");
-    selectedCard.focus({ preventScroll: true });
+const formatMs = (value) => {
+  if (typeof value !== "number" || Number.isNaN(value)) {
+    return "—";
   }
+  return `${Math.round(value)} ms`;
+};
 
-  populateTaskDetails(key);
+const clearCorsiTimers = () => {
+  if (!corsiState) {
+    return;
+  }
+  corsiState.timeoutIds.forEach((id) => window.clearTimeout(id));
+  corsiState.timeoutIds = [];
+};
 
-  launchButton.textContent = "Launch Session";
-  launchButton.disabled = false;
-  settingsButton.disabled = false;
+const scheduleCorsiTimeout = (callback, delayMs) => {
+  const id = window.setTimeout(() => {
+    if (corsiState) {
+      corsiState.timeoutIds = corsiState.timeoutIds.filter((pendingId) => pendingId !== id);
+    }
+    callback();
+  }, delayMs);
+  corsiState.timeoutIds.push(id);
 };
 
-taskCards.forEach((card) => {
-  card.addEventListener("click", () => {
-    setActiveTask(card.dataset.task);
+const setCorsiBoardLocked = (locked) => {
+  if (!corsiUI?.board) {
+    return;
+  }
+  corsiUI.board.dataset.locked = locked ? "true" : "false";
+  corsiUI.blocks.forEach((block) => {
+    block.disabled = locked;
   });
+};
 
-  card.addEventListener("keydown", (event) => {
-    if (event.key === "Enter" || event.key === " ") {
-      event.preventDefault();
-      setActiveTask(card.dataset.task);
-    }
-  });
-});
+const clearCorsiHighlights = () => {
+  corsiUI?.blocks.forEach((block) => block.classList.remove("lit", "tapped"));
+};
 
-launchButton.addEventListener("click", () => {
-  if (!activeTaskKey) {
+function updateCorsiSummary() {
+  if (!corsiUI?.summary) {
     return;
   }
 
-  if (activeTaskKey === DIGIT_SPAN_TASK_KEY) {
-    startChunkingSession();
+  const corsiHistory = getTaskHistory(CORSI_TASK_KEY);
+  const activeRounds = corsiState?.rounds ?? [];
+  if (!activeRounds.length && !corsiHistory.length && !corsiState?.inProgress) {
+    corsiUI.summary.innerHTML =
+      "<p>Launch the Corsi task to measure forward span, then backward span on the same board.</p>";
     return;
   }
 
-  launchButton.textContent = "Preparing...";
-  launchButton.disabled = true;
+  const forwardSpan = corsiState?.spans.forward ?? corsiHistory[0]?.forwardSpan ?? 0;
+  const backwardSpan = corsiState?.spans.backward ?? corsiHistory[0]?.backwardSpan ?? 0;
+  const overallScore = activeRounds.length
+    ? averageAccuracy(activeRounds)
+    : corsiHistory[0]?.overallScore ?? null;
 
-  window.setTimeout(() => {
-    launchButton.textContent = "Launch Session";
-    launchButton.disabled = false;
-    window.alert(`Launching ${tasks[activeTaskKey].name}. (Prototype placeholder)`);
-  }, 800);
-});
+  const scoreboard = `
+    <div class="chunking-scoreboard">
+      <div>
+        <span>Forward Span</span>
+        <strong>${forwardSpan || "—"}</strong>
+      </div>
+      <div>
+        <span>Backward Span</span>
+        <strong>${backwardSpan || "—"}</strong>
+      </div>
+      <div>
+        <span>Avg Accuracy</span>
+        <strong>${formatPercent(overallScore)}</strong>
+      </div>
+    </div>
+  `;
 
-settingsButton.addEventListener("click", () => {
-  if (!activeTaskKey) {
-    return;
+  let progress = "";
+  if (corsiState?.inProgress) {
+    progress += `<p><strong>Phase:</strong> ${CORSI_PHASE_LABELS[corsiState.phase]}</p>`;
+    progress += `<p>Current length: ${corsiState.currentLength} blocks · Failures at this length: ${corsiState.failuresAtLength}/${CORSI_FAILURE_LIMIT}</p>`;
   }
 
-  if (activeTaskKey === DIGIT_SPAN_TASK_KEY) {
-    window.alert(
-      "Chunking protocol settings (duration, delimiter style, scoring weights) are coming soon."
-    );
-    return;
-  }
+  const trialMarkup = activeRounds.length
+    ? `<div class="chunking-history">
+         <h3>Trials This Session</h3>
+         <ul>
+           ${activeRounds
+             .slice(-6)
+             .reverse()
+             .map(
+               (round) => `
+             <li>
+               <span>#${round.round} · ${round.phase} · ${round.length} blocks</span>
+               ${formatPercent(round.accuracy)} · Mean tap ${formatMs(averageLatency(round.tapLatencies))}
+             </li>
+           `
+             )
+             .join("")}
+         </ul>
+       </div>`
+    : "";
 
-  window.alert(`Configure options for ${tasks[activeTaskKey].name}.`);
-});
+  const historyMarkup = corsiHistory.length
+    ? `<div class="chunking-history">
+         <h3>Recent Sessions</h3>
+         <ul>
+           ${corsiHistory
+             .slice(0, 5)
+             .map(
+               (entry) => `
+             <li>
+               <span>${new Date(entry.timestamp).toLocaleTimeString([], {
+                 hour: "2-digit",
+                 minute: "2-digit",
+               })}</span>
+               Forward: ${entry.forwardSpan} · Backward: ${entry.backwardSpan} · Accuracy: ${formatPercent(
+                 entry.overallScore
+               )}
+             </li>
+           `
+             )
+             .join("")}
+         </ul>
+       </div>`
+    : "";
+
+  corsiUI.summary.innerHTML = `${scoreboard}${progress}${trialMarkup}${historyMarkup}`;
+}
+
+function resetCorsiSession({ aborted = false } = {}) {
+  if (!corsiState) {
+    return;
+  }
+
+  clearCorsiTimers();
+  clearCorsiHighlights();
+  setCorsiBoardLocked(true);
+
+  if (corsiUI && aborted) {
+    corsiUI.status.textContent = "Session aborted. Select launch to restart.";
+    corsiUI.feedback.textContent = "Span scores will reset with the next session.";
+  }
+
+  launchButton.textContent = "Launch Session";
+  launchButton.disabled = false;
+  settingsButton.disabled = false;
+
+  corsiState = null;
+}
+
+function finishCorsiSession() {
+  if (!corsiState || !corsiUI) {
+    return;
+  }
+
+  clearCorsiTimers();
+  clearCorsiHighlights();
+  setCorsiBoardLocked(true);
+
+  recordLabSession({ task: CORSI_TASK_KEY, rounds: [...corsiState.rounds] });
+
+  corsiState.inProgress = false;
+  corsiUI.status.textContent = "Session complete. Compare forward and backward span below.";
+  corsiUI.feedback.textContent = "Launch again to collect another data point.";
+
+  launchButton.textContent = "Launch Session";
+  launchButton.disabled = false;
+  settingsButton.disabled = false;
+
+  corsiState = null;
+  updateCorsiSummary();
+}
+
+const transitionToBackwardPhase = () => {
+  if (!corsiState || !corsiUI || corsiState.phase === "backward") {
+    return;
+  }
+
+  corsiState.phase = "backward";
+  corsiState.currentLength = CORSI_MIN_LENGTH;
+  corsiState.failuresAtLength = 0;
+  corsiState.awaitingInput = false;
+
+  setCorsiBoardLocked(true);
+  corsiUI.phase.textContent = CORSI_PHASE_LABELS.backward;
+  corsiUI.status.textContent = "Backward recall begins now.";
+  corsiUI.feedback.textContent = "Tap each upcoming sequence in reverse order, last block first.";
+  updateCorsiSummary();
+
+  scheduleCorsiTimeout(runCorsiRound, 1600);
+};
+
+const endCorsiPhase = () => {
+  if (corsiState.phase === "forward") {
+    transitionToBackwardPhase();
+    return;
+  }
+  corsiUI.feedback.textContent = "Backward phase complete. Preparing summary...";
+  scheduleCorsiTimeout(finishCorsiSession, 900);
+};
+
+function runCorsiRound() {
+  if (!corsiState || !corsiUI) {
+    return;
+  }
+
+  const length = corsiState.currentLength;
+  const sequence = createCorsiSequence(length);
+
+  corsiState.currentSequence = sequence;
+  corsiState.responses = [];
+  corsiState.tapLatencies = [];
+  corsiState.awaitingInput = false;
+  corsiState.lastTapAt = null;
+
+  clearCorsiHighlights();
+  setCorsiBoardLocked(true);
+
+  corsiUI.phase.textContent = CORSI_PHASE_LABELS[corsiState.phase];
+  corsiUI.progress.textContent = `Trial ${corsiState.roundIndex + 1} · ${length} blocks · Failures ${corsiState.failuresAtLength}/${CORSI_FAILURE_LIMIT}`;
+  corsiUI.status.textContent = "Watch the sequence...";
+  corsiUI.feedback.textContent = `Memorize ${length} blocks in the order they light up.`;
+
+  const stepMs = CORSI_FLASH_MS + CORSI_GAP_MS;
+  sequence.forEach((blockIndex, position) => {
+    const onsetMs = CORSI_GAP_MS + position * stepMs;
+    scheduleCorsiTimeout(() => {
+      corsiUI?.blocks[blockIndex].classList.add("lit");
+    }, onsetMs);
+    scheduleCorsiTimeout(() => {
+      corsiUI?.blocks[blockIndex].classList.remove("lit");
+    }, onsetMs + CORSI_FLASH_MS);
+  });
+
+  scheduleCorsiTimeout(openCorsiResponseWindow, CORSI_GAP_MS + sequence.length * stepMs);
+  updateCorsiSummary();
+}
+
+function openCorsiResponseWindow() {
+  if (!corsiState || !corsiUI) {
+    return;
+  }
+
+  const isBackward = corsiState.phase === "backward";
+  corsiState.awaitingInput = true;
+  corsiState.responseOpenedAt = performance.now();
+  setCorsiBoardLocked(false);
+
+  corsiUI.status.textContent = isBackward ? "Tap the blocks in reverse order." : "Tap the blocks in the same order.";
+  corsiUI.feedback.textContent = `Taps recorded: 0/${corsiState.currentSequence.length}.`;
+}
+
+function handleCorsiBlockTap(blockIndex) {
+  if (!corsiState?.awaitingInput || !corsiUI) {
+    return;
+  }
+
+  const now = performance.now();
+  const reference = corsiState.lastTapAt ?? corsiState.responseOpenedAt;
+  corsiState.tapLatencies.push(now - reference);
+  corsiState.lastTapAt = now;
+  corsiState.responses.push(blockIndex);
+
+  const block = corsiUI.blocks[blockIndex];
+  block.classList.add("tapped");
+  scheduleCorsiTimeout(() => block.classList.remove("tapped"), CORSI_TAP_FLASH_MS);
+
+  const required = corsiState.currentSequence.length;
+  corsiUI.feedback.textContent = `Taps recorded: ${corsiState.responses.length}/${required}.`;
+
+  if (corsiState.responses.length >= required) {
+    scoreCorsiRound();
+  }
+}
+
+function scoreCorsiRound() {
+  corsiState.awaitingInput = false;
+  setCorsiBoardLocked(true);
+
+  const presented = corsiState.currentSequence;
+  const target = corsiState.phase === "backward" ? [...presented].reverse() : presented;
+  const response = corsiState.responses;
+
+  let correctCount = 0;
+  target.forEach((blockIndex, position) => {
+    if (response[position] === blockIndex) {
+      correctCount += 1;
+    }
+  });
+
+  const length = target.length;
+  const accuracy = length === 0 ? 0 : correctCount / length;
+  const roundPerfect = correctCount === length;
+  const errorsThisRound = roundPerfect ? 0 : 1;
+
+  corsiState.rounds.push({
+    round: corsiState.roundIndex + 1,
+    length,
+    correctCount,
+    accuracy,
+    errors: errorsThisRound,
+    phase: corsiState.phase,
+    response: formatCorsiSequence(response),
+    target: formatCorsiSequence(target),
+    tapLatencies: corsiState.tapLatencies.map((latency) => Math.round(latency)),
+  });
+
+  corsiState.roundIndex += 1;
+
+  if (roundPerfect) {
+    corsiState.spans[corsiState.phase] = length;
+    corsiState.currentLength += 1;
+    corsiState.failuresAtLength = 0;
+  } else {
+    corsiState.failuresAtLength += 1;
+  }
+
+  corsiUI.status.textContent = roundPerfect ? "Perfect recall." : `Target: ${formatCorsiSequence(target)}`;
+  corsiUI.feedback.textContent = `Score: ${Math.round(accuracy * 100)}% accuracy (${correctCount}/${length}).`;
+  updateCorsiSummary();
+
+  const reachedCeiling = corsiState.currentLength > CORSI_BLOCK_COUNT;
+  if (corsiState.failuresAtLength >= CORSI_FAILURE_LIMIT || reachedCeiling) {
+    endCorsiPhase();
+    return;
+  }
+
+  scheduleCorsiTimeout(runCorsiRound, 1200);
+}
+
+function startCorsiSession() {
+  if (corsiState?.inProgress) {
+    return;
+  }
+
+  if (!corsiUI) {
+    renderCorsiLanding();
+  }
+
+  corsiState = {
+    roundIndex: 0,
+    rounds: [],
+    phase: "forward",
+    currentLength: CORSI_MIN_LENGTH,
+    failuresAtLength: 0,
+    spans: { forward: 0, backward: 0 },
+    currentSequence: [],
+    responses: [],
+    tapLatencies: [],
+    responseOpenedAt: null,
+    lastTapAt: null,
+    awaitingInput: false,
+    timeoutIds: [],
+    inProgress: true,
+  };
+
+  launchButton.textContent = "In Session...";
+  launchButton.disabled = true;
+  settingsButton.disabled = true;
+
+  corsiUI.status.textContent = "Get ready...";
+  corsiUI.feedback.textContent =
+    "Forward recall runs first. Two failures at the same length switch to backward recall.";
+
+  updateCorsiSummary();
+  scheduleCorsiTimeout(runCorsiRound, 800);
+}
+
+function renderCorsiLanding() {
+  const blocksMarkup = CORSI_BLOCK_LAYOUT.map(
+    ({ x, y }, index) => `
+        <button
+          type="button"
+          class="corsi-block"
+          data-block="${index}"
+          style="left:${x}%;top:${y}%;"
+          aria-label="Block ${index + 1}"
+          disabled
+        ></button>`
+  ).join("");
+
+  taskStage.innerHTML = `
+    <div class="chunking-session" role="group" aria-label="Corsi block workspace">
+      <div class="chunking-meta">
+        <span id="corsi-phase">${CORSI_PHASE_LABELS.forward}</span>
+        <span id="corsi-progress">Awaiting launch</span>
+      </div>
+      <p class="corsi-status" id="corsi-status" aria-live="assertive">Launch the session to light up the first sequence.</p>
+      <div class="corsi-board" id="corsi-board" data-locked="true">${blocksMarkup}
+      </div>
+      <p class="chunking-feedback" id="corsi-feedback" aria-live="polite">
+        Blocks light up one at a time. Tap them back once the board unlocks.
+      </p>
+      <div class="chunking-summary" id="corsi-summary">
+        <p>Forward and backward span scores will appear here.</p>
+      </div>
+    </div>
+  `;
+
+  corsiUI = {
+    phase: document.getElementById("corsi-phase"),
+    progress: document.getElementById("corsi-progress"),
+    status: document.getElementById("corsi-status"),
+    board: document.getElementById("corsi-board"),
+    blocks: Array.from(taskStage.querySelectorAll(".corsi-block")),
+    feedback: document.getElementById("corsi-feedback"),
+    summary: document.getElementById("corsi-summary"),
+  };
+
+  corsiUI.blocks.forEach((block) => {
+    block.addEventListener("click", () => handleCorsiBlockTap(Number(block.dataset.block)));
+  });
+  updateCorsiSummary();
+}
+
+const tokenizeStory = (text) => (text.toLowerCase().match(/[a-z0-9']+/g) ?? []).map((token) => token.replace(/'s$|'/g, ""));
+
+// Strips common inflections so "polished" in recall still matches "polish" in the chain.
+const stemToken = (token) => {
+  if (token.length > 5 && token.endsWith("ing")) {
+    return token.slice(0, -3);
+  }
+  if (token.length > 4 && token.endsWith("ed")) {
+    return token.slice(0, -2);
+  }
+  if (token.length > 3 && token.endsWith("s") && !token.endsWith("ss")) {
+    return token.slice(0, -1);
+  }
+  return token;
+};
+
+const contentTokens = (text) =>
+  tokenizeStory(text)
+    .filter((token) => token.length > 2 && !STORY_STOPWORDS.has(token))
+    .map(stemToken);
+
+const countWords = (text) => tokenizeStory(text).length;
+
+// Picks the longest distinct content words of a segment, kept in reading order.
+const extractKeyElements = (text) => {
+  const unique = [...new Set(contentTokens(text))];
+  const longest = [...unique]
+    .sort((a, b) => b.length - a.length)
+    .slice(0, STORY_KEY_ELEMENTS_PER_SEGMENT);
+  return unique.filter((token) => longest.includes(token));
+};
+
+// Indices (into `values`) of one longest strictly increasing subsequence.
+const longestIncreasingRun = (values) => {
+  const lengths = values.map(() => 1);
+  const previous = values.map(() => -1);
+  let bestEnd = -1;
+
+  values.forEach((value, index) => {
+    for (let earlier = 0; earlier < index; earlier += 1) {
+      if (values[earlier] < value && lengths[earlier] + 1 > lengths[index]) {
+        lengths[index] = lengths[earlier] + 1;
+        previous[index] = earlier;
+      }
+    }
+    if (bestEnd === -1 || lengths[index] > lengths[bestEnd]) {
+      bestEnd = index;
+    }
+  });
+
+  const run = new Set();
+  for (let index = bestEnd; index !== -1; index = previous[index]) {
+    run.add(index);
+  }
+  return run;
+};
+
+function scoreStoryRecall(segments, recallText) {
+  const recallTokens = contentTokens(recallText);
+  const recallSet = new Set(recallTokens);
+  const chainVocabulary = new Set(segments.flatMap((segment) => contentTokens(segment.text)));
+
+  const keyElements = segments.flatMap((segment, segmentIndex) =>
+    extractKeyElements(segment.text).map((token) => ({
+      segmentIndex,
+      token,
+      position: recallTokens.indexOf(token),
+    }))
+  );
+  const matchedKeys = keyElements.filter((key) => key.position !== -1);
+  const inOrderRun = longestIncreasingRun(matchedKeys.map((key) => key.position));
+  const inOrderKeys = new Set(matchedKeys.filter((_, index) => inOrderRun.has(index)));
+
+  const segmentScores = segments.map((segment, segmentIndex) => {
+    const segmentTokens = [...new Set(contentTokens(segment.text))];
+    const overlap = segmentTokens.filter((token) => recallSet.has(token)).length;
+    const keys = keyElements.filter((key) => key.segmentIndex === segmentIndex);
+    return {
+      segment: segmentIndex + 1,
+      source: segment.source,
+      author: segment.author,
+      fidelity: segmentTokens.length ? overlap / segmentTokens.length : 0,
+      keyElements: keys.map((key) => key.token),
+      keysRecalled: keys.filter((key) => key.position !== -1).length,
+      keysInOrder: keys.filter((key) => inOrderKeys.has(key)).length,
+    };
+  });
+
+  const addedDetails = [...new Set(recallTokens.filter((token) => !chainVocabulary.has(token)))];
+
+  return {
+    segmentScores,
+    fidelity: averageAccuracy(segmentScores.map(({ fidelity }) => ({ accuracy: fidelity }))) ?? 0,
+    continuity: keyElements.length ? inOrderKeys.size / keyElements.length : 0,
+    addedDetails,
+  };
+}
+
+const clearStoryTimers = () => {
+  if (!storyState) {
+    return;
+  }
+  if (storyState.delayTimeoutId) {
+    window.clearTimeout(storyState.delayTimeoutId);
+    storyState.delayTimeoutId = null;
+  }
+  if (storyState.countdownId) {
+    window.clearInterval(storyState.countdownId);
+    storyState.countdownId = null;
+  }
+};
+
+const storyAuthorFor = (continuationIndex) => {
+  if (storyState.recallMode !== "collaborative") {
+    return "Participant";
+  }
+  return continuationIndex % 2 === 0 ? "Partner A" : "Partner B";
+};
+
+function updateStorySummary() {
+  if (!storyUI?.summary) {
+    return;
+  }
+
+  const storyHistory = getTaskHistory(STORY_TASK_KEY);
+  const latest = storyState?.result ?? storyHistory[0] ?? null;
+  if (!latest && !storyState?.inProgress) {
+    storyUI.summary.innerHTML =
+      "<p>Launch Story Chain to build a narrative, then retell it to score fidelity and continuity.</p>";
+    return;
+  }
+
+  if (!latest) {
+    const written = storyState.segments.filter((segment) => segment.source === "participant").length;
+    storyUI.summary.innerHTML = `<p><strong>Prompt set:</strong> ${storyState.promptTitle}</p>
+      <p>Continuations written: ${written}/${storyState.promptSegments.length} · Recall mode: ${storyState.recallMode}</p>`;
+    return;
+  }
+
+  const scoreboard = `
+    <div class="chunking-scoreboard">
+      <div>
+        <span>Fidelity</span>
+        <strong>${formatPercent(latest.fidelity)}</strong>
+      </div>
+      <div>
+        <span>Continuity</span>
+        <strong>${formatPercent(latest.continuity)}</strong>
+      </div>
+      <div>
+        <span>Added Details</span>
+        <strong>${latest.addedDetails.length}</strong>
+      </div>
+    </div>
+  `;
+
+  const segmentMarkup = `<div class="chunking-history">
+      <h3>Per-Segment Scores</h3>
+      <ul>
+        ${latest.segmentScores
+          .map(
+            (score) => `
+          <li>
+            <span>#${score.segment} · ${score.source === "prompt" ? "Prompt" : score.author}</span>
+            Fidelity: ${formatPercent(score.fidelity)} · Key elements: ${score.keysRecalled}/${
+              score.keyElements.length
+            } recalled, ${score.keysInOrder} in order
+          </li>
+        `
+          )
+          .join("")}
+      </ul>
+    </div>`;
+
+  const historyMarkup = storyHistory.length
+    ? `<div class="chunking-history">
+         <h3>Recent Sessions</h3>
+         <ul>
+           ${storyHistory
+             .slice(0, 5)
+             .map(
+               (entry) => `
+             <li>
+               <span>${new Date(entry.timestamp).toLocaleTimeString([], {
+                 hour: "2-digit",
+                 minute: "2-digit",
+               })}</span>
+               ${escapeHtml(entry.promptTitle)} · Fidelity: ${formatPercent(entry.fidelity)} · Continuity: ${formatPercent(
+                 entry.continuity
+               )}
+             </li>
+           `
+             )
+             .join("")}
+         </ul>
+       </div>`
+    : "";
+
+  storyUI.summary.innerHTML = `${scoreboard}${segmentMarkup}${historyMarkup}`;
+}
+
+function resetStorySession({ aborted = false } = {}) {
+  if (!storyState) {
+    return;
+  }
+
+  clearStoryTimers();
+
+  if (storyUI && aborted) {
+    storyUI.segment.textContent = "Session aborted. Select launch to restart.";
+    storyUI.feedback.textContent = "The partial story chain was discarded.";
+    storyUI.form.hidden = true;
+    storyUI.mode.disabled = false;
+  }
+
+  launchButton.textContent = "Launch Session";
+  launchButton.disabled = false;
+  settingsButton.disabled = false;
+
+  storyState = null;
+}
+
+function showStoryPromptSegment() {
+  const continuationIndex = storyState.segments.filter((segment) => segment.source === "participant").length;
+  const promptText = storyState.promptSegments[continuationIndex];
+  const author = storyAuthorFor(continuationIndex);
+
+  storyState.segments.push({ source: "prompt", author: "Prompt", text: promptText });
+  storyState.stage = "continue";
+
+  storyUI.phase.textContent = `Build Phase · ${storyState.promptTitle}`;
+  storyUI.progress.textContent = `Segment ${continuationIndex + 1} of ${storyState.promptSegments.length}`;
+  storyUI.segment.textContent = promptText;
+  storyUI.label.textContent =
+    storyState.recallMode === "collaborative" ? `${author}: continue the story` : "Continue the story";
+  storyUI.input.value = "";
+  storyUI.input.placeholder = "Write the next few sentences...";
+  storyUI.form.hidden = false;
+  storyUI.input.focus({ preventScroll: true });
+  storyUI.feedback.textContent = `Write at least ${STORY_MIN_CONTINUATION_WORDS} words. You will need to retell everything later.`;
+  updateStorySummary();
+}
+
+function beginStoryDelay() {
+  storyState.stage = "delay";
+  storyUI.form.hidden = true;
+  storyUI.phase.textContent = "Retention Delay";
+  storyUI.progress.textContent = `${storyState.segments.length} segments in the chain`;
+
+  let remainingSeconds = Math.ceil(STORY_RECALL_DELAY_MS / 1000);
+  storyUI.segment.textContent = `The story is hidden. Recall opens in ${remainingSeconds}s.`;
+  storyUI.feedback.textContent = "Rehearse the chain from the opening line to your last continuation.";
+
+  storyState.countdownId = window.setInterval(() => {
+    remainingSeconds = Math.max(remainingSeconds - 1, 0);
+    storyUI.segment.textContent = `The story is hidden. Recall opens in ${remainingSeconds}s.`;
+  }, 1000);
+
+  storyState.delayTimeoutId = window.setTimeout(() => {
+    storyState.delayTimeoutId = null;
+    clearStoryTimers();
+    beginStoryRecall();
+  }, STORY_RECALL_DELAY_MS);
+}
+
+function beginStoryRecall() {
+  storyState.stage = "recall";
+  storyUI.phase.textContent = "Recall Phase";
+  storyUI.progress.textContent =
+    storyState.recallMode === "collaborative" ? "Retell together" : "Retell on your own";
+  storyUI.segment.textContent = "Retell the whole story, from the first prompt to the final continuation.";
+  storyUI.label.textContent = "Full recall";
+  storyUI.input.value = "";
+  storyUI.input.placeholder = "Write everything you remember, in order...";
+  storyUI.form.hidden = false;
+  storyUI.input.focus({ preventScroll: true });
+  storyUI.feedback.textContent = "Order matters: continuity rewards key elements recalled in sequence.";
+}
+
+function finishStorySession(recallText) {
+  const result = scoreStoryRecall(storyState.segments, recallText);
+
+  storyState.rounds = result.segmentScores.map((score, index) => ({
+    round: score.segment,
+    length: score.keyElements.length,
+    correctCount: score.keysRecalled,
+    accuracy: score.fidelity,
+    errors: score.keysRecalled === score.keyElements.length ? 0 : 1,
+    phase: "recall",
+    response: recallText,
+    target: storyState.segments[index].text,
+    source: score.source,
+    author: score.author,
+    keysInOrder: score.keysInOrder,
+  }));
+
+  storyState.result = recordLabSession({
+    task: STORY_TASK_KEY,
+    rounds: storyState.rounds,
+    meta: { promptTitle: storyState.promptTitle, recallMode: storyState.recallMode },
+  });
+
+  storyState.inProgress = false;
+  storyUI.form.hidden = true;
+  storyUI.mode.disabled = false;
+  storyUI.phase.textContent = "Session Complete";
+  storyUI.progress.textContent = storyState.promptTitle;
+  storyUI.segment.textContent = "Session complete. Per-segment scores are listed below.";
+  storyUI.feedback.textContent = result.addedDetails.length
+    ? `Added details not in the chain: ${result.addedDetails.slice(0, 8).join(", ")}.`
+    : "No added details detected — your retelling stayed inside the chain.";
+
+  updateStorySummary();
+
+  launchButton.textContent = "Launch Session";
+  launchButton.disabled = false;
+  settingsButton.disabled = false;
+
+  storyState = null;
+}
+
+function handleStorySubmit(event) {
+  event.preventDefault();
+  if (!storyState || !storyUI) {
+    return;
+  }
+
+  const text = storyUI.input.value.trim();
+
+  if (storyState.stage === "continue") {
+    if (countWords(text) < STORY_MIN_CONTINUATION_WORDS) {
+      storyUI.feedback.textContent = `Add a little more — at least ${STORY_MIN_CONTINUATION_WORDS} words.`;
+      return;
+    }
+    const continuationIndex = storyState.segments.filter((segment) => segment.source === "participant").length;
+    storyState.segments.push({ source: "participant", author: storyAuthorFor(continuationIndex), text });
+
+    if (continuationIndex + 1 < storyState.promptSegments.length) {
+      showStoryPromptSegment();
+    } else {
+      beginStoryDelay();
+    }
+    return;
+  }
+
+  if (storyState.stage === "recall") {
+    if (!text) {
+      storyUI.feedback.textContent = "Write what you remember before submitting.";
+      return;
+    }
+    finishStorySession(text);
+  }
+}
+
+function startStorySession() {
+  if (storyState?.inProgress) {
+    return;
+  }
+
+  if (!storyUI) {
+    renderStoryLanding();
+  }
+
+  const promptSet = STORY_PROMPT_SETS[storyPromptCursor % STORY_PROMPT_SETS.length];
+  storyPromptCursor += 1;
+
+  storyState = {
+    promptTitle: promptSet.title,
+    promptSegments: promptSet.segments,
+    recallMode: storyUI.mode.value,
+    segments: [],
+    rounds: [],
+    stage: "continue",
+    result: null,
+    delayTimeoutId: null,
+    countdownId: null,
+    inProgress: true,
+  };
+
+  launchButton.textContent = "In Session...";
+  launchButton.disabled = true;
+  settingsButton.disabled = true;
+  storyUI.mode.disabled = true;
+
+  showStoryPromptSegment();
+}
+
+function renderStoryLanding() {
+  taskStage.innerHTML = `
+    <div class="chunking-session" role="group" aria-label="Story Chain workspace">
+      <div class="chunking-meta">
+        <span id="story-phase">Build Phase</span>
+        <span id="story-progress">Awaiting launch</span>
+      </div>
+      <label class="story-mode" for="story-mode">
+        Recall mode
+        <select id="story-mode">
+          <option value="solo">Solo</option>
+          <option value="collaborative">Collaborative (alternate partners)</option>
+        </select>
+      </label>
+      <div class="story-segment" id="story-segment" aria-live="polite">
+        Launch the session to receive the opening segment.
+      </div>
+      <form id="story-response" class="chunking-response" autocomplete="off" hidden>
+        <label for="story-input" id="story-label">Continue the story</label>
+        <textarea id="story-input" name="story-input" rows="4" spellcheck="true"></textarea>
+        <button type="submit">Submit</button>
+      </form>
+      <p class="chunking-feedback" id="story-feedback" aria-live="polite">
+        Each continuation joins the chain. After a ${Math.round(
+          STORY_RECALL_DELAY_MS / 1000
+        )}-second delay you will retell the whole story.
+      </p>
+      <div class="chunking-summary" id="story-summary">
+        <p>Fidelity, continuity, and added-detail scores will appear here.</p>
+      </div>
+    </div>
+  `;
+
+  storyUI = {
+    phase: document.getElementById("story-phase"),
+    progress: document.getElementById("story-progress"),
+    mode: document.getElementById("story-mode"),
+    segment: document.getElementById("story-segment"),
+    form: document.getElementById("story-response"),
+    label: document.getElementById("story-label"),
+    input: document.getElementById("story-input"),
+    feedback: document.getElementById("story-feedback"),
+    summary: document.getElementById("story-summary"),
+  };
+
+  storyUI.form.addEventListener("submit", handleStorySubmit);
+  updateStorySummary();
+}
+
+const LAB_SESSIONS_STORAGE_KEY = "cognitive_lab_sessions";
+const LAB_EXPORT_FORMAT = "cognitive-lab-sessions";
+// Trial-level CSV layout: one row per round, with session fields repeated on every row.
+const LAB_CSV_COLUMNS = [
+  { header: "session_id", scope: "session", key: "id", type: "string" },
+  { header: "task", scope: "session", key: "task", type: "string" },
+  { header: "session_timestamp", scope: "session", key: "timestamp", type: "timestamp" },
+  { header: "prompt_title", scope: "session", key: "promptTitle", type: "string" },
+  { header: "recall_mode", scope: "session", key: "recallMode", type: "string" },
+  { header: "mode", scope: "session", key: "mode", type: "string" },
+  { header: "study_id", scope: "session", key: "studyId", type: "string" },
+  { header: "participant_id", scope: "session", key: "participantId", type: "string" },
+  { header: "condition_id", scope: "session", key: "conditionId", type: "string" },
+  { header: "study_session_id", scope: "session", key: "studySessionId", type: "string" },
+  { header: "protocol_id", scope: "session", key: "protocolId", type: "string" },
+  { header: "round", scope: "round", key: "round", type: "number" },
+  { header: "phase", scope: "round", key: "phase", type: "string" },
+  { header: "length", scope: "round", key: "length", type: "number" },
+  { header: "target", scope: "round", key: "target", type: "string" },
+  { header: "response", scope: "round", key: "response", type: "string" },
+  { header: "correct_count", scope: "round", key: "correctCount", type: "number" },
+  { header: "accuracy", scope: "round", key: "accuracy", type: "number" },
+  { header: "errors", scope: "round", key: "errors", type: "number" },
+  { header: "with_delimiters", scope: "round", key: "withDelimiters", type: "boolean" },
+  { header: "presentation", scope: "round", key: "presentation", type: "string" },
+  { header: "direction", scope: "round", key: "direction", type: "string" },
+  { header: "presented", scope: "round", key: "presented", type: "string" },
+  { header: "stimulus_onset_ms", scope: "round", key: "stimulusOnsetMs", type: "number" },
+  { header: "stimulus_offset_ms", scope: "round", key: "stimulusOffsetMs", type: "number" },
+  { header: "exposure_ms", scope: "round", key: "exposureMs", type: "number" },
+  { header: "digit_onsets_ms", scope: "round", key: "digitOnsetsMs", type: "list" },
+  { header: "first_key_latency_ms", scope: "round", key: "firstKeyLatencyMs", type: "number" },
+  { header: "response_latency_ms", scope: "round", key: "responseLatencyMs", type: "number" },
+  { header: "frame_dropped", scope: "round", key: "frameDropped", type: "boolean" },
+  { header: "tap_latencies_ms", scope: "round", key: "tapLatencies", type: "list" },
+  { header: "source", scope: "round", key: "source", type: "string" },
+  { header: "author", scope: "round", key: "author", type: "string" },
+  { header: "keys_in_order", scope: "round", key: "keysInOrder", type: "number" },
+];
+
+const labSessions = [];
+const labDataUI = {
+  status: document.getElementById("lab-data-status"),
+  exportCsv: document.getElementById("lab-export-csv"),
+  exportJson: document.getElementById("lab-export-json"),
+  importButton: document.getElementById("lab-import"),
+  importInput: document.getElementById("lab-import-file"),
+  clear: document.getElementById("lab-clear"),
+};
+
+// Session-level scores are always derived from the stored rounds so imports and live sessions agree.
+function summarizeLabSession(task, rounds, { mode } = {}) {
+  if (task === DIGIT_SPAN_TASK_KEY) {
+    return {
+      baselineScore: averageAccuracy(rounds.filter((round) => !round.withDelimiters)) ?? 0,
+      chunkedScore: averageAccuracy(rounds.filter((round) => round.withDelimiters)) ?? 0,
+      overallScore: averageAccuracy(rounds) ?? 0,
+      modeSpans: spansByMode(rounds, mode),
+    };
+  }
+
+  if (task === CORSI_TASK_KEY) {
+    const spanFor = (phase) =>
+      rounds
+        .filter((round) => round.phase === phase && round.errors === 0)
+        .reduce((longest, round) => Math.max(longest, round.length), 0);
+    return {
+      forwardSpan: spanFor("forward"),
+      backwardSpan: spanFor("backward"),
+      overallScore: averageAccuracy(rounds) ?? 0,
+      meanTapLatency: averageLatency(rounds.flatMap((round) => round.tapLatencies ?? [])),
+    };
+  }
+
+  if (task === STORY_TASK_KEY) {
+    const segments = rounds.map((round) => ({ source: round.source, author: round.author, text: round.target }));
+    return scoreStoryRecall(segments, rounds[0]?.response ?? "");
+  }
+
+  return {};
+}
+
+const getTaskHistory = (task) => labSessions.filter((session) => session.task === task);
+
+// Shared results-store entry for a session: its numeric session-level scores plus the round count.
+// Digit span sessions also report their longest error-free string across presentation modes.
+const toLabResult = (session) => {
+  const summary = summarizeLabSession(session.task, session.rounds, session);
+  const metrics = { ...summary, rounds: session.rounds.length };
+  if (summary.modeSpans) {
+    metrics.span = Math.max(0, ...Object.values(summary.modeSpans));
+  }
+  return {
+    id: `cognitive-lab-${session.id}`,
+    game: "cognitive-lab",
+    mode: session.task,
+    timestamp: session.timestamp,
+    metrics,
+  };
+};
+
+function persistLabSessions() {
+  try {
+    window.localStorage.setItem(LAB_SESSIONS_STORAGE_KEY, JSON.stringify(labSessions));
+  } catch (error) {
+    console.warn("Unable to save Cognitive Lab sessions", error);
+  }
+}
+
+function loadLabSessions() {
+  try {
+    const raw = window.localStorage.getItem(LAB_SESSIONS_STORAGE_KEY);
+    const stored = raw ? JSON.parse(raw) : [];
+    if (Array.isArray(stored)) {
+      labSessions.splice(0, labSessions.length, ...stored.filter(isValidLabSession));
+    }
+    // Sessions stored before the shared results store existed are copied over once
+    window.LabResults.importLegacy("cognitive-lab", labSessions.map(toLabResult));
+  } catch (error) {
+    console.warn("Unable to restore Cognitive Lab sessions", error);
+  }
+  updateLabDataStatus();
+}
+
+const isValidLabSession = (session) =>
+  Boolean(session) &&
+  typeof session.task === "string" &&
+  Object.hasOwn(tasks, session.task) &&
+  Number.isFinite(session.timestamp) &&
+  Array.isArray(session.rounds);
+
+function recordLabSession({ task, rounds, meta = {} }) {
+  const timestamp = Date.now();
+  const inStudy = studyProtocol?.task === task;
+  const session = {
+    id: `${task}-${timestamp}`,
+    task,
+    timestamp,
+    ...meta,
+    ...(inStudy ? window.LabStudy.getRecordTags() : {}),
+    ...summarizeLabSession(task, rounds, meta),
+    rounds,
+  };
+  labSessions.unshift(session);
+  persistLabSessions();
+  window.LabResults.record(toLabResult(session));
+  updateLabDataStatus();
+  if (inStudy) {
+    window.LabStudy.markProtocolComplete();
+    window.LabStudy.refreshBanner();
+  }
+  return session;
+}
+
+function mergeLabSessions(incoming) {
+  const knownIds = new Set(labSessions.map((session) => session.id));
+  const added = incoming.filter((session) => isValidLabSession(session) && !knownIds.has(session.id));
+  labSessions.push(...added);
+  labSessions.sort((a, b) => b.timestamp - a.timestamp);
+  persistLabSessions();
+  window.LabResults.recordMany(added.map(toLabResult));
+  updateLabDataStatus();
+  return added.length;
+}
+
+function updateLabDataStatus() {
+  if (!labDataUI.status) {
+    return;
+  }
+  const trialCount = labSessions.reduce((sum, session) => sum + session.rounds.length, 0);
+  labDataUI.status.textContent = labSessions.length
+    ? `${labSessions.length} session${labSessions.length === 1 ? "" : "s"} · ${trialCount} trial${
+        trialCount === 1 ? "" : "s"
+      } stored in this browser.`
+    : "No sessions stored yet. Completed sessions are saved automatically.";
+  labDataUI.exportCsv.disabled = labSessions.length === 0;
+  labDataUI.exportJson.disabled = labSessions.length === 0;
+  labDataUI.clear.disabled = labSessions.length === 0;
+}
+
+const refreshActiveSummary = () => {
+  if (chunkingUI) {
+    updateChunkingSummary();
+  }
+  if (corsiUI) {
+    updateCorsiSummary();
+  }
+  if (storyUI) {
+    updateStorySummary();
+  }
+};
+
+const serializeCsvValue = (value, type) => {
+  if (value === null || value === undefined) {
+    return "";
+  }
+  if (type === "timestamp") {
+    return new Date(value).toISOString();
+  }
+  if (type === "list") {
+    return value.join(";");
+  }
+  return String(value);
+};
+
+const parseCsvValue = (text, type) => {
+  if (text === "") {
+    return undefined;
+  }
+  switch (type) {
+    case "number":
+      return Number(text);
+    case "boolean":
+      return text === "true";
+    case "timestamp":
+      return Date.parse(text);
+    case "list":
+      return text.split(";").map(Number);
+    default:
+      return text;
+  }
+};
+
+const quoteCsv = (value) => (/[",\r\n]/.test(value) ? `"${value.replace(/"/g, '""')}"` : value);
+
+function buildLabCsv() {
+  const lines = [LAB_CSV_COLUMNS.map(({ header }) => header).join(",")];
+  [...labSessions]
+    .sort((a, b) => a.timestamp - b.timestamp)
+    .forEach((session) => {
+      session.rounds.forEach((round) => {
+        lines.push(
+          LAB_CSV_COLUMNS.map(({ scope, key, type }) =>
+            quoteCsv(serializeCsvValue((scope === "session" ? session : round)[key], type))
+          ).join(",")
+        );
+      });
+    });
+  return lines.join("\r\n");
+}
+
+// RFC 4180 reader: handles quoted fields containing commas, quotes, and line breaks.
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+
+  for (let index = 0; index < text.length; index += 1) {
+    const char = text[index];
+    if (inQuotes) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index += 1;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[index + 1] === "\n") {
+        index += 1;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows.filter((cells) => cells.some((cell) => cell !== ""));
+}
+
+function parseLabCsv(text) {
+  const [headerRow, ...dataRows] = parseCsvRows(text.replace(/^\uFEFF/, ""));
+  const columns = (headerRow ?? []).map((header) => LAB_CSV_COLUMNS.find((column) => column.header === header));
+  if (!columns.some((column) => column?.key === "id") || !columns.some((column) => column?.key === "task")) {
+    throw new Error("CSV is missing the session_id or task column.");
+  }
+
+  const sessionsById = new Map();
+  dataRows.forEach((cells) => {
+    const sessionFields = {};
+    const round = {};
+    columns.forEach((column, index) => {
+      const value = column ? parseCsvValue(cells[index] ?? "", column.type) : undefined;
+      if (value === undefined) {
+        return;
+      }
+      if (column.scope === "session") {
+        sessionFields[column.key] = value;
+      } else {
+        round[column.key] = value;
+      }
+    });
+    if (!sessionsById.has(sessionFields.id)) {
+      sessionsById.set(sessionFields.id, { ...sessionFields, rounds: [] });
+    }
+    sessionsById.get(sessionFields.id).rounds.push(round);
+  });
+
+  return [...sessionsById.values()].map((session) => ({
+    ...session,
+    ...summarizeLabSession(session.task, session.rounds, session),
+  }));
+}
+
+function parseLabJson(text) {
+  const data = JSON.parse(text);
+  const sessions = Array.isArray(data) ? data : data?.sessions;
+  if (!Array.isArray(sessions)) {
+    throw new Error("JSON does not contain a sessions array.");
+  }
+  return sessions.map((session) =>
+    isValidLabSession(session) ? { ...session, ...summarizeLabSession(session.task, session.rounds, session) } : session
+  );
+}
+
+const downloadLabFile = (contents, type, extension) => {
+  const blob = new Blob([contents], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = `cognitive_lab_${new Date().toISOString().slice(0, 10)}.${extension}`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
+
+async function handleLabImport(event) {
+  const [file] = event.target.files;
+  event.target.value = "";
+  if (!file) {
+    return;
+  }
+
+  try {
+    const text = await file.text();
+    const isJson = file.name.toLowerCase().endsWith(".json") || /^[[{]/.test(text.trimStart());
+    const incoming = isJson ? parseLabJson(text) : parseLabCsv(text);
+    const added = mergeLabSessions(incoming);
+    const skipped = incoming.length - added;
+    labDataUI.status.textContent = `Imported ${added} session${added === 1 ? "" : "s"} from ${file.name}${
+      skipped ? ` (${skipped} duplicate or invalid skipped)` : ""
+    }.`;
+    refreshActiveSummary();
+  } catch (error) {
+    console.warn("Unable to import Cognitive Lab data", error);
+    labDataUI.status.textContent = `Import failed: ${error.message}`;
+  }
+}
+
+labDataUI.exportCsv?.addEventListener("click", () => {
+  downloadLabFile(buildLabCsv(), "text/csv;charset=utf-8;", "csv");
+});
+
+labDataUI.exportJson?.addEventListener("click", () => {
+  const payload = {
+    format: LAB_EXPORT_FORMAT,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    sessions: labSessions,
+  };
+  downloadLabFile(JSON.stringify(payload, null, 2), "application/json", "json");
+});
+
+labDataUI.importButton?.addEventListener("click", () => labDataUI.importInput.click());
+labDataUI.importInput?.addEventListener("change", handleLabImport);
+
+labDataUI.clear?.addEventListener("click", () => {
+  if (!window.confirm("Delete every stored Cognitive Lab session from this browser?")) {
+    return;
+  }
+  labSessions.length = 0;
+  persistLabSessions();
+  updateLabDataStatus();
+  refreshActiveSummary();
+});
+
+const populateTaskDetails = (key) => {
+  const task = tasks[key];
+  if (!task) {
+    taskDetailsSection.hidden = true;
+    return;
+  }
+
+  taskHighlightsList.innerHTML = `
+    <li>${task.summary}</li>
+    ${task.highlights.map((item) => `<li>${item}</li>`).join("")}
+  `;
+  taskDetailsSection.hidden = false;
+
+  if (key === DIGIT_SPAN_TASK_KEY) {
+    corsiUI = null;
+    storyUI = null;
+    if (!chunkingUI) {
+      renderChunkingLanding();
+    } else {
+      updateChunkingSummary();
+    }
+    return;
+  }
+
+  lockChunkingInput(false);
+  exitChunkingFullscreen();
+  stopChunkingTimer();
+  chunkingUI = null;
+
+  corsiUI = null;
+  storyUI = null;
+
+  if (key === CORSI_TASK_KEY) {
+    renderCorsiLanding();
+  } else if (key === STORY_TASK_KEY) {
+    renderStoryLanding();
+  } else {
+    taskStage.innerHTML = `<p>${task.stagePlaceholder}</p>`;
+  }
+};
+
+const setActiveTask = (key) => {
+  if (activeTaskKey === key) {
+    return;
+  }
+
+  const previousKey = activeTaskKey;
+  if (previousKey === DIGIT_SPAN_TASK_KEY && chunkingState?.inProgress) {
+    resetChunkingSession({ aborted: true });
+  }
+  if (previousKey === CORSI_TASK_KEY && corsiState?.inProgress) {
+    resetCorsiSession({ aborted: true });
+  }
+  if (previousKey === STORY_TASK_KEY && storyState?.inProgress) {
+    resetStorySession({ aborted: true });
+  }
+
+  activeTaskKey = key;
+
+  resetTaskCards();
+  const selectedCard = document.querySelector(`.task-card[data-task="${key}"]`);
+  if (selectedCard) {
+    selectedCard.classList.add("active");
+    selectedCard.focus({ preventScroll: true });
+  }
+
+  populateTaskDetails(key);
+
+  launchButton.textContent = "Launch Session";
+  launchButton.disabled = false;
+  settingsButton.disabled = false;
+};
+
+taskCards.forEach((card) => {
+  card.addEventListener("click", () => {
+    setActiveTask(card.dataset.task);
+  });
+
+  card.addEventListener("keydown", (event) => {
+    if (event.key === "Enter" || event.key === " ") {
+      event.preventDefault();
+      setActiveTask(card.dataset.task);
+    }
+  });
+});
+
+launchButton.addEventListener("click", () => {
+  if (!activeTaskKey) {
+    return;
+  }
+
+  if (activeTaskKey === DIGIT_SPAN_TASK_KEY) {
+    startChunkingSession();
+    return;
+  }
+
+  if (activeTaskKey === CORSI_TASK_KEY) {
+    startCorsiSession();
+    return;
+  }
+
+  if (activeTaskKey === STORY_TASK_KEY) {
+    startStorySession();
+    return;
+  }
+
+  launchButton.textContent = "Preparing...";
+  launchButton.disabled = true;
+
+  window.setTimeout(() => {
+    launchButton.textContent = "Launch Session";
+    launchButton.disabled = false;
+    window.alert(`Launching ${tasks[activeTaskKey].name}. (Prototype placeholder)`);
+  }, 800);
+});
+
+settingsButton.addEventListener("click", () => {
+  if (!activeTaskKey) {
+    return;
+  }
+
+  if (activeTaskKey === DIGIT_SPAN_TASK_KEY) {
+    if (!chunkingState?.inProgress) {
+      renderDigitSpanSettings();
+    }
+    return;
+  }
+
+  window.alert(`Configure options for ${tasks[activeTaskKey].name}.`);
+});
+
+loadDigitSpanSettings();
+loadLabSessions();
+
+// Study mode pins the page to the protocol the participant is on.
+if (studyProtocol) {
+  window.LabStudy.mountBanner(document.querySelector("main"), studyProtocol);
+  taskCards.forEach((card) => {
+    card.disabled = card.dataset.task !== studyProtocol.task;
+  });
+  setActiveTask(studyProtocol.task);
+}
@@ -0,0 +1,222 @@
+// Study mode shared by the Cognitive Lab, the Stroop clicker, and the study launcher.
+// Study definitions live in studies.json next to events.json; the active run is kept in
+// sessionStorage so it follows the participant from page to page in the same tab.
+window.LabStudy = (() => {
+  const STUDIES_URL = "../studies.json";
+  const ACTIVE_STUDY_STORAGE_KEY = "lab_active_study";
+  const PARTICIPANT_ID_PATTERN = /^[A-Za-z0-9_-]{1,32}$/;
+
+  const loadStudies = async () => {
+    const response = await fetch(STUDIES_URL, { cache: "no-store" });
+    if (!response.ok) {
+      throw new Error(`Unable to load ${STUDIES_URL} (${response.status})`);
+    }
+    const data = await response.json();
+    return Array.isArray(data?.studies) ? data.studies : [];
+  };
+
+  // Balanced Latin square (Williams design): each protocol appears once per position and,
+  // across rows, follows every other protocol equally often. Odd sizes need the mirrored rows too.
+  const buildLatinSquare = (size) => {
+    if (size < 1) {
+      return [];
+    }
+    const firstRow = [0];
+    for (let step = 1, low = 1, high = size - 1; firstRow.length < size; step += 1) {
+      firstRow.push(step % 2 === 1 ? low++ : high--);
+    }
+    const rows = firstRow.map((_, shift) => firstRow.map((value) => (value + shift) % size));
+    return size % 2 === 0 ? rows : [...rows, ...rows.map((row) => [...row].reverse())];
+  };
+
+  // Numbered IDs (P01, P02, ...) walk through the orders in sequence; other IDs are hashed.
+  const participantIndex = (participantId) => {
+    const digits = participantId.match(/\d+/g);
+    if (digits) {
+      return Math.max(Number(digits[digits.length - 1]) - 1, 0);
+    }
+    return [...participantId].reduce((hash, char) => (hash * 31 + char.charCodeAt(0)) >>> 0, 7);
+  };
+
+  const assignCondition = (study, participantId) => {
+    const rows = buildLatinSquare(study.protocols.length);
+    const rowIndex = participantIndex(participantId) % rows.length;
+    return {
+      conditionId: `order-${rowIndex + 1}`,
+      order: rows[rowIndex].map((index) => study.protocols[index]),
+    };
+  };
+
+  const readSession = () => {
+    try {
+      const raw = window.sessionStorage.getItem(ACTIVE_STUDY_STORAGE_KEY);
+      return raw ? JSON.parse(raw) : null;
+    } catch (error) {
+      console.warn("Unable to read the active study", error);
+      return null;
+    }
+  };
+
+  const writeSession = (session) => {
+    try {
+      window.sessionStorage.setItem(ACTIVE_STUDY_STORAGE_KEY, JSON.stringify(session));
+    } catch (error) {
+      console.warn("Unable to save the active study", error);
+    }
+  };
+
+  const startSession = (study, participantId) => {
+    const { conditionId, order } = assignCondition(study, participantId);
+    const startedAt = Date.now();
+    const session = {
+      studyId: study.id,
+      studyTitle: study.title,
+      participantId,
+      conditionId,
+      sessionId: `${study.id}-${participantId}-${startedAt}`,
+      consentedAt: startedAt,
+      order,
+      step: 0,
+      completed: [],
+    };
+    writeSession(session);
+    return session;
+  };
+
+  const endSession = () => {
+    window.sessionStorage.removeItem(ACTIVE_STUDY_STORAGE_KEY);
+  };
+
+  const getSession = () => readSession();
+
+  const getCurrentProtocol = () => {
+    const session = readSession();
+    return session ? session.order[session.step] ?? null : null;
+  };
+
+  // The protocol running on this page, or null outside study mode / on the wrong page.
+  const getProtocolForPage = (page) => {
+    const protocol = getCurrentProtocol();
+    return protocol?.page === page ? protocol : null;
+  };
+
+  // Tags merged into every record a task stores while a study is running.
+  const getRecordTags = () => {
+    const session = readSession();
+    const protocol = session?.order[session.step];
+    if (!session || !protocol) {
+      return {};
+    }
+    return {
+      studyId: session.studyId,
+      participantId: session.participantId,
+      conditionId: session.conditionId,
+      studySessionId: session.sessionId,
+      protocolId: protocol.id,
+    };
+  };
+
+  const markProtocolComplete = () => {
+    const session = readSession();
+    const protocol = session?.order[session.step];
+    if (!protocol || session.completed.includes(protocol.id)) {
+      return;
+    }
+    session.completed.push(protocol.id);
+    writeSession(session);
+  };
+
+  const isCurrentProtocolComplete = () => {
+    const session = readSession();
+    const protocol = session?.order[session.step];
+    return Boolean(protocol && session.completed.includes(protocol.id));
+  };
+
+  const protocolUrl = (protocol) => protocol.page;
+
+  // Moves to the next protocol and returns the page to open next.
+  const advance = () => {
+    const session = readSession();
+    if (!session) {
+      return "study.html";
+    }
+    session.step += 1;
+    writeSession(session);
+    const next = session.order[session.step];
+    return next ? protocolUrl(next) : "study.html";
+  };
+
+  const describeProgress = (session) =>
+    `Protocol ${Math.min(session.step + 1, session.order.length)} of ${session.order.length}`;
+
+  // Renders the participant banner at the top of a task page. The continue button stays
+  // disabled until the page reports the protocol complete via refreshBanner().
+  const mountBanner = (container, protocol) => {
+    const session = readSession();
+    const banner = document.createElement("section");
+    banner.className = "study-banner";
+    banner.id = "study-banner";
+    banner.setAttribute("aria-live", "polite");
+    banner.innerHTML = `
+      <div>
+        <strong>${session.studyTitle}</strong>
+        <span>Participant ${session.participantId} · ${describeProgress(session)} · ${protocol.label}</span>
+        <p id="study-banner-status"></p>
+      </div>
+      <div class="study-banner-actions">
+        <button type="button" id="study-continue" disabled>Continue</button>
+        <button type="button" id="study-exit">Leave Study</button>
+      </div>
+    `;
+    container.prepend(banner);
+
+    banner.querySelector("#study-continue").addEventListener("click", () => {
+      window.location.href = advance();
+    });
+    banner.querySelector("#study-exit").addEventListener("click", () => {
+      if (window.confirm("Leave the study? Records saved so far stay tagged with this participant.")) {
+        endSession();
+        window.location.href = "study.html";
+      }
+    });
+
+    refreshBanner();
+    return banner;
+  };
+
+  const refreshBanner = () => {
+    const status = document.getElementById("study-banner-status");
+    const continueButton = document.getElementById("study-continue");
+    if (!status || !continueButton) {
+      return;
+    }
+    const done = isCurrentProtocolComplete();
+    const session = readSession();
+    const isLast = session ? session.step >= session.order.length - 1 : true;
+    continueButton.disabled = !done;
+    continueButton.textContent = isLast ? "Finish Study" : "Next Protocol";
+    status.textContent = done
+      ? "Protocol complete. Continue when you are ready."
+      : "Complete this protocol to continue.";
+  };
+
+  return {
+    PARTICIPANT_ID_PATTERN,
+    loadStudies,
+    buildLatinSquare,
+    assignCondition,
+    startSession,
+    endSession,
+    getSession,
+    getCurrentProtocol,
+    getProtocolForPage,
+    getRecordTags,
+    markProtocolComplete,
+    isCurrentProtocolComplete,
+    protocolUrl,
+    advance,
+    describeProgress,
+    mountBanner,
+    refreshBanner,
+  };
+})();
@@ -0,0 +1,157 @@
+// Frame-locked stimulus timing shared by the Cognitive Lab and the Stroop clicker.
+// Stimulus changes are applied inside requestAnimationFrame callbacks, so the callback's
+// frame timestamp is the onset the participant actually saw. All times use the
+// performance.now() clock, which event.timeStamp shares in current browsers.
+window.LabTiming = (() => {
+  const DEFAULT_FRAME_MS = 1000 / 60;
+  // A frame gap this many times the typical frame length means at least one frame was dropped.
+  const FRAME_DROP_RATIO = 1.5;
+  const CALIBRATION_FRAMES = 20;
+
+  let frameMs = DEFAULT_FRAME_MS;
+
+  const median = (values) => {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+  };
+
+  // Measures the display's frame length once at load; falls back to 60 Hz.
+  const calibrate = () => {
+    const deltas = [];
+    let previous = null;
+    const sample = (timestamp) => {
+      if (previous !== null) {
+        deltas.push(timestamp - previous);
+      }
+      previous = timestamp;
+      if (deltas.length < CALIBRATION_FRAMES) {
+        window.requestAnimationFrame(sample);
+        return;
+      }
+      const estimate = median(deltas);
+      if (estimate > 4 && estimate < 100) {
+        frameMs = estimate;
+      }
+    };
+    window.requestAnimationFrame(sample);
+  };
+
+  const getFrameMs = () => frameMs;
+
+  // Response time on the performance clock. Older browsers report epoch milliseconds
+  // in event.timeStamp; those (and synthetic events without one) fall back to now.
+  const eventTime = (event) => {
+    const now = performance.now();
+    const stamp = event?.timeStamp;
+    return Number.isFinite(stamp) && stamp > 0 && stamp <= now + 1000 ? stamp : now;
+  };
+
+  // Runs a list of { atMs, render, label } steps relative to the first frame. Each step
+  // renders in the frame nearest its target time and is stamped with that frame's time.
+  // Returns a handle whose cancel() stops any remaining steps.
+  const runSchedule = (steps, { onStep, onComplete } = {}) => {
+    const pending = [...steps].sort((a, b) => a.atMs - b.atMs);
+    const stamps = [];
+    let startedAt = null;
+    let previousFrame = null;
+    let frameDropped = false;
+    let frameId = null;
+    let cancelled = false;
+
+    const tick = (timestamp) => {
+      if (cancelled) {
+        return;
+      }
+      if (startedAt === null) {
+        startedAt = timestamp;
+      }
+      const dropped = previousFrame !== null && timestamp - previousFrame > frameMs * FRAME_DROP_RATIO;
+      frameDropped = frameDropped || dropped;
+      previousFrame = timestamp;
+
+      const elapsed = timestamp - startedAt;
+      while (pending.length && pending[0].atMs <= elapsed + frameMs / 2) {
+        const step = pending.shift();
+        step.render?.(timestamp);
+        const stamp = { label: step.label, targetMs: step.atMs, at: timestamp, frameDropped: dropped };
+        stamps.push(stamp);
+        onStep?.(stamp);
+      }
+
+      if (pending.length) {
+        frameId = window.requestAnimationFrame(tick);
+        return;
+      }
+      frameId = null;
+      onComplete?.({ startedAt, stamps, frameDropped, frameMs });
+    };
+
+    frameId = window.requestAnimationFrame(tick);
+
+    return {
+      cancel() {
+        cancelled = true;
+        if (frameId !== null) {
+          window.cancelAnimationFrame(frameId);
+        }
+      },
+      get frameDropped() {
+        return frameDropped;
+      },
+    };
+  };
+
+  // Watches frame gaps while a block runs; takeDropped() reports and clears any drop since the last call.
+  const createFrameMonitor = () => {
+    let frameId = null;
+    let previousFrame = null;
+    let dropped = false;
+
+    const tick = (timestamp) => {
+      if (previousFrame !== null && timestamp - previousFrame > frameMs * FRAME_DROP_RATIO) {
+        dropped = true;
+      }
+      previousFrame = timestamp;
+      frameId = window.requestAnimationFrame(tick);
+    };
+
+    return {
+      start() {
+        if (frameId !== null) {
+          return;
+        }
+        previousFrame = null;
+        dropped = false;
+        frameId = window.requestAnimationFrame(tick);
+      },
+      stop() {
+        if (frameId !== null) {
+          window.cancelAnimationFrame(frameId);
+          frameId = null;
+        }
+      },
+      takeDropped() {
+        const result = dropped;
+        dropped = false;
+        return result;
+      },
+    };
+  };
+
+  // Shows a stimulus on the next frame and reports its onset.
+  const present = (render, onOnset) =>
+    runSchedule([{ atMs: 0, render, label: "onset" }], {
+      onComplete: ({ stamps }) => onOnset?.(stamps[0]),
+    });
+
+  calibrate();
+
+  return {
+    eventTime,
+    getFrameMs,
+    runSchedule,
+    present,
+    createFrameMonitor,
+  };
+})();
@@ -0,0 +1,17 @@
+// Writes calendar.ics, the subscribable feed of every event in events.json, using the same
+// browser modules the site loads so the feed always matches calendar.html.
+const fs = require("fs");
+const path = require("path");
+const vm = require("vm");
+
+const root = path.join(__dirname, "..");
+const context = vm.createContext({ window: {}, console, TextEncoder, URLSearchParams });
+for (const file of ["assets/js/events.js", "assets/js/ical.js"]) {
+  vm.runInContext(fs.readFileSync(path.join(root, file), "utf8"), context, { filename: file });
+}
+const { ClubEvents, ClubICal } = context.window;
+
+const { events } = JSON.parse(fs.readFileSync(path.join(root, "events.json"), "utf8"));
+const occurrences = ClubEvents.occurrences(events);
+fs.writeFileSync(path.join(root, "calendar.ics"), ClubICal.toCalendar(occurrences));
+console.log(`Wrote calendar.ics with ${occurrences.length} events`);
@@ -0,0 +1,8 @@
+// Tailwind for the aim trainer; only classes used in these files end up in pages/dist/aim-trainer.css
+module.exports = {
+  content: ['./pages/aim-trainer.html', './pages/AimTrainerGame.jsx'],
+  theme: {
+    extend: {}
+  },
+  plugins: []
+};